@@ -0,0 +1,357 @@
+const llm = require("./llm");
+const { INVOICE_GROUPINGS, aggregateInvoices, getSupplierTimeliness, queryInvoices } = require("../db");
+const { parseInvoiceQuery } = require("../invoiceQuery");
+const { ALL_STATUSES, DOCUMENT_TYPE, DOCUMENT_TYPES, deriveStatus } = require("../invoiceStatus");
+const { toISODate, isIsoDate } = require("../dates");
+
+const MAX_QUESTION_LENGTH = 500;
+// Model turns per question; each may call several tools. Running out is a refusal, not a guess.
+const MAX_TOOL_ROUNDS = 5;
+const MAX_SEARCH_RESULTS = 20;
+// Ids listed per aggregate row; the rest are only counted so a large group cannot flood the prompt.
+const MAX_IDS_PER_ROW = 50;
+
+const DATE_FIELDS = ["issue_date", "due_date"];
+
+// The LLM provider failed, as opposed to the ledger lookups behind the tools.
+class AskProviderError extends Error {
+  constructor(cause) {
+    super(`The AI provider could not answer: ${cause.message}`, { cause });
+    this.name = "AskProviderError";
+  }
+}
+
+const FILTER_PROPERTIES = {
+  supplier: { type: "string", description: "Part of the supplier name" },
+  category: { type: "string", description: "Exact category, e.g. Software; comma-separate several" },
+  status: { type: "string", description: `Comma-separated statuses: ${ALL_STATUSES.join(", ")}` },
+  document_type: { type: "string", enum: DOCUMENT_TYPES, description: "Defaults to invoice; credit notes are counted apart" },
+  date_field: { type: "string", enum: DATE_FIELDS, description: "Date that from/to and period groupings use (default issue_date)" },
+  from: { type: "string", description: "First date included, YYYY-MM-DD" },
+  to: { type: "string", description: "Last date included, YYYY-MM-DD" },
+};
+
+const TOOLS = [
+  {
+    name: "aggregate_invoices",
+    description:
+      "Totals of invoices grouped by supplier, category, status or period (month, quarter, year; 'none' for one total), " +
+      "per currency: invoice_count, total_amount, total_paid, total_outstanding and the invoice_ids behind each row. " +
+      "Use for spend, totals and rankings. Invoices waiting for review are not counted.",
+    parameters: {
+      type: "object",
+      properties: {
+        group_by: { type: "string", enum: INVOICE_GROUPINGS },
+        ...FILTER_PROPERTIES,
+      },
+      required: ["group_by"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "search_invoices",
+    description: `Individual invoices matching the filters, at most ${MAX_SEARCH_RESULTS}, with the total number that match.`,
+    parameters: {
+      type: "object",
+      properties: {
+        ...FILTER_PROPERTIES,
+        min_amount: { type: "number" },
+        max_amount: { type: "number" },
+        text: { type: "string", description: "Prefix search on supplier and invoice number" },
+        sort: { type: "string", description: "amount, due_date, issue_date or balance; prefix - for descending" },
+        limit: { type: "integer", minimum: 1, maximum: MAX_SEARCH_RESULTS },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "supplier_timeliness",
+    description:
+      "Per supplier, for invoices due in the range: paid_on_time, paid_late, open_overdue, average_days_late and " +
+      "late_invoice_ids. Suppliers with the most late bills come first. Use for questions about late payment.",
+    parameters: {
+      type: "object",
+      properties: {
+        supplier: FILTER_PROPERTIES.supplier,
+        from: { type: "string", description: "First due date included, YYYY-MM-DD" },
+        to: { type: "string", description: "Last due date included, YYYY-MM-DD" },
+      },
+      additionalProperties: false,
+    },
+  },
+];
+
+// Validates a POST /api/ask body into { question, errors }.
+const validateAskInput = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { question: null, errors: ["Request body must be a JSON object"] };
+  }
+  const question = typeof body.question === "string" ? body.question.trim() : "";
+  if (!question) return { question: null, errors: ["question must be a non-empty string"] };
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return { question: null, errors: [`question must be at most ${MAX_QUESTION_LENGTH} characters`] };
+  }
+  return { question, errors: [] };
+};
+
+// Tool arguments become the same filters as GET /api/invoices, so they are validated the same way.
+const invoiceFilters = (args) => {
+  const errors = [];
+  if (args.date_field !== undefined && !DATE_FIELDS.includes(args.date_field)) {
+    errors.push(`date_field must be one of: ${DATE_FIELDS.join(", ")}`);
+  }
+  const prefix = args.date_field === "due_date" ? "due" : "issue";
+  const { filters, errors: queryErrors } = parseInvoiceQuery({
+    supplier: args.supplier,
+    category: args.category,
+    status: args.status,
+    documentType: args.document_type || DOCUMENT_TYPE.INVOICE,
+    q: args.text,
+    minAmount: args.min_amount,
+    maxAmount: args.max_amount,
+    sort: args.sort,
+    [`${prefix}From`]: args.from,
+    [`${prefix}To`]: args.to,
+  });
+  return { filters, errors: [...errors, ...queryErrors] };
+};
+
+const TOOL_HANDLERS = {
+  aggregate_invoices: async (organisationId, args, today) => {
+    if (!INVOICE_GROUPINGS.includes(args.group_by)) {
+      return { error: `group_by must be one of: ${INVOICE_GROUPINGS.join(", ")}` };
+    }
+    const { filters, errors } = invoiceFilters(args);
+    if (errors.length) return { error: errors.join("; ") };
+    const grouping = { groupBy: args.group_by, dateField: args.date_field };
+    const rows = await aggregateInvoices(organisationId, filters, grouping, today);
+    return {
+      rows: rows.map(({ invoice_ids: ids, ...row }) => ({
+        ...row,
+        invoice_ids: ids.slice(0, MAX_IDS_PER_ROW),
+        ...(ids.length > MAX_IDS_PER_ROW ? { more_invoice_ids: ids.length - MAX_IDS_PER_ROW } : {}),
+      })),
+    };
+  },
+  search_invoices: async (organisationId, args, today) => {
+    const limit = args.limit ?? MAX_SEARCH_RESULTS;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return { error: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}` };
+    }
+    const { filters, errors } = invoiceFilters(args);
+    if (errors.length) return { error: errors.join("; ") };
+    const { rows, total } = await queryInvoices(organisationId, { ...filters, page: 1, pageSize: limit }, today);
+    return {
+      total,
+      invoices: rows.map((invoice) => ({
+        id: invoice.id,
+        supplier: invoice.supplier,
+        invoice_number: invoice.invoice_number,
+        category: invoice.category,
+        issue_date: invoice.issue_date,
+        due_date: invoice.due_date,
+        currency: invoice.currency,
+        amount: invoice.amount,
+        amount_paid: invoice.amount_paid,
+        balance: invoice.balance,
+        status: deriveStatus(invoice, today),
+        document_type: invoice.document_type,
+      })),
+    };
+  },
+  supplier_timeliness: async (organisationId, args, today) => {
+    const errors = ["from", "to"].filter((key) => args[key] !== undefined && !isIsoDate(args[key]));
+    if (errors.length) return { error: `${errors.join(" and ")} must be dates in YYYY-MM-DD format` };
+    const suppliers = await getSupplierTimeliness(
+      organisationId,
+      { dueFrom: args.from, dueTo: args.to, supplier: typeof args.supplier === "string" ? args.supplier.trim() : null },
+      today,
+    );
+    return { suppliers };
+  },
+};
+
+// Invoice ids a tool result mentions; only these may be cited.
+const idsIn = (result) => [
+  ...(result.rows || []).flatMap((row) => row.invoice_ids),
+  ...(result.invoices || []).map((invoice) => invoice.id),
+  ...(result.suppliers || []).flatMap((supplier) => supplier.late_invoice_ids),
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// `label` where it stands on its own, not as part of a longer word or number such as 1,234.50.
+const labelPattern = (label) => new RegExp(`(?<![\\w.,])${escapeRegExp(label)}(?!\\w|[.,]\\d)`, "g");
+
+// Every number in `text`, ignoring the separators in 1,234.50, as { value, money }. A figure is money when
+// it has pence or sits next to a currency symbol or one of `currencies`. Dates, quarter names and `labels`
+// (text the tools returned, such as invoice numbers) are not figures.
+const figuresIn = (text, labels = [], currencies = []) => {
+  const codes = [...new Set(currencies)].map(escapeRegExp).join("|") || "(?!)";
+  const pattern = new RegExp(`([£$€]\\s?|\\b(?:${codes})\\s?)?(\\d[\\d,]*(\\.\\d+)?)(\\s?(?:${codes})\\b)?`, "g");
+  const rest = [...new Set(labels)]
+    .sort((a, b) => b.length - a.length)
+    .reduce((remaining, label) => remaining.replace(labelPattern(label), " "), String(text))
+    .replace(/\b\d{4}-\d{2}(-\d{2})?\b/g, " ")
+    .replace(/\bQ[1-4]\b/gi, " ");
+  return [...rest.matchAll(pattern)].map(([, prefix, figure, pence, suffix]) => ({
+    value: Number(figure.replace(/,/g, "")),
+    money: Boolean(prefix || pence || suffix),
+  }));
+};
+
+// Money fields of a tool result. Only these can back a money figure, so invoice 12 never grounds "£12".
+const AMOUNT_FIELDS = ["total_amount", "total_paid", "total_outstanding", "amount", "amount_paid", "balance"];
+// Counts can back a plain whole number such as "3 invoices", but never an amount. Ids back nothing.
+const COUNT_FIELDS = ["invoice_count", "total", "more_invoice_ids", "paid_on_time", "paid_late", "open_overdue"];
+
+const fieldsIn = (value, names) => {
+  if (Array.isArray(value)) return value.flatMap((item) => fieldsIn(item, names));
+  if (!value || typeof value !== "object") return [];
+  return Object.entries(value).flatMap(([key, field]) =>
+    names.includes(key) && typeof field === "number" ? [field] : fieldsIn(field, names),
+  );
+};
+
+// Currency codes a tool result mentions.
+const currenciesIn = (value) => {
+  if (Array.isArray(value)) return value.flatMap(currenciesIn);
+  if (!value || typeof value !== "object") return [];
+  return Object.entries(value).flatMap(([key, field]) =>
+    key === "currency" && typeof field === "string" ? [field] : currenciesIn(field),
+  );
+};
+
+// Text fields of a tool result that contain digits, such as invoice numbers and dates.
+const labelsIn = (value) => {
+  if (typeof value === "string") return /\d/.test(value) ? [value] : [];
+  if (value && typeof value === "object") return Object.values(value).flatMap(labelsIn);
+  return [];
+};
+
+// A figure is grounded when a tool returned that exact value, to the penny.
+const isGrounded = (figure, known) => known.some((value) => Math.abs(value - figure) < 0.005);
+
+const parseAnswer = (content) => {
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed && typeof parsed === "object" && typeof parsed.answer === "string") return parsed;
+  } catch (_err) {
+    // Fall through: a plain-text reply is treated as the answer without citations.
+  }
+  return { answer: String(content || "").trim(), invoice_ids: [], answerable: true };
+};
+
+// Bad tool names and arguments go back to the model as an error it can correct.
+const runTool = async (organisationId, call, today) => {
+  let args = null;
+  try {
+    args = JSON.parse(call.arguments || "{}");
+  } catch (_err) {
+    // Reported below.
+  }
+  const handler = TOOL_HANDLERS[call.name];
+  if (!handler) return { args, result: { error: `Unknown tool ${call.name}` } };
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    return { args, result: { error: "Arguments must be a JSON object" } };
+  }
+  return { args, result: await handler(organisationId, args, today) };
+};
+
+const refusal = (answer, toolCalls, extra = {}) => ({
+  answer,
+  answerable: false,
+  refused: true,
+  invoiceIds: [],
+  toolCalls,
+  ...extra,
+});
+
+const NOTHING_LOOKED_UP = "I can only answer from the invoice ledger, and no ledger data was looked up for this question.";
+const UNVERIFIED_FIGURES = "I could not check every figure in my answer against the ledger, so I will not give it.";
+const NO_CITATIONS = "I could not tie my answer to the invoices it relies on, so I will not give it.";
+const CANNOT_ANSWER = "The invoice ledger does not hold what this question needs.";
+
+/**
+ * Answers a question about the organisation's invoices. The model may only look data up through the
+ * read-only TOOLS above; its answer must cite invoice ids those tools returned, unless they matched no
+ * invoices, and any figure in it that no tool returned turns the answer into a refusal. The same check
+ * applies to the model's explanation of why it cannot answer; one that fails it gets a fixed message. Resolves
+ * { answer, answerable, refused, invoiceIds, toolCalls } or null when no LLM provider is configured.
+ * Throws AskProviderError when the provider fails.
+ */
+const answerQuestion = async (organisationId, question, { today = new Date() } = {}) => {
+  if (!llm.isConfigured()) return null;
+  const systemPrompt = `You answer questions about a small business's supplier invoices (accounts payable).
+Today is ${toISODate(today)}. Quarters are calendar quarters; "last quarter" is the full quarter before the current one.
+Look data up with the tools; never estimate, extrapolate or use figures that no tool returned. Do not add up or
+average figures yourself when a tool can group them for you. Amounts are in the currency given with them; never convert. Quote figures exactly as the tools return them.
+Do not mention invoice ids in the answer text; list them in "invoice_ids".
+If the tools cannot answer the question, say so and what is missing, and set "answerable" to false.
+Reply with JSON only: {"answer": string, "invoice_ids": [ids of the invoices your answer relies on], "answerable": boolean}`;
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: question },
+  ];
+  const toolCalls = [];
+  const seenIds = new Set();
+  const asked = figuresIn(question).map((figure) => figure.value);
+  const knownAmounts = [...asked];
+  const knownCounts = [...asked];
+  const labels = [];
+  const currencies = [];
+  const unverifiedIn = (text) => [
+    ...new Set(
+      figuresIn(text, labels, currencies)
+        .filter(({ value, money }) => !isGrounded(value, money ? knownAmounts : [...knownAmounts, ...knownCounts]))
+        .map((figure) => figure.value),
+    ),
+  ];
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round += 1) {
+    let response;
+    try {
+      response = await llm.complete("ask", messages, { temperature: 0, responseFormat: "json", tools: TOOLS });
+    } catch (err) {
+      throw new AskProviderError(err);
+    }
+    if (!response.toolCalls?.length) {
+      const parsed = parseAnswer(response.content);
+      const unverified = unverifiedIn(parsed.answer);
+      if (parsed.answerable === false) return refusal(unverified.length ? CANNOT_ANSWER : parsed.answer, toolCalls);
+      if (!toolCalls.some((call) => !call.error)) {
+        return refusal(NOTHING_LOOKED_UP, toolCalls);
+      }
+      if (unverified.length) {
+        console.warn(`Ask: refusing an answer with figures no tool returned: ${unverified.join(", ")}`);
+        return refusal(UNVERIFIED_FIGURES, toolCalls, { unverifiedFigures: unverified });
+      }
+      const cited = Array.isArray(parsed.invoice_ids) ? parsed.invoice_ids.map(Number) : [];
+      const invoiceIds = [...new Set(cited.filter((id) => seenIds.has(id)))];
+      // An answer about no invoices has nothing to cite; any other answer must cite what it relies on.
+      if (!invoiceIds.length && seenIds.size) return refusal(NO_CITATIONS, toolCalls);
+      return { answer: parsed.answer, answerable: true, refused: false, invoiceIds, toolCalls };
+    }
+
+    messages.push(response.message);
+    for (const call of response.toolCalls) {
+      const { args, result } = await runTool(organisationId, call, today);
+      toolCalls.push({ name: call.name, arguments: args, ...(result.error ? { error: result.error } : {}) });
+      if (!result.error) {
+        idsIn(result).forEach((id) => seenIds.add(id));
+        knownAmounts.push(...fieldsIn(result, AMOUNT_FIELDS));
+        knownCounts.push(...fieldsIn(result, COUNT_FIELDS));
+        labels.push(...labelsIn(result));
+        currencies.push(...currenciesIn(result));
+      }
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+  return refusal(`I could not answer within ${MAX_TOOL_ROUNDS} lookups.`, toolCalls);
+};
+
+module.exports = {
+  AskProviderError,
+  validateAskInput,
+  answerQuestion,
+};
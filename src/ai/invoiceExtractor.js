@@ -1,18 +1,13 @@
-require("dotenv").config();
-const OpenAI = require("openai");
+const llm = require("./llm");
+const { STATUS, DOCUMENT_TYPE } = require("../invoiceStatus");
+const { normalizeCurrency, normalizeLineItems, reconcileInvoice, toNumberOrNull } = require("../lineItems");
+const { REVIEWED_FIELDS, clampConfidence } = require("../review");
 
-function getClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.warn("OPENAI_API_KEY is not set; skipping AI extraction.");
+async function extractInvoiceFromText(rawText) {
+  if (!llm.isConfigured()) {
+    console.warn("No LLM provider configured; skipping AI extraction.");
     return null;
   }
-  return new OpenAI({ apiKey });
-}
-
-async function extractInvoiceFromText(rawText) {
-  const client = getClient();
-  if (!client) return null;
   try {
     const systemPrompt = `
 You are an invoice extraction engine. Use ONLY the information explicitly present in the provided text.
@@ -27,9 +22,31 @@ Extract this JSON:
   "invoice_number": string or null,
   "issue_date": string or null,   // YYYY-MM-DD
   "due_date": string or null,     // YYYY-MM-DD
-  "amount": number or null,
-  "status": string or null,       // e.g. "Upcoming", "Due soon", "Overdue", "Paid"
-  "category": string or null
+  "amount": number or null,       // gross total including VAT
+  "net_amount": number or null,   // total before VAT
+  "vat_amount": number or null,   // total VAT
+  "currency": string or null,     // ISO 4217 code, e.g. "GBP", "EUR", "USD"
+  "line_items": [                 // empty array if the document has no itemised lines
+    {
+      "description": string or null,
+      "quantity": number or null,
+      "unit_price": number or null,   // before VAT
+      "vat_rate": number or null,     // percentage, e.g. 20
+      "net_amount": number or null,
+      "vat_amount": number or null,
+      "gross_amount": number or null
+    }
+  ],
+  "document_type": string,        // "credit_note" only if the document says it is a credit note or credit memo, otherwise "invoice"
+  "status": string or null,       // "paid" only if the document explicitly says it has been paid, otherwise null
+  "category": string or null,
+  "confidence": {                 // 0 to 1: how clearly each value is stated in the text
+    "supplier": number,
+    "invoice_number": number,
+    "issue_date": number,
+    "due_date": number,
+    "amount": number
+  }
 }
 If a field is not present in the text, set it to null. Do not guess.
 
@@ -37,25 +54,45 @@ TEXT:
 ${rawText || ""}`;
 
     // Instruction: do not hallucinate; missing fields must be null; output pure JSON only.
-    const response = await client.chat.completions.create({
-      model: "gpt-4.1-mini",
-      messages: [
+    const response = await llm.complete(
+      "extraction",
+      [
         { role: "system", content: systemPrompt },
         { role: "user", content: userPrompt },
       ],
-      temperature: 0.2,
-    });
+      { temperature: 0.2 },
+    );
 
-    const content = response?.choices?.[0]?.message?.content || "";
+    const content = response?.content || "";
     try {
       const parsed = JSON.parse(content);
+      // Due-date states are derived later; the only status a document can assert is that it is already paid.
+      if (parsed && typeof parsed === "object") {
+        const status = typeof parsed.status === "string" ? parsed.status.trim().toLowerCase() : "";
+        parsed.status = status === STATUS.PAID ? STATUS.PAID : null;
+        parsed.document_type = parsed.document_type === DOCUMENT_TYPE.CREDIT_NOTE ? DOCUMENT_TYPE.CREDIT_NOTE : DOCUMENT_TYPE.INVOICE;
+        parsed.currency = normalizeCurrency(parsed.currency);
+        parsed.net_amount = toNumberOrNull(parsed.net_amount);
+        parsed.vat_amount = toNumberOrNull(parsed.vat_amount);
+        parsed.line_items = normalizeLineItems(parsed.line_items);
+        parsed.reconciliation = reconcileInvoice({
+          amount: parsed.amount,
+          net_amount: parsed.net_amount,
+          vat_amount: parsed.vat_amount,
+          lines: parsed.line_items,
+        });
+        const confidence = parsed.confidence && typeof parsed.confidence === "object" ? parsed.confidence : {};
+        parsed.confidence = Object.fromEntries(
+          REVIEWED_FIELDS.map((field) => [field, clampConfidence(confidence[field], null)]),
+        );
+      }
       return parsed;
     } catch (err) {
       console.error("Failed to parse AI invoice JSON", err, content);
       return null;
     }
   } catch (err) {
-    console.error("OpenAI extraction error", err);
+    console.error("AI extraction error", err);
     return null;
   }
 }
@@ -0,0 +1,147 @@
+require("dotenv").config();
+const { createOpenAIProvider } = require("./providers/openai");
+const { createMockProvider } = require("./providers/mock");
+
+const DEFAULT_MODEL = "gpt-4.1-mini";
+
+// USD per 1M tokens, used only for the cost estimate in usage logs. Unknown models log no cost.
+const MODEL_PRICES = {
+  "gpt-4.1": { input: 2.0, output: 8.0 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10.0 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+};
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * LLM_PROVIDER picks the backend: "openai", "openai-compatible" (needs LLM_BASE_URL) or "mock".
+ * When unset, OpenAI is used if OPENAI_API_KEY is present; otherwise AI features are skipped.
+ */
+const resolveProviderName = () => {
+  const configured = (process.env.LLM_PROVIDER || "").trim().toLowerCase();
+  if (configured) return configured;
+  return process.env.OPENAI_API_KEY ? "openai" : null;
+};
+
+const createProvider = () => {
+  const name = resolveProviderName();
+  const timeoutMs = numberFromEnv("LLM_TIMEOUT_MS", 30000);
+  switch (name) {
+    case null:
+      return null;
+    case "openai":
+      if (!process.env.OPENAI_API_KEY) {
+        console.warn("LLM_PROVIDER=openai but OPENAI_API_KEY is not set; AI features are disabled.");
+        return null;
+      }
+      return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY, timeoutMs });
+    case "openai-compatible":
+      if (!process.env.LLM_BASE_URL) {
+        console.warn("LLM_PROVIDER=openai-compatible but LLM_BASE_URL is not set; AI features are disabled.");
+        return null;
+      }
+      return createOpenAIProvider({
+        name: "openai-compatible",
+        apiKey: process.env.LLM_API_KEY,
+        baseURL: process.env.LLM_BASE_URL,
+        timeoutMs,
+      });
+    case "mock":
+      return createMockProvider({ fixturesDir: process.env.LLM_MOCK_FIXTURES_DIR || undefined });
+    default:
+      console.warn(`Unknown LLM_PROVIDER "${name}"; AI features are disabled.`);
+      return null;
+  }
+};
+
+let provider;
+const getProvider = () => {
+  if (provider === undefined) provider = createProvider();
+  return provider;
+};
+
+const isConfigured = () => Boolean(getProvider());
+
+// Per-task model, e.g. LLM_MODEL_EXTRACTION or LLM_MODEL_SUMMARY, falling back to LLM_MODEL.
+const modelForTask = (task) =>
+  process.env[`LLM_MODEL_${task.toUpperCase()}`] || process.env.LLM_MODEL || DEFAULT_MODEL;
+
+const estimateCostUsd = (model, usage) => {
+  const price = MODEL_PRICES[model] || MODEL_PRICES[Object.keys(MODEL_PRICES).find((key) => model.startsWith(`${key}-`))];
+  if (!price || usage.promptTokens === null || usage.completionTokens === null) return null;
+  const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+const isRetryable = (err) => {
+  const status = err?.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  const text = `${err?.name} ${err?.message}`;
+  return /timeout|timed out|connection|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up/i.test(text);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms, task) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`LLM ${task} request timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs one chat completion for `task` through the configured provider with timeout, retries and
+ * usage logging. Returns { content, model, usage } or null when no provider is configured.
+ * With `tools` ([{ name, description, parameters }]) the result also has `toolCalls`
+ * ([{ id, name, arguments }], arguments as a JSON string) and `message`, the assistant message to send
+ * back ahead of the tool results.
+ */
+const complete = async (task, messages, { temperature = 0.2, responseFormat, tools } = {}) => {
+  const activeProvider = getProvider();
+  if (!activeProvider) {
+    console.warn(`No LLM provider configured; skipping AI ${task}.`);
+    return null;
+  }
+  const model = modelForTask(task);
+  const timeoutMs = numberFromEnv("LLM_TIMEOUT_MS", 30000);
+  const maxRetries = numberFromEnv("LLM_MAX_RETRIES", 2);
+
+  for (let attempt = 0; ; attempt += 1) {
+    const startedAt = Date.now();
+    try {
+      const result = await withTimeout(
+        activeProvider.complete({ task, model, messages, temperature, responseFormat, tools }),
+        timeoutMs,
+        task,
+      );
+      console.log("LLM usage:", {
+        task,
+        provider: activeProvider.name,
+        model: result.model,
+        promptTokens: result.usage.promptTokens,
+        completionTokens: result.usage.completionTokens,
+        estimatedCostUsd: estimateCostUsd(result.model, result.usage),
+        durationMs: Date.now() - startedAt,
+        attempt: attempt + 1,
+      });
+      return result;
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) throw err;
+      const delay = 500 * 2 ** attempt;
+      console.warn(`LLM ${task} attempt ${attempt + 1} failed (${err.message}); retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  complete,
+  isConfigured,
+  modelForTask,
+};
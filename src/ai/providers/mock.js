@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const defaultFixturesDir = path.join(__dirname, "..", "fixtures");
+
+const readFixture = (file) => {
+  if (!fs.existsSync(file)) return undefined;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+const asContent = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+// One step of a scripted fixture: { tool_calls: [{ name, arguments }] } asks for tools, anything else answers.
+const scriptedStep = (step, round) => {
+  if (!Array.isArray(step?.tool_calls)) return { content: asContent(step?.content ?? step) };
+  const toolCalls = step.tool_calls.map((call, index) => ({
+    id: `mock_call_${round}_${index}`,
+    name: call.name,
+    arguments: JSON.stringify(call.arguments || {}),
+  }));
+  const message = {
+    role: "assistant",
+    content: null,
+    tool_calls: toolCalls.map((call) => ({
+      id: call.id,
+      type: "function",
+      function: { name: call.name, arguments: call.arguments },
+    })),
+  };
+  return { content: "", message, toolCalls };
+};
+
+/**
+ * Deterministic offline provider. For each call it returns, in order of preference:
+ * `<fixturesDir>/<task>-<hash>.json` where hash is the first 12 hex chars of the SHA-256 of the
+ * last user message, then `<fixturesDir>/<task>.json`. Fixture files hold either a JSON string
+ * (returned as-is) or any other JSON value (returned stringified). For calls with tools, a fixture
+ * may be an array of steps played in order, one per round, counting the assistant messages so far.
+ */
+const createMockProvider = ({ fixturesDir = defaultFixturesDir } = {}) => ({
+  name: "mock",
+  complete: async ({ task, model, messages, tools }) => {
+    const lastUser = [...messages].reverse().find((message) => message.role === "user");
+    const hash = crypto
+      .createHash("sha256")
+      .update(lastUser?.content || "")
+      .digest("hex")
+      .slice(0, 12);
+    const fixture =
+      readFixture(path.join(fixturesDir, `${task}-${hash}.json`)) ?? readFixture(path.join(fixturesDir, `${task}.json`));
+    if (fixture === undefined) {
+      throw new Error(`No mock fixture for task "${task}" (looked for ${task}-${hash}.json and ${task}.json)`);
+    }
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    if (tools?.length && Array.isArray(fixture)) {
+      const round = messages.filter((message) => message.role === "assistant").length;
+      return { ...scriptedStep(fixture[Math.min(round, fixture.length - 1)], round), model, usage };
+    }
+    return { content: asContent(fixture), model, usage };
+  },
+});
+
+module.exports = {
+  createMockProvider,
+};
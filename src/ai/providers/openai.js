@@ -0,0 +1,44 @@
+const OpenAI = require("openai");
+
+// Works for api.openai.com and any OpenAI-compatible server (Ollama, llama.cpp, vLLM) via `baseURL`.
+// Retries and timeouts are handled by src/ai/llm.js, so the SDK's own retries are switched off.
+const createOpenAIProvider = ({ name = "openai", apiKey, baseURL, timeoutMs }) => {
+  const client = new OpenAI({
+    apiKey: apiKey || "not-needed",
+    baseURL: baseURL || undefined,
+    timeout: timeoutMs,
+    maxRetries: 0,
+  });
+
+  return {
+    name,
+    complete: async ({ model, messages, temperature, responseFormat, tools }) => {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        ...(responseFormat === "json" ? { response_format: { type: "json_object" } } : {}),
+        ...(tools?.length ? { tools: tools.map((tool) => ({ type: "function", function: tool })) } : {}),
+      });
+      const message = response?.choices?.[0]?.message;
+      return {
+        content: message?.content || "",
+        message,
+        toolCalls: (message?.tool_calls || []).map((call) => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments,
+        })),
+        model: response?.model || model,
+        usage: {
+          promptTokens: response?.usage?.prompt_tokens ?? null,
+          completionTokens: response?.usage?.completion_tokens ?? null,
+        },
+      };
+    },
+  };
+};
+
+module.exports = {
+  createOpenAIProvider,
+};
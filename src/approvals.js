@@ -0,0 +1,59 @@
+const { isCreditNote } = require("./invoiceStatus");
+
+const APPROVAL = {
+  PENDING: "pending_approval",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+const DECISIONS = [APPROVAL.APPROVED, APPROVAL.REJECTED];
+
+const parseThreshold = (value) => {
+  const num = Number(value);
+  return value === undefined || value === "" || !Number.isFinite(num) ? 5000 : num;
+};
+
+// Invoices above this amount need an approver's sign-off before they can be paid; 0 means all of them.
+const APPROVAL_THRESHOLD = parseThreshold(process.env.APPROVAL_THRESHOLD);
+
+// A supplier is new until one of its invoices has been paid in full.
+const APPROVE_NEW_SUPPLIERS = String(process.env.APPROVAL_NEW_SUPPLIERS || "true").toLowerCase() !== "false";
+
+class ApprovalRequiredError extends Error {
+  constructor(invoice) {
+    super(
+      invoice.approval_status === APPROVAL.REJECTED
+        ? "Payment of this invoice was rejected by an approver"
+        : "This invoice needs an approver's sign-off before it can be paid",
+    );
+    this.name = "ApprovalRequiredError";
+    this.approvalStatus = invoice.approval_status;
+  }
+}
+
+// Why `invoice` needs sign-off, if at all. `paidBefore` is whether its supplier has been paid before.
+// Credit notes pay nothing out, so they never do.
+const approvalReasons = (invoice, { paidBefore }) => {
+  const reasons = [];
+  if (isCreditNote(invoice)) return reasons;
+  if (Number(invoice.amount) > APPROVAL_THRESHOLD) {
+    reasons.push(`amount ${invoice.amount} is over the approval threshold of ${APPROVAL_THRESHOLD}`);
+  }
+  if (APPROVE_NEW_SUPPLIERS && !paidBefore) reasons.push(`${invoice.supplier} has not been paid before`);
+  return reasons;
+};
+
+const assertApproved = (invoice) => {
+  if (invoice.approval_status === APPROVAL.PENDING || invoice.approval_status === APPROVAL.REJECTED) {
+    throw new ApprovalRequiredError(invoice);
+  }
+};
+
+module.exports = {
+  APPROVAL,
+  DECISIONS,
+  APPROVAL_THRESHOLD,
+  ApprovalRequiredError,
+  approvalReasons,
+  assertApproved,
+};
@@ -0,0 +1,33 @@
+const { findSessionUser } = require("../db");
+const { hasPermission } = require("./roles");
+const { hashToken, bearerToken } = require("./sessions");
+
+// Resolves `Authorization: Bearer <token>` to req.user ({ id, organisation_id, email, name, role }).
+const authenticate = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "Authentication required" });
+  try {
+    const tokenHash = hashToken(token);
+    const user = await findSessionUser(tokenHash);
+    if (!user) return res.status(401).json({ error: "Session is invalid or has expired" });
+    req.user = user;
+    req.sessionTokenHash = tokenHash;
+    next();
+  } catch (err) {
+    console.error("Failed to authenticate request", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: "Authentication required" });
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: `The ${req.user.role} role cannot do this` });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requirePermission,
+};
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised without breaking old hashes.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Hashes are stored as "scrypt$N$r$p$salt$key" with base64 salt and key.
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ["scrypt", SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString("base64"), key.toString("base64")].join("$");
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, n, r, p, salt, key] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+  const expected = Buffer.from(key, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+};
@@ -0,0 +1,40 @@
+const ROLE = {
+  VIEWER: "viewer",
+  BOOKKEEPER: "bookkeeper",
+  APPROVER: "approver",
+};
+
+const ROLES = Object.values(ROLE);
+
+const PERMISSION = {
+  READ: "read",
+  WRITE: "write",
+  RECORD_PAYMENTS: "record_payments",
+  APPROVE: "approve",
+  MANAGE_USERS: "manage_users",
+  MANAGE_NOTIFICATIONS: "manage_notifications",
+};
+
+// The approver is the most senior role: it signs off payments and manages the organisation's users
+// and the webhooks and digest that send its data elsewhere.
+const ROLE_PERMISSIONS = {
+  [ROLE.VIEWER]: [PERMISSION.READ],
+  [ROLE.BOOKKEEPER]: [PERMISSION.READ, PERMISSION.WRITE, PERMISSION.RECORD_PAYMENTS],
+  [ROLE.APPROVER]: [
+    PERMISSION.READ,
+    PERMISSION.WRITE,
+    PERMISSION.RECORD_PAYMENTS,
+    PERMISSION.APPROVE,
+    PERMISSION.MANAGE_USERS,
+    PERMISSION.MANAGE_NOTIFICATIONS,
+  ],
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = {
+  ROLE,
+  ROLES,
+  PERMISSION,
+  hasPermission,
+};
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// Only a SHA-256 of each token is stored, so a leaked database does not hand out live sessions.
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newSessionToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  return { token, tokenHash: hashToken(token), expiresAt };
+};
+
+// The first account takes over the default organisation, so registering it needs BOOTSTRAP_TOKEN.
+// Without one set, nobody can claim a fresh deployment over the API.
+const bootstrapTokenMatches = (token) => {
+  const expected = process.env.BOOTSTRAP_TOKEN;
+  if (!expected || typeof token !== "string") return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token), "hex"), Buffer.from(hashToken(expected), "hex"));
+};
+
+const bearerToken = (req) => {
+  const match = (req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  hashToken,
+  newSessionToken,
+  bootstrapTokenMatches,
+  bearerToken,
+};
@@ -0,0 +1,53 @@
+// BACS only carries sterling between UK accounts: a 6-digit sort code and an 8-digit account number.
+const BACS_CURRENCY = "GBP";
+
+// Standard BACS transaction code for a credit to the payee's account.
+const BACS_CREDIT_CODE = "99";
+
+// BACS truncates payee names and references at 18 characters and accepts only this character set.
+const BACS_FIELD_LENGTH = 18;
+const BACS_DISALLOWED = /[^A-Z0-9 .&/-]/g;
+
+const bacsText = (value) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(BACS_DISALLOWED, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, BACS_FIELD_LENGTH)
+    .trim();
+
+// A supplier's UK account from its bank_details, or null when the sort code or account number is missing
+// or malformed. Seven-digit account numbers are padded with a leading zero, as banks do.
+const ukBankAccount = (bankDetails, fallbackName = "") => {
+  const sortCode = String(bankDetails?.sort_code || "").replace(/[\s-]/g, "");
+  let accountNumber = String(bankDetails?.account_number || "").replace(/[\s-]/g, "");
+  if (/^\d{7}$/.test(accountNumber)) accountNumber = `0${accountNumber}`;
+  if (!/^\d{6}$/.test(sortCode) || !/^\d{8}$/.test(accountNumber)) return null;
+  return { sortCode, accountNumber, accountName: bacsText(bankDetails.account_name || fallbackName) };
+};
+
+/**
+ * A BACS bulk payment CSV for an approved payment run: one headerless row per payment with the payee
+ * account recorded at approval (sort code, account number, name), the amount in pounds, a reference and
+ * transaction code 99. The reference is the invoice number, so the supplier can match the money to their invoice.
+ */
+const buildBacsCsv = (items) =>
+  items
+    .map((item) =>
+      [
+        item.sort_code,
+        item.account_number,
+        item.account_name,
+        Number(item.amount).toFixed(2),
+        bacsText(item.invoice_number || `INVOICE ${item.invoice_id}`),
+        BACS_CREDIT_CODE,
+      ].join(","),
+    )
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  BACS_CURRENCY,
+  ukBankAccount,
+  buildBacsCsv,
+};
@@ -0,0 +1,97 @@
+const { XMLParser } = require("fast-xml-parser");
+
+const parser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  parseTagValue: false,
+  isArray: (name) => ["Stmt", "Bal", "Ntry", "NtryDtls", "TxDtls", "Ustrd"].includes(name),
+});
+
+const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  const value = typeof node === "object" ? node["#text"] : node;
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text || null;
+};
+
+// <Amt Ccy="GBP">12.50</Amt> with <CdtDbtInd>DBIT</CdtDbtInd> beside it; debits are money out.
+const signedAmount = (node) => {
+  const num = parseFloat(textOf(node?.Amt));
+  if (!Number.isFinite(num)) return null;
+  return node.CdtDbtInd === "DBIT" ? -num : num;
+};
+
+const dateOf = (node) => {
+  const value = textOf(node?.Dt) || textOf(node?.DtTm);
+  return value && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null;
+};
+
+// Party names moved under <Pty> in camt.053.001.08; older versions have <Nm> directly.
+const partyName = (party) => textOf(party?.Pty?.Nm) || textOf(party?.Nm);
+
+const entryDetails = (entry) => {
+  const details = (entry.NtryDtls || []).flatMap((item) => item.TxDtls || [])[0] || {};
+  const debit = entry.CdtDbtInd === "DBIT";
+  const parties = details.RltdPties || {};
+  const structured = details.RmtInf?.Strd;
+  const structuredRef = textOf((Array.isArray(structured) ? structured[0] : structured)?.CdtrRefInf?.Ref);
+  const endToEnd = textOf(details.Refs?.EndToEndId);
+  return {
+    counterparty: debit ? partyName(parties.Cdtr) : partyName(parties.Dbtr),
+    reference: structuredRef || (endToEnd && endToEnd !== "NOTPROVIDED" ? endToEnd : null),
+    unstructured: (details.RmtInf?.Ustrd || []).map(textOf).filter(Boolean).join(" ") || null,
+  };
+};
+
+/**
+ * Reads the first statement in an ISO 20022 camt.053 file. Only booked entries are kept; the closing
+ * booked balance (CLBD) becomes the statement balance.
+ */
+const parseCamtStatement = (text) => {
+  let parsed;
+  try {
+    parsed = parser.parse(text);
+  } catch (err) {
+    return { error: `File is not valid XML: ${err.message}` };
+  }
+  const statement = parsed?.Document?.BkToCstmrStmt?.Stmt?.[0];
+  if (!statement) return { error: "XML is not a camt.053 bank statement (no BkToCstmrStmt/Stmt)" };
+
+  const errors = [];
+  const transactions = [];
+  (statement.Ntry || []).forEach((entry, index) => {
+    const status = textOf(entry.Sts?.Cd) || textOf(entry.Sts);
+    if (status && status !== "BOOK") return;
+    const bookedOn = dateOf(entry.BookgDt) || dateOf(entry.ValDt);
+    const amount = signedAmount(entry);
+    if (!bookedOn || amount === null) {
+      errors.push(`entry ${index + 1}: missing booking date or amount`);
+      return;
+    }
+    const details = entryDetails(entry);
+    transactions.push({
+      booked_on: bookedOn,
+      amount,
+      currency: entry.Amt?.Ccy || null,
+      description: details.unstructured || textOf(entry.AddtlNtryInf),
+      counterparty: details.counterparty,
+      reference: details.reference,
+      external_id: textOf(entry.AcctSvcrRef) || textOf(entry.NtryRef),
+    });
+  });
+  if (errors.length) return { error: errors.join("; ") };
+
+  const closing = (statement.Bal || []).find((balance) => textOf(balance.Tp?.CdOrPrtry?.Cd) === "CLBD");
+  return {
+    account: textOf(statement.Acct?.Id?.IBAN) || textOf(statement.Acct?.Id?.Othr?.Id),
+    currency: textOf(statement.Acct?.Ccy),
+    closingBalance: closing ? signedAmount(closing) : null,
+    balanceDate: closing ? dateOf(closing.Dt) : null,
+    transactions,
+  };
+};
+
+module.exports = {
+  parseCamtStatement,
+};
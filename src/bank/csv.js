@@ -0,0 +1,93 @@
+const { parseCsv, detectDelimiter } = require("../import/csv");
+const { normalizeHeader } = require("../import/layouts");
+const { parseAmount, parseImportDate } = require("../import");
+
+// Headers a bank CSV export may use for each column, compared the same way as invoice import headers.
+const COLUMNS = {
+  date: ["date", "transaction date", "booking date", "booked date", "posted date", "posting date", "value date"],
+  amount: ["amount", "value", "transaction amount"],
+  debit: ["debit", "debit amount", "paid out", "money out", "withdrawals", "out"],
+  credit: ["credit", "credit amount", "paid in", "money in", "deposits", "in"],
+  description: ["description", "details", "narrative", "transaction description", "memo", "particulars"],
+  counterparty: ["payee", "counterparty", "counter party", "name", "merchant", "beneficiary"],
+  reference: ["reference", "ref", "payment reference", "transaction reference"],
+  balance: ["balance", "running balance", "closing balance"],
+  currency: ["currency", "currency code"],
+  id: ["id", "transaction id", "fitid"],
+};
+
+const resolveColumns = (headers) =>
+  Object.fromEntries(
+    Object.entries(COLUMNS).map(([field, candidates]) => {
+      const wanted = candidates.map(normalizeHeader);
+      return [field, headers.findIndex((header) => wanted.includes(normalizeHeader(header)))];
+    }),
+  );
+
+// The header is the first of the top rows that has a date column and an amount or debit/credit column.
+const findHeader = (rows) => {
+  for (let index = 0; index < Math.min(rows.length, 10); index += 1) {
+    const columns = resolveColumns(rows[index]);
+    if (columns.date !== -1 && (columns.amount !== -1 || columns.debit !== -1 || columns.credit !== -1)) {
+      return { index, columns };
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads a bank CSV export. Amounts come either from a signed amount column or from separate
+ * debit/credit columns; money out is negative. The running balance on the latest row, when the
+ * export has one, is taken as the statement's closing balance.
+ */
+const parseCsvStatement = (text, { dateFormat = "DD/MM/YYYY" } = {}) => {
+  const rows = parseCsv(text, { delimiter: detectDelimiter(text) });
+  const header = findHeader(rows);
+  if (!header) return { error: "CSV needs a date column and an amount (or debit/credit) column" };
+  const { index, columns } = header;
+  const cell = (row, field) => (columns[field] === -1 ? "" : String(row[columns[field]] ?? "").trim());
+
+  const errors = [];
+  const transactions = [];
+  const balances = [];
+  rows.slice(index + 1).forEach((row, offset) => {
+    if (row.every((value) => !String(value).trim())) return;
+    const line = index + offset + 2;
+    const bookedOn = parseImportDate(cell(row, "date"), dateFormat);
+    let amount = parseAmount(cell(row, "amount"));
+    if (amount === null && (cell(row, "debit") || cell(row, "credit"))) {
+      amount = (parseAmount(cell(row, "credit")) || 0) - Math.abs(parseAmount(cell(row, "debit")) || 0);
+    }
+    if (!bookedOn) errors.push(`line ${line}: date "${cell(row, "date")}" is not a recognised date`);
+    if (amount === null) errors.push(`line ${line}: no amount`);
+    if (!bookedOn || amount === null) return;
+
+    transactions.push({
+      booked_on: bookedOn,
+      amount,
+      currency: cell(row, "currency") || null,
+      description: cell(row, "description") || null,
+      counterparty: cell(row, "counterparty") || null,
+      reference: cell(row, "reference") || null,
+      external_id: cell(row, "id") || null,
+    });
+    const balance = parseAmount(cell(row, "balance"));
+    if (balance !== null) balances.push({ amount: balance, date: bookedOn });
+  });
+  if (errors.length) return { error: errors.join("; ") };
+
+  // Exports run oldest-first or newest-first; the closing balance is on the newest row either way.
+  const newestFirst = transactions.length > 1 && transactions[0].booked_on > transactions[transactions.length - 1].booked_on;
+  const closing = newestFirst ? balances[0] : balances[balances.length - 1];
+  return {
+    account: null,
+    currency: null,
+    closingBalance: closing ? closing.amount : null,
+    balanceDate: closing ? closing.date : null,
+    transactions,
+  };
+};
+
+module.exports = {
+  parseCsvStatement,
+};
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const { parseCsvStatement } = require("./csv");
+const { parseOfxStatement } = require("./ofx");
+const { parseCamtStatement } = require("./camt");
+const { normalizeCurrency, DEFAULT_CURRENCY } = require("../lineItems");
+
+const STATEMENT_FORMATS = ["csv", "ofx", "camt053"];
+
+const TRANSACTION_STATUS = {
+  UNMATCHED: "unmatched",
+  SUGGESTED: "suggested",
+  RECONCILED: "reconciled",
+  IGNORED: "ignored",
+};
+
+const TRANSACTION_STATUSES = Object.values(TRANSACTION_STATUS);
+
+class BankStatementError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BankStatementError";
+  }
+}
+
+// A transaction that was reconciled by another request while this one was confirming it.
+class BankReconciliationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BankReconciliationError";
+  }
+}
+
+const detectFormat = (text, { originalname = "" } = {}) => {
+  if (/\.ofx$|\.qfx$/i.test(originalname) || /OFXHEADER|<OFX>/i.test(text.slice(0, 2000))) return "ofx";
+  if (/camt\.053|<BkToCstmrStmt/i.test(text.slice(0, 2000))) return "camt053";
+  return "csv";
+};
+
+const PARSERS = {
+  csv: parseCsvStatement,
+  ofx: parseOfxStatement,
+  camt053: parseCamtStatement,
+};
+
+// Identifies a transaction across uploads so overlapping statements do not store it twice. Banks that
+// give each transaction an id are keyed on it; otherwise identical lines in one file are told apart by
+// their position among themselves.
+const fingerprintTransactions = (account, transactions) => {
+  const seen = new Map();
+  return transactions.map((transaction) => {
+    const key = transaction.external_id
+      ? ["id", account, transaction.external_id]
+      : ["line", account, transaction.booked_on, transaction.amount, transaction.description, transaction.reference];
+    const base = JSON.stringify(key);
+    const occurrence = (seen.get(base) || 0) + 1;
+    seen.set(base, occurrence);
+    const fingerprint = crypto.createHash("sha256").update(`${base}#${occurrence}`).digest("hex");
+    return { ...transaction, fingerprint };
+  });
+};
+
+/**
+ * Parses a bank statement upload. `format` is detected from the file unless given; `dateFormat` only
+ * applies to CSV. Resolves { format, account, currency, closingBalance, balanceDate, transactions } with
+ * amounts signed (money out negative) and rounded to pence. Throws BankStatementError when the file
+ * cannot be read.
+ */
+const readStatement = (text, file = {}, { format, dateFormat } = {}) => {
+  const statementFormat = format || detectFormat(text, file);
+  const result = PARSERS[statementFormat](text, { dateFormat });
+  if (result.error) throw new BankStatementError(result.error);
+  if (!result.transactions.length) throw new BankStatementError("Statement has no transactions");
+
+  const currency = normalizeCurrency(result.currency) || DEFAULT_CURRENCY;
+  const round = (value) => Math.round(value * 100) / 100;
+  const transactions = result.transactions.map((transaction) => ({
+    ...transaction,
+    amount: round(transaction.amount),
+    currency: normalizeCurrency(transaction.currency) || currency,
+  }));
+  const hasBalance = result.closingBalance !== null && result.closingBalance !== undefined;
+  const lastBooked = transactions.map((transaction) => transaction.booked_on).sort().pop();
+  return {
+    format: statementFormat,
+    account: result.account,
+    currency,
+    closingBalance: hasBalance ? round(result.closingBalance) : null,
+    // A balance without an as-of date is taken to be at the last booked transaction.
+    balanceDate: hasBalance ? result.balanceDate || lastBooked : null,
+    transactions: fingerprintTransactions(result.account, transactions),
+  };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  TRANSACTION_STATUS,
+  TRANSACTION_STATUSES,
+  BankStatementError,
+  BankReconciliationError,
+  readStatement,
+};
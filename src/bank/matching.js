@@ -0,0 +1,86 @@
+const { deriveStatus, isOutstandingStatus, isCreditNote } = require("../invoiceStatus");
+const { normalizeSupplier, normalizeInvoiceNumber } = require("../duplicates");
+const { matchSupplier } = require("../suppliers");
+const { DEFAULT_CURRENCY } = require("../lineItems");
+
+// Points for each kind of evidence. Reaching MIN_MATCH_SCORE takes the amount or the invoice number
+// plus at least one other signal.
+const SCORE = {
+  AMOUNT: 40,
+  INVOICE_NUMBER: 40,
+  SUPPLIER: 25,
+  DATE_NEAR: 15,
+  DATE_WITHIN_MONTH: 5,
+};
+const MIN_MATCH_SCORE = 50;
+
+// Invoice numbers shorter than this ("1", "42") turn up in unrelated references too often to count.
+const MIN_INVOICE_NUMBER_LENGTH = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysApart = (a, b) => Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DAY_MS;
+
+const supplierNamed = (invoice, transaction, text, suppliers) => {
+  const counterparty = matchSupplier(transaction.counterparty, suppliers);
+  if (counterparty && invoice.supplier_id && counterparty.id === invoice.supplier_id) return true;
+  const supplier = suppliers.find((item) => item.id === invoice.supplier_id);
+  const names = [invoice.supplier, ...(supplier ? [supplier.name, ...(supplier.aliases || [])] : [])];
+  return names.map(normalizeSupplier).some((name) => name && ` ${text} `.includes(` ${name} `));
+};
+
+const scoreInvoice = (transaction, invoice, { suppliers }) => {
+  const paid = Math.abs(transaction.amount);
+  const text = normalizeSupplier([transaction.counterparty, transaction.description, transaction.reference].join(" "));
+  const compactText = normalizeInvoiceNumber([transaction.description, transaction.reference].join(" "));
+  const invoiceNumber = normalizeInvoiceNumber(invoice.invoice_number);
+  const reasons = [];
+  let score = 0;
+
+  if (Math.abs(paid - Number(invoice.balance)) <= 0.005) {
+    score += SCORE.AMOUNT;
+    reasons.push("amount matches the outstanding balance");
+  }
+  if (invoiceNumber.length >= MIN_INVOICE_NUMBER_LENGTH && compactText.includes(invoiceNumber)) {
+    score += SCORE.INVOICE_NUMBER;
+    reasons.push(`reference contains invoice number ${invoice.invoice_number}`);
+  }
+  if (supplierNamed(invoice, transaction, text, suppliers)) {
+    score += SCORE.SUPPLIER;
+    reasons.push(`names supplier ${invoice.supplier}`);
+  }
+  if (invoice.due_date) {
+    const days = daysApart(transaction.booked_on, invoice.due_date);
+    if (days <= 7) {
+      score += SCORE.DATE_NEAR;
+      reasons.push("paid within 7 days of the due date");
+    } else if (days <= 31) {
+      score += SCORE.DATE_WITHIN_MONTH;
+      reasons.push("paid within a month of the due date");
+    }
+  }
+  return { score, reasons, distance: invoice.due_date ? daysApart(transaction.booked_on, invoice.due_date) : Infinity };
+};
+
+/**
+ * Ranks the open invoices an outgoing bank transaction could be paying: same currency, balance at
+ * least the amount paid, scored on amount, invoice number in the reference, supplier name and how
+ * close the payment is to the due date. Returns [{ invoice, score, reasons }], best first, with only
+ * candidates that reach MIN_MATCH_SCORE. Incoming money never matches.
+ */
+const rankInvoiceMatches = (transaction, invoices, { suppliers = [], today = new Date() } = {}) => {
+  if (!(transaction.amount < 0)) return [];
+  return invoices
+    .filter((invoice) => !invoice.archived && !invoice.needs_review && !isCreditNote(invoice))
+    .filter((invoice) => isOutstandingStatus(deriveStatus(invoice, today)))
+    .filter((invoice) => (invoice.currency || DEFAULT_CURRENCY) === transaction.currency)
+    .filter((invoice) => Math.abs(transaction.amount) - Number(invoice.balance) <= 0.005)
+    .map((invoice) => ({ invoice, ...scoreInvoice(transaction, invoice, { suppliers }) }))
+    .filter((candidate) => candidate.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)
+    .map(({ invoice, score, reasons }) => ({ invoice, score, reasons }));
+};
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  rankInvoiceMatches,
+};
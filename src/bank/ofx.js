@@ -0,0 +1,64 @@
+// OFX 1.x is SGML where leaf elements have no closing tag; OFX 2.x is XML. Reading leaf values with a
+// pattern that stops at the next "<" handles both without a full parser.
+const leaf = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  const value = match ? match[1].trim() : "";
+  return value || null;
+};
+
+const aggregate = (text, tag) => {
+  const match = text.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "i"));
+  return match ? match[1] : null;
+};
+
+// OFX dates are YYYYMMDD optionally followed by a time and a timezone, e.g. 20261015120000[-5:EST].
+const ofxDate = (value) => {
+  const match = String(value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const ofxAmount = (value) => {
+  const num = parseFloat(String(value || "").replace(",", "."));
+  return Number.isFinite(num) ? num : null;
+};
+
+/** Reads the first bank or credit card statement in an OFX file. TRNAMT is already signed. */
+const parseOfxStatement = (text) => {
+  const statement = aggregate(text, "STMTRS") || aggregate(text, "CCSTMTRS");
+  if (!statement) return { error: "OFX file has no bank statement (STMTRS)" };
+
+  const errors = [];
+  const transactions = [];
+  const blocks = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  blocks.forEach((block, index) => {
+    const bookedOn = ofxDate(leaf(block, "DTPOSTED"));
+    const amount = ofxAmount(leaf(block, "TRNAMT"));
+    if (!bookedOn || amount === null) {
+      errors.push(`transaction ${index + 1}: missing DTPOSTED or TRNAMT`);
+      return;
+    }
+    transactions.push({
+      booked_on: bookedOn,
+      amount,
+      currency: leaf(aggregate(block, "CURRENCY") || "", "CURSYM"),
+      description: leaf(block, "MEMO"),
+      counterparty: leaf(block, "NAME"),
+      reference: leaf(block, "REFNUM") || leaf(block, "CHECKNUM"),
+      external_id: leaf(block, "FITID"),
+    });
+  });
+  if (errors.length) return { error: errors.join("; ") };
+
+  const ledger = aggregate(statement, "LEDGERBAL");
+  return {
+    account: leaf(statement, "ACCTID"),
+    currency: leaf(statement, "CURDEF"),
+    closingBalance: ledger ? ofxAmount(leaf(ledger, "BALAMT")) : null,
+    balanceDate: ledger ? ofxDate(leaf(ledger, "DTASOF")) : null,
+    transactions,
+  };
+};
+
+module.exports = {
+  parseOfxStatement,
+};
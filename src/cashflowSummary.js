@@ -0,0 +1,212 @@
+const llm = require("./ai/llm");
+const { STATUS, deriveStatus, daysUntilDue, isOutstandingStatus, isCreditNote } = require("./invoiceStatus");
+const { buildWeeklyForecast } = require("./forecast");
+const { DEFAULT_CURRENCY } = require("./lineItems");
+const { OCCURRENCE_STATUS } = require("./recurringBills");
+
+/**
+ * Works out the cashflow metrics for `invoices` and, when an LLM provider is configured, a short
+ * narrative about them. `expectedBills` (from buildExpectedBills) adds recurring bills that have not
+ * arrived yet. Disputed invoices are held out of the amounts to pay and listed in `disputedInvoices`
+ * with their open dispute from `disputes`; credit notes only count towards the credit still available.
+ * Resolves { metrics, summary, disputedInvoices }; AI failures fall back to a fixed message.
+ */
+const buildCashflowSummary = async (invoices, { today = new Date(), expectedBills = [], disputes = [] } = {}) => {
+  let totalPaid = 0;
+  let totalOutstanding = 0;
+  let totalDisputed = 0;
+  const outstandingOf = (inv) => Math.max(Number(inv.balance) || 0, 0);
+  const outstandingByCurrency = {};
+  const disputedByCurrency = {};
+  const availableCreditByCurrency = {};
+  const overdueInvoices = [];
+  const dueSoonInvoices = [];
+  const next30Invoices = [];
+  const disputedInvoices = [];
+  const addTo = (totals, inv) => {
+    const currency = inv.currency || DEFAULT_CURRENCY;
+    totals[currency] = (totals[currency] || 0) + outstandingOf(inv);
+  };
+
+  const activeInvoices = invoices.filter((inv) => inv.archived !== 1 && inv.archived !== true);
+  // Unconfirmed extractions stay out of the totals until someone checks them in the review queue.
+  const countNeedsReview = activeInvoices.filter((inv) => inv.needs_review).length;
+
+  activeInvoices
+    .filter((inv) => !inv.needs_review)
+    .forEach((inv) => {
+      const status = deriveStatus(inv, today);
+      if (isCreditNote(inv)) {
+        if (status !== STATUS.VOID && outstandingOf(inv) > 0) addTo(availableCreditByCurrency, inv);
+        return;
+      }
+      totalPaid += Number(inv.amount_paid) || 0;
+
+      if (!isOutstandingStatus(status)) return;
+
+      if (status === STATUS.DISPUTED) {
+        totalDisputed += outstandingOf(inv);
+        addTo(disputedByCurrency, inv);
+        disputedInvoices.push(inv);
+        return;
+      }
+
+      totalOutstanding += outstandingOf(inv);
+      addTo(outstandingByCurrency, inv);
+
+      if (status === STATUS.OVERDUE) {
+        overdueInvoices.push(inv);
+      } else if (status === STATUS.DUE_SOON) {
+        dueSoonInvoices.push(inv);
+      }
+
+      const days = daysUntilDue(inv.due_date, today);
+      if (days !== null && days >= 0 && days <= 30) {
+        next30Invoices.push(inv);
+      }
+    });
+
+  const next30Expected = expectedBills.filter((bill) => {
+    const days = daysUntilDue(bill.expected_date, today);
+    return bill.status === OCCURRENCE_STATUS.EXPECTED && days !== null && days <= 30;
+  });
+  const missingBills = expectedBills.filter((bill) => bill.status === OCCURRENCE_STATUS.MISSING);
+  const expectedNext30 = next30Expected.reduce((sum, bill) => sum + bill.expected_amount, 0);
+
+  const metrics = {
+    totalOutstanding,
+    totalPaid,
+    countOverdue: overdueInvoices.length,
+    countDueSoon: dueSoonInvoices.length,
+    outstandingByCurrency,
+    countNeedsReview,
+    expectedNext30,
+    countExpectedNext30: next30Expected.length,
+    countMissingBills: missingBills.length,
+    totalDisputed,
+    countDisputed: disputedInvoices.length,
+    disputedByCurrency,
+    availableCreditByCurrency,
+  };
+
+  const openDisputes = new Map(disputes.map((dispute) => [dispute.invoice_id, dispute]));
+  const disputedList = disputedInvoices
+    .sort((a, b) => outstandingOf(b) - outstandingOf(a))
+    .map((inv) => {
+      const dispute = openDisputes.get(inv.id);
+      return {
+        id: inv.id,
+        supplier: inv.supplier,
+        invoice_number: inv.invoice_number,
+        due_date: inv.due_date,
+        currency: inv.currency || DEFAULT_CURRENCY,
+        balance: outstandingOf(inv),
+        dispute: dispute ? { id: dispute.id, reason: dispute.reason, notes: dispute.notes, opened_at: dispute.created_at } : null,
+      };
+    });
+
+  let summary = "AI summary is temporarily unavailable. Metrics are still accurate.";
+
+  if (llm.isConfigured()) {
+    if (totalOutstanding === 0 && expectedNext30 === 0 && totalDisputed === 0) {
+      return {
+        metrics,
+        summary: "There are no outstanding invoices. Cashflow looks clear at the moment.",
+        disputedInvoices: disputedList,
+      };
+    }
+
+    const largestOverdue = [...overdueInvoices]
+      .sort((a, b) => outstandingOf(b) - outstandingOf(a))
+      .slice(0, 3)
+      .map(
+        (inv) =>
+          `${inv.supplier} — ${inv.currency || DEFAULT_CURRENCY} ${outstandingOf(inv)} due ${inv.due_date || inv.dueDate || "unknown"}`,
+      );
+
+    const dueSoonList = [...dueSoonInvoices]
+      .sort((a, b) => outstandingOf(b) - outstandingOf(a))
+      .slice(0, 3)
+      .map(
+        (inv) =>
+          `${inv.supplier} — ${inv.currency || DEFAULT_CURRENCY} ${outstandingOf(inv)} due ${inv.due_date || inv.dueDate || "unknown"}`,
+      );
+
+    const next30Total = next30Invoices.reduce((sum, inv) => sum + outstandingOf(inv), 0);
+
+    const weeklyLines = buildWeeklyForecast(invoices, { weeks: 5, today, expectedBills }).weeks.map(
+      (week) =>
+        `${week.week} (from ${week.weekStart}): ${week.cashOut} across ${week.invoiceIds.length} invoice(s)` +
+        (week.expectedBills.length ? ` and ${week.expectedBills.length} expected recurring bill(s)` : ""),
+    );
+
+    const missingList = missingBills
+      .slice(0, 3)
+      .map((bill) => `${bill.supplier} — ${bill.currency} ${bill.expected_amount} expected ${bill.expected_date}`);
+
+    const disputedLines = disputedList
+      .slice(0, 3)
+      .map((inv) => `${inv.supplier} — ${inv.currency} ${inv.balance}${inv.dispute ? ` (${inv.dispute.reason})` : ""}`);
+
+    const context = `
+Metrics:
+- Total outstanding (unpaid): ${totalOutstanding}
+- Outstanding by currency: ${Object.entries(outstandingByCurrency)
+      .map(([code, total]) => `${code} ${total}`)
+      .join(", ")}
+- Total paid: ${totalPaid}
+- Overdue invoices: ${overdueInvoices.length}
+- Due in next 7 days: ${dueSoonInvoices.length}
+- Total due in next 30 days: ${next30Total}
+- Recurring bills expected in next 30 days but not yet received: ${next30Expected.length} totalling ${expectedNext30}
+- Expected recurring bills that never arrived: ${missingBills.length}
+- Disputed invoices held back from payment (not in the totals above): ${disputedInvoices.length} totalling ${totalDisputed}
+- Unallocated supplier credit: ${Object.entries(availableCreditByCurrency)
+      .map(([code, total]) => `${code} ${total}`)
+      .join(", ") || "none"}
+
+Largest overdue (up to 3):
+${largestOverdue.map((t, i) => `${i + 1}. ${t}`).join("\n") || "None"}
+
+Due in next 7 days (up to 3):
+${dueSoonList.map((t, i) => `${i + 1}. ${t}`).join("\n") || "None"}
+
+Expected bills that never arrived (up to 3):
+${missingList.map((t, i) => `${i + 1}. ${t}`).join("\n") || "None"}
+
+Disputed (up to 3):
+${disputedLines.map((t, i) => `${i + 1}. ${t}`).join("\n") || "None"}
+
+Weekly cash out including expected recurring bills (ISO weeks, overdue rolled into the current week):
+${weeklyLines.join("\n")}
+
+Write 2-4 concise bullet points (or 2-3 short sentences) about upcoming cash out, overdue risk, and any spikes in the next 30 days. Use ONLY the data provided; do not invent invoices or amounts. Totals without a currency code are in GBP (£); keep other currencies in their own code and never convert them. Disputed invoices are on hold rather than due; mention them separately if there are any.`;
+
+    try {
+      const aiRes = await llm.complete(
+        "summary",
+        [
+          {
+            role: "system",
+            content:
+              "You are a financial analyst helping a business owner understand upcoming supplier payments and cashflow risks. Be concise and practical. Express GBP amounts with £ and never relabel one currency as another.",
+          },
+          { role: "user", content: context },
+        ],
+        { temperature: 0.2 },
+      );
+      const content = aiRes?.content;
+      if (content && typeof content === "string") {
+        summary = content.trim();
+      }
+    } catch (err) {
+      console.error("AI cashflow summary failed:", err);
+    }
+  }
+
+  return { metrics, summary, disputedInvoices: disputedList };
+};
+
+module.exports = {
+  buildCashflowSummary,
+};
@@ -0,0 +1,94 @@
+const { STATUS, DOCUMENT_TYPE, isCreditNote, isOutstandingStatus, normalizeStoredStatus } = require("./invoiceStatus");
+const { normalizeSupplier } = require("./duplicates");
+const { DEFAULT_CURRENCY } = require("./lineItems");
+const { isIsoDate } = require("./dates");
+
+class CreditNoteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CreditNoteError";
+  }
+}
+
+// Wording that suggests a credit note printed without a minus sign; uploads using it are sent for review.
+const CREDIT_NOTE_PATTERN = /\bcredit\s*(note|memo)\b/i;
+
+const looksLikeCreditNote = (text) => CREDIT_NOTE_PATTERN.test((text || "").slice(0, 2000));
+
+const absOrNull = (value) => (typeof value === "number" && Number.isFinite(value) ? Math.abs(value) : value ?? null);
+
+// Stores a bill as a credit note: the type is set and negative totals and lines become positive.
+const asCreditNote = (invoice) => ({
+  ...invoice,
+  document_type: DOCUMENT_TYPE.CREDIT_NOTE,
+  amount: absOrNull(invoice.amount),
+  net_amount: absOrNull(invoice.net_amount),
+  vat_amount: absOrNull(invoice.vat_amount),
+  ...(Array.isArray(invoice.lines)
+    ? {
+        lines: invoice.lines.map((line) => ({
+          ...line,
+          unit_price: absOrNull(line.unit_price),
+          net_amount: absOrNull(line.net_amount),
+          vat_amount: absOrNull(line.vat_amount),
+          gross_amount: absOrNull(line.gross_amount),
+        })),
+      }
+    : {}),
+});
+
+const sameSupplier = (a, b) =>
+  a.supplier_id && b.supplier_id ? a.supplier_id === b.supplier_id : normalizeSupplier(a.supplier) === normalizeSupplier(b.supplier);
+
+/**
+ * Why `amount` of `creditNote` cannot be allocated to `invoice`, or null when it can: the credit note
+ * must have that much credit left, and the invoice must be an open bill from the same supplier in the
+ * same currency with at least that balance.
+ */
+const allocationProblem = (creditNote, invoice, amount) => {
+  if (!isCreditNote(creditNote)) return "Only credit notes can be allocated";
+  if (creditNote.archived || normalizeStoredStatus(creditNote.status) === STATUS.VOID) return "Credit note is archived or void";
+  if (isCreditNote(invoice)) return "Credit notes can only be allocated to invoices";
+  if (invoice.archived) return "Invoice is archived";
+  if (!isOutstandingStatus(normalizeStoredStatus(invoice.status))) return `Invoice is ${invoice.status}`;
+  if ((creditNote.currency || DEFAULT_CURRENCY) !== (invoice.currency || DEFAULT_CURRENCY)) {
+    return `Credit note is in ${creditNote.currency} but the invoice is in ${invoice.currency}`;
+  }
+  if (!sameSupplier(creditNote, invoice)) return `Credit note is from ${creditNote.supplier}, not ${invoice.supplier}`;
+  if (amount - creditNote.balance > 0.005) return `amount exceeds the credit left on the credit note (${creditNote.balance})`;
+  if (amount - invoice.balance > 0.005) return `amount exceeds the outstanding balance of ${invoice.balance}`;
+  return null;
+};
+
+// Validates a POST /api/credit-notes/:id/allocations body. A missing amount is filled in by the caller.
+const validateAllocationInput = (body) => {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { allocation: null, errors: ["Request body must be a JSON object"] };
+  }
+  const { invoiceId, amount, allocated_on: allocatedOn, note } = body;
+  if (!Number.isInteger(invoiceId) || invoiceId < 1) errors.push("invoiceId must be a positive integer");
+  if (amount !== undefined && (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0)) {
+    errors.push("amount must be a positive number");
+  }
+  if (allocatedOn !== undefined && !isIsoDate(allocatedOn)) errors.push("allocated_on must be a valid date in YYYY-MM-DD format");
+  if (note !== undefined && note !== null && typeof note !== "string") errors.push("note must be a string");
+  if (errors.length) return { allocation: null, errors };
+  return {
+    allocation: {
+      invoiceId,
+      amount,
+      allocated_on: allocatedOn || new Date().toISOString().slice(0, 10),
+      note: note?.trim() || null,
+    },
+    errors,
+  };
+};
+
+module.exports = {
+  CreditNoteError,
+  looksLikeCreditNote,
+  asCreditNote,
+  allocationProblem,
+  validateAllocationInput,
+};
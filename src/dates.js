@@ -0,0 +1,33 @@
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+const isIsoDate = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+  return toISODate(new Date(date.getTime() + days * 24 * 60 * 60 * 1000));
+};
+
+// Same day of the month `months` later, clamped to the last day of shorter months (31 Jan -> 28 Feb).
+const addMonths = (isoDate, months) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return toISODate(target);
+};
+
+const weekLabelFromDate = (date) => `Week of ${date}`;
+
+module.exports = {
+  toISODate,
+  isIsoDate,
+  addDays,
+  addMonths,
+  weekLabelFromDate,
+};
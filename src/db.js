@@ -1,27 +1,50 @@
 const fs = require("fs");
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 const sqlite3 = require("sqlite3").verbose();
+const {
+  STATUS,
+  DOCUMENT_TYPE,
+  InvoiceBalanceError,
+  isCreditNote,
+  assertTransition,
+  normalizeStoredStatus,
+} = require("./invoiceStatus");
+const { SUPPLIER_PRIORITY, matchSupplier } = require("./suppliers");
+const { DEFAULT_CURRENCY } = require("./lineItems");
+const { FIELD_SOURCE } = require("./review");
+const { buildInvoiceWhere, buildInvoiceOrderBy } = require("./invoiceQuery");
+const { APPROVAL, approvalReasons, assertApproved } = require("./approvals");
+const {
+  EVENT_SOURCE,
+  EVENT_ACTION,
+  InvoiceRestoreConflictError,
+  diffInvoice,
+  sameValue,
+} = require("./invoiceEvents");
+const { weekLabelFromDate, toISODate, addDays } = require("./dates");
+const {
+  BILL_FIELDS: RECURRING_BILL_COLUMNS,
+  DEFAULT_TOLERANCE_PERCENT,
+  DEFAULT_TOLERANCE_DAYS,
+  buildExpectedBills,
+} = require("./recurringBills");
+const { TRANSACTION_STATUS, BankReconciliationError } = require("./bank");
+const { EMAIL_STATUS } = require("./email/messages");
+const { DELIVERY_STATUS } = require("./notifications/webhooks");
+const { CreditNoteError, allocationProblem } = require("./credits");
+const { DISPUTE_STATUS, DisputeError, statusAfterDispute } = require("./disputes");
+const { PAYMENT_RUN_STATUS, PaymentRunError } = require("./paymentRuns");
+const { ukBankAccount } = require("./bank/bacs");
 
-const dbPath = path.join(__dirname, "..", "data", "cashflow.sqlite");
+// DATABASE_PATH points at another file, e.g. a throwaway database for the tests.
+const dbPath = process.env.DATABASE_PATH
+  ? path.resolve(process.env.DATABASE_PATH)
+  : path.join(__dirname, "..", "data", "cashflow.sqlite");
 fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 
 const db = new sqlite3.Database(dbPath);
 
-const CREATE_TABLE_SQL = `
-CREATE TABLE IF NOT EXISTS invoices (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  supplier TEXT,
-  invoice_number TEXT,
-  issue_date TEXT,
-  due_date TEXT,
-  amount REAL,
-  status TEXT,
-  category TEXT,
-  source TEXT,
-  week_label TEXT,
-  archived INTEGER DEFAULT 0
-)`;
-
 const seedInvoices = [
   {
     supplier: "Northwind Utilities",
@@ -29,7 +52,7 @@ const seedInvoices = [
     issue_date: "2025-08-25",
     due_date: "2025-09-10",
     amount: 820,
-    status: "Paid",
+    status: "paid",
     category: "Utilities",
     source: "Email",
     week_label: "Week of 08 Sep 2025",
@@ -40,7 +63,7 @@ const seedInvoices = [
     issue_date: "2025-09-20",
     due_date: "2025-10-05",
     amount: 1840,
-    status: "Paid",
+    status: "paid",
     category: "Staff",
     source: "Email",
     week_label: "Week of 06 Oct 2025",
@@ -51,7 +74,7 @@ const seedInvoices = [
     issue_date: "2025-09-10",
     due_date: "2025-09-25",
     amount: 1200,
-    status: "Paid",
+    status: "paid",
     category: "Software",
     source: "Upload",
     week_label: "Week of 22 Sep 2025",
@@ -62,7 +85,7 @@ const seedInvoices = [
     issue_date: "2025-10-01",
     due_date: "2025-10-20",
     amount: 950,
-    status: "Paid",
+    status: "paid",
     category: "Other",
     source: "Upload",
     week_label: "Week of 13 Oct 2025",
@@ -73,7 +96,7 @@ const seedInvoices = [
     issue_date: "2025-10-20",
     due_date: "2025-11-05",
     amount: 640,
-    status: "Overdue",
+    status: "upcoming",
     category: "Rent",
     source: "Email",
     week_label: "Week of 03 Nov 2025",
@@ -84,7 +107,7 @@ const seedInvoices = [
     issue_date: "2025-10-30",
     due_date: "2025-11-14",
     amount: 1200,
-    status: "Overdue",
+    status: "upcoming",
     category: "Marketing",
     source: "Upload",
     week_label: "Week of 10 Nov 2025",
@@ -95,7 +118,7 @@ const seedInvoices = [
     issue_date: "2025-11-05",
     due_date: "2025-11-24",
     amount: 3200,
-    status: "Due soon",
+    status: "upcoming",
     category: "Other",
     source: "Upload",
     week_label: "Week of 24 Nov 2025",
@@ -106,7 +129,7 @@ const seedInvoices = [
     issue_date: "2025-11-10",
     due_date: "2025-11-28",
     amount: 480,
-    status: "Upcoming",
+    status: "upcoming",
     category: "Utilities",
     source: "Email",
     week_label: "Week of 24 Nov 2025",
@@ -117,7 +140,7 @@ const seedInvoices = [
     issue_date: "2025-11-20",
     due_date: "2025-12-06",
     amount: 2100,
-    status: "Upcoming",
+    status: "upcoming",
     category: "Software",
     source: "Email",
     week_label: "Week of 08 Dec 2025",
@@ -128,7 +151,7 @@ const seedInvoices = [
     issue_date: "2025-11-25",
     due_date: "2025-12-15",
     amount: 2500,
-    status: "Upcoming",
+    status: "upcoming",
     category: "Uncategorised",
     source: "Upload",
     week_label: "Week of 15 Dec 2025",
@@ -139,7 +162,7 @@ const seedInvoices = [
     issue_date: "2025-12-20",
     due_date: "2026-01-15",
     amount: 743,
-    status: "unpaid",
+    status: "upcoming",
     category: "Utilities",
     source: "Upload",
     week_label: "Week of 12 Jan 2026",
@@ -150,114 +173,1714 @@ const seedInvoices = [
     issue_date: "2026-01-10",
     due_date: "2026-02-10",
     amount: 1500,
-    status: "Upcoming",
+    status: "upcoming",
     category: "Services",
     source: "Upload",
     week_label: "Week of 09 Feb 2026",
   },
 ];
 
-db.serialize(() => {
-  db.run(CREATE_TABLE_SQL);
-  db.get("SELECT COUNT(*) as count FROM invoices", (err, row) => {
-    if (err) {
-      console.error("Failed to read invoice count", err);
-      return;
+// sqlite3 shares one connection, so a BEGIN…COMMIT would take in any statement another request issued
+// meanwhile, and a ROLLBACK would undo it. Statements therefore wait in one queue, except those made
+// from inside the transaction that currently holds it.
+let statementQueue = Promise.resolve();
+const transactionScope = new AsyncLocalStorage();
+
+const enqueue = (task) => {
+  const result = statementQueue.then(task);
+  statementQueue = result.catch(() => {});
+  return result;
+};
+
+const serialized = (task) => (transactionScope.getStore() ? task() : enqueue(task));
+
+const run = (sql, params = []) =>
+  serialized(
+    () =>
+      new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) return reject(err);
+          resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      }),
+  );
+
+const all = (sql, params = []) =>
+  serialized(
+    () =>
+      new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        });
+      }),
+  );
+
+const get = (sql, params = []) =>
+  serialized(
+    () =>
+      new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) return reject(err);
+          resolve(row);
+        });
+      }),
+  );
+
+// Holds the statement queue from BEGIN to COMMIT; statements `fn` makes run straight through. Called
+// from inside a transaction, `fn` simply joins it.
+const withTransaction = (fn) => {
+  if (transactionScope.getStore()) return fn();
+  return enqueue(() =>
+    transactionScope.run(true, async () => {
+      await run("BEGIN");
+      try {
+        const value = await fn();
+        await run("COMMIT");
+        return value;
+      } catch (err) {
+        await run("ROLLBACK").catch(() => {});
+        throw err;
+      }
+    }),
+  );
+};
+
+// Demo data for a fresh database, owned by the default organisation. Runs after migrations, so paid
+// seeds get their ledger entry directly.
+const seedIfEmpty = async () => {
+  const { count } = await get("SELECT COUNT(*) AS count FROM invoices");
+  if (count > 0) return false;
+  for (const inv of seedInvoices) {
+    const { lastID } = await run(
+      `INSERT INTO invoices (supplier, invoice_number, issue_date, due_date, amount, status, category, source, week_label, archived)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+      [
+        inv.supplier,
+        inv.invoice_number,
+        inv.issue_date,
+        inv.due_date,
+        inv.amount,
+        inv.status,
+        inv.category,
+        inv.source,
+        inv.week_label,
+      ],
+    );
+    if (inv.status === STATUS.PAID) {
+      await run("INSERT INTO payments (invoice_id, amount, paid_on, method, reference) VALUES (?, ?, ?, ?, ?)", [
+        lastID,
+        inv.amount,
+        inv.due_date,
+        "seed",
+        "Demo data",
+      ]);
     }
-    if (row.count === 0) {
-      const stmt = db.prepare(
-        `INSERT INTO invoices (supplier, invoice_number, issue_date, due_date, amount, status, category, source, week_label, archived)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`
+    await recordInvoiceCreated(DEFAULT_ORGANISATION_ID, lastID, SYSTEM_ACTOR, "Demo data");
+  }
+  console.log("Seeded invoices table with demo data");
+  return true;
+};
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Every invoice read goes through this so amount_paid and balance are always present.
+// `amount_credited` is credit allocated to an invoice and `amount_allocated` is what a credit note has
+// given out, so `balance` is what is left to pay on an invoice and the credit left on a credit note.
+const INVOICE_SELECT_SQL = `
+SELECT invoices.*,
+  ROUND(COALESCE(paid.total, 0), 2) AS amount_paid,
+  ROUND(COALESCE(credited.total, 0), 2) AS amount_credited,
+  ROUND(COALESCE(allocated.total, 0), 2) AS amount_allocated,
+  ROUND(COALESCE(invoices.amount, 0) - COALESCE(paid.total, 0) - COALESCE(credited.total, 0)
+    - COALESCE(allocated.total, 0), 2) AS balance
+FROM invoices
+LEFT JOIN (SELECT invoice_id, SUM(amount) AS total FROM payments GROUP BY invoice_id) paid
+  ON paid.invoice_id = invoices.id
+LEFT JOIN (SELECT invoice_id, SUM(amount) AS total FROM credit_allocations GROUP BY invoice_id) credited
+  ON credited.invoice_id = invoices.id
+LEFT JOIN (SELECT credit_note_id, SUM(amount) AS total FROM credit_allocations GROUP BY credit_note_id) allocated
+  ON allocated.credit_note_id = invoices.id`;
+
+const parseJsonColumn = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (_err) {
+    return fallback;
+  }
+};
+
+const toInvoice = (row) => (row ? { ...row, field_provenance: parseJsonColumn(row.field_provenance, null) } : row);
+
+const getInvoices = async (organisationId) =>
+  (await all(`${INVOICE_SELECT_SQL} WHERE invoices.organisation_id = ? AND invoices.archived = 0`, [organisationId])).map(
+    toInvoice,
+  );
+
+// Filtered, sorted list for GET /api/invoices. `filters` comes from parseInvoiceQuery; when no page
+// is requested every matching row is returned. Resolves { rows, total }.
+const queryInvoices = async (organisationId, filters, today = new Date()) => {
+  const { where, params } = buildInvoiceWhere({ ...filters, organisationId }, today);
+  const { count } = await get(`SELECT COUNT(*) AS count FROM invoices ${where}`, params);
+  let sql = `${INVOICE_SELECT_SQL} ${where} ${buildInvoiceOrderBy(filters.sort)}`;
+  const pageParams = [];
+  if (filters.page) {
+    sql += " LIMIT ? OFFSET ?";
+    pageParams.push(filters.pageSize, (filters.page - 1) * filters.pageSize);
+  }
+  const rows = await all(sql, [...params, ...pageParams]);
+  return { rows: rows.map(toInvoice), total: count };
+};
+
+// Groupings for aggregateInvoices; the period ones read the issue or due date.
+const INVOICE_GROUPINGS = ["supplier", "category", "status", "month", "quarter", "year", "none"];
+
+const groupExpression = (groupBy, dateColumn) =>
+  ({
+    supplier: "supplier",
+    category: "COALESCE(category, 'Uncategorised')",
+    status: "status",
+    month: `substr(${dateColumn}, 1, 7)`,
+    quarter: `substr(${dateColumn}, 1, 4) || '-Q' || ((CAST(substr(${dateColumn}, 6, 2) AS INTEGER) + 2) / 3)`,
+    year: `substr(${dateColumn}, 1, 4)`,
+    none: "'all'",
+  })[groupBy];
+
+const splitIds = (value) => (value ? String(value).split(",").map(Number) : []);
+
+/**
+ * Totals of the invoices matching `filters` (as parsed by parseInvoiceQuery) grouped by `groupBy`
+ * and currency, largest first: count, amount, paid and still outstanding, with the ids behind each
+ * row. Invoices waiting for review are left out, as in the cashflow summary. Read-only.
+ */
+const aggregateInvoices = async (organisationId, filters, { groupBy = "none", dateField = "issue_date" } = {}, today) => {
+  const { where, params } = buildInvoiceWhere({ ...filters, organisationId }, today);
+  const dateColumn = dateField === "due_date" ? "due_date" : "issue_date";
+  const rows = await all(
+    `SELECT ${groupExpression(groupBy, dateColumn)} AS grouping, COALESCE(currency, ?) AS currency,
+       COUNT(*) AS invoice_count, ROUND(SUM(amount), 2) AS total_amount, ROUND(SUM(amount_paid), 2) AS total_paid,
+       ROUND(SUM(CASE WHEN status IN (?, ?) THEN 0 ELSE balance END), 2) AS total_outstanding,
+       GROUP_CONCAT(id) AS invoice_ids
+     FROM (${INVOICE_SELECT_SQL} ${where} AND invoices.needs_review = 0) matched
+     GROUP BY grouping, currency ORDER BY total_amount DESC`,
+    [DEFAULT_CURRENCY, STATUS.PAID, STATUS.VOID, ...params],
+  );
+  return rows.map((row) => ({ ...row, invoice_ids: splitIds(row.invoice_ids) }));
+};
+
+/**
+ * How reliably each supplier's bills get paid on time, for invoices due between `dueFrom` and
+ * `dueTo`: paid on time, paid late (last payment after the due date), still open past the due date,
+ * and the average days late of the late payments, with the ids of the late and overdue invoices.
+ * Suppliers with the most late bills come first. Read-only.
+ */
+const getSupplierTimeliness = async (organisationId, { dueFrom, dueTo, supplier } = {}, today = new Date()) => {
+  const clauses = ["invoices.archived = 0", "invoices.needs_review = 0", "invoices.due_date IS NOT NULL"];
+  const params = [];
+  const add = (sql, value) => {
+    clauses.push(sql);
+    params.push(value);
+  };
+  add("invoices.organisation_id = ?", organisationId);
+  add("invoices.document_type = ?", DOCUMENT_TYPE.INVOICE);
+  if (dueFrom) add("invoices.due_date >= ?", dueFrom);
+  if (dueTo) add("invoices.due_date <= ?", dueTo);
+  if (supplier) add("invoices.supplier LIKE ? ESCAPE '\\'", `%${supplier.replace(/[\\%_]/g, "\\$&")}%`);
+  const rows = await all(
+    `WITH last_paid AS (SELECT invoice_id, MAX(paid_on) AS paid_on FROM payments GROUP BY invoice_id),
+     timed AS (
+       SELECT invoices.id, invoices.supplier, invoices.due_date, last_paid.paid_on,
+         CASE
+           WHEN invoices.status = ? AND last_paid.paid_on > invoices.due_date THEN 'late'
+           WHEN invoices.status = ? THEN 'on_time'
+           WHEN invoices.status IN (?, ?) AND invoices.due_date < ? THEN 'overdue'
+           ELSE 'open'
+         END AS timing
+       FROM invoices LEFT JOIN last_paid ON last_paid.invoice_id = invoices.id
+       WHERE ${clauses.join(" AND ")}
+     )
+     SELECT supplier, COUNT(*) AS invoice_count,
+       SUM(timing = 'on_time') AS paid_on_time, SUM(timing = 'late') AS paid_late, SUM(timing = 'overdue') AS open_overdue,
+       ROUND(AVG(CASE WHEN timing = 'late' THEN julianday(paid_on) - julianday(due_date) END), 1) AS average_days_late,
+       GROUP_CONCAT(CASE WHEN timing IN ('late', 'overdue') THEN id END) AS late_invoice_ids
+     FROM timed GROUP BY supplier COLLATE NOCASE
+     ORDER BY paid_late + open_overdue DESC, invoice_count DESC`,
+    [STATUS.PAID, STATUS.PAID, STATUS.UPCOMING, STATUS.PART_PAID, toISODate(today), ...params],
+  );
+  return rows.map((row) => ({ ...row, late_invoice_ids: splitIds(row.late_invoice_ids) }));
+};
+
+const getReviewQueue = async (organisationId) =>
+  (
+    await all(
+      `${INVOICE_SELECT_SQL}
+       WHERE invoices.organisation_id = ? AND invoices.needs_review = 1 AND invoices.archived = 0 ORDER BY invoices.id`,
+      [organisationId],
+    )
+  ).map(toInvoice);
+
+// Includes archived invoices: re-uploading something already paid and archived is still a duplicate.
+const getDuplicateCandidates = async (organisationId) =>
+  (
+    await all(`${INVOICE_SELECT_SQL} WHERE invoices.organisation_id = ? AND invoices.status != ?`, [
+      organisationId,
+      STATUS.VOID,
+    ])
+  ).map(toInvoice);
+
+const findInvoiceById = async (organisationId, id) =>
+  toInvoice(await get(`${INVOICE_SELECT_SQL} WHERE invoices.organisation_id = ? AND invoices.id = ?`, [organisationId, id]));
+
+// Who made a change: `userId` is null for changes the server makes on its own.
+const SYSTEM_ACTOR = { userId: null, source: EVENT_SOURCE.SYSTEM };
+
+const recordInvoiceEvent = (organisationId, invoiceId, action, changes, actor = SYSTEM_ACTOR, note = null) =>
+  run(
+    `INSERT INTO invoice_events (organisation_id, invoice_id, action, changes, user_id, source, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [organisationId, invoiceId, action, JSON.stringify(changes), actor.userId ?? null, actor.source, note],
+  );
+
+const recordInvoiceCreated = async (organisationId, invoiceId, actor, note = null) =>
+  recordInvoiceEvent(
+    organisationId,
+    invoiceId,
+    EVENT_ACTION.CREATED,
+    diffInvoice(null, await findInvoiceById(organisationId, invoiceId)),
+    actor,
+    note,
+  );
+
+// Runs `change` and records every field it altered on the invoice, all in one transaction so no other
+// write lands in the diff and no change goes unrecorded. Nothing is recorded when no field changed.
+const trackInvoiceChange = (organisationId, id, { action, actor, note = null }, change) =>
+  withTransaction(async () => {
+    const before = await findInvoiceById(organisationId, id);
+    const result = await change();
+    const changes = diffInvoice(before, await findInvoiceById(organisationId, id));
+    if (Object.keys(changes).length) await recordInvoiceEvent(organisationId, id, action, changes, actor, note);
+    return result;
+  });
+
+const getInvoiceEvents = async (organisationId, invoiceId) =>
+  (
+    await all(
+      `SELECT invoice_events.*, users.email AS user_email, users.name AS user_name
+       FROM invoice_events LEFT JOIN users ON users.id = invoice_events.user_id
+       WHERE invoice_events.organisation_id = ? AND invoice_events.invoice_id = ?
+       ORDER BY invoice_events.id`,
+      [organisationId, invoiceId],
+    )
+  ).map((row) => ({ ...row, changes: parseJsonColumn(row.changes, {}) }));
+
+const findInvoiceEvent = async (organisationId, invoiceId, eventId) => {
+  const row = await get("SELECT * FROM invoice_events WHERE organisation_id = ? AND invoice_id = ? AND id = ?", [
+    organisationId,
+    invoiceId,
+    eventId,
+  ]);
+  return row ? { ...row, changes: parseJsonColumn(row.changes, {}) } : row;
+};
+
+// The most recent event with `action`, e.g. the archive that POST /api/invoices/:id/restore undoes by default.
+const findLatestInvoiceEvent = async (organisationId, invoiceId, action) => {
+  const row = await get(
+    "SELECT * FROM invoice_events WHERE organisation_id = ? AND invoice_id = ? AND action = ? ORDER BY id DESC LIMIT 1",
+    [organisationId, invoiceId, action],
+  );
+  return row ? { ...row, changes: parseJsonColumn(row.changes, {}) } : row;
+};
+
+const getPaymentsForInvoice = (organisationId, invoiceId) =>
+  all(
+    `SELECT payments.* FROM payments JOIN invoices ON invoices.id = payments.invoice_id
+     WHERE invoices.organisation_id = ? AND payments.invoice_id = ? ORDER BY payments.paid_on, payments.id`,
+    [organisationId, invoiceId],
+  );
+
+const assertPayable = (invoice) => {
+  if (isCreditNote(invoice)) throw new CreditNoteError("Credit notes are allocated against invoices, not paid");
+};
+
+// Stores a payment and moves the invoice to part-paid or paid. A short payment against a disputed
+// invoice leaves it disputed until the balance is cleared. The balance is checked in the same
+// transaction as the payment is stored, so concurrent payments cannot overpay.
+const recordPayment = (organisationId, invoiceId, payment, actor) =>
+  withTransaction(async () => {
+    const existing = await findInvoiceById(organisationId, invoiceId);
+    if (!existing) return null;
+    assertPayable(existing);
+    assertApproved(existing);
+    const amount = roundMoney(payment.amount);
+    if (amount - existing.balance > 0.005) {
+      throw new InvoiceBalanceError(`amount exceeds the outstanding balance of ${existing.balance}`);
+    }
+    const remaining = roundMoney(existing.balance - amount);
+    let nextStatus = remaining <= 0 ? STATUS.PAID : STATUS.PART_PAID;
+    if (nextStatus === STATUS.PART_PAID && existing.status === STATUS.DISPUTED) {
+      nextStatus = STATUS.DISPUTED;
+    }
+    assertTransition(existing.status, nextStatus);
+
+    const event = { action: EVENT_ACTION.PAYMENT_RECORDED, actor, note: payment.reference ?? null };
+    const { lastID } = await trackInvoiceChange(organisationId, invoiceId, event, async () => {
+      const inserted = await run(
+        "INSERT INTO payments (invoice_id, amount, paid_on, method, reference) VALUES (?, ?, ?, ?, ?)",
+        [invoiceId, amount, payment.paid_on, payment.method ?? null, payment.reference ?? null],
       );
-      seedInvoices.forEach((inv) => {
-        stmt.run(
-          inv.supplier,
-          inv.invoice_number,
-          inv.issue_date,
-          inv.due_date,
-          inv.amount,
-          inv.status,
-          inv.category,
-          inv.source,
-          inv.week_label
-        );
-      });
-      stmt.finalize();
-      console.log("Seeded invoices table with demo data");
+      await run("UPDATE invoices SET status = ? WHERE id = ? AND organisation_id = ?", [nextStatus, invoiceId, organisationId]);
+      return inserted;
+    });
+    const [invoice, rows] = await Promise.all([
+      findInvoiceById(organisationId, invoiceId),
+      all("SELECT * FROM payments WHERE id = ?", [lastID]),
+    ]);
+    return { invoice, payment: rows[0] };
+  });
+
+// Settles whatever balance is left as a single payment dated today.
+const markInvoicePaid = (organisationId, id, actor) =>
+  withTransaction(async () => {
+    const existing = await findInvoiceById(organisationId, id);
+    if (!existing) return null;
+    assertPayable(existing);
+    assertApproved(existing);
+    assertTransition(existing.status, STATUS.PAID);
+    if (existing.balance > 0) {
+      const payment = {
+        amount: existing.balance,
+        paid_on: new Date().toISOString().slice(0, 10),
+        method: "manual",
+        reference: "Marked as paid",
+      };
+      const { invoice } = await recordPayment(organisationId, id, payment, actor);
+      return invoice;
     }
+    await trackInvoiceChange(organisationId, id, { action: EVENT_ACTION.MARKED_PAID, actor }, () =>
+      run("UPDATE invoices SET status = ? WHERE id = ? AND organisation_id = ?", [STATUS.PAID, id, organisationId]),
+    );
+    return findInvoiceById(organisationId, id);
   });
-});
 
-const getInvoices = () =>
-  new Promise((resolve, reject) => {
-    db.all("SELECT * FROM invoices WHERE archived = 0", (err, rows) => {
-      if (err) return reject(err);
-      resolve(rows);
-    });
+const archiveInvoice = async (organisationId, id, actor) => {
+  const existing = await findInvoiceById(organisationId, id);
+  if (!existing) return null;
+  await trackInvoiceChange(organisationId, id, { action: EVENT_ACTION.ARCHIVED, actor }, () =>
+    run("UPDATE invoices SET archived = 1 WHERE id = ? AND organisation_id = ?", [id, organisationId]),
+  );
+  return findInvoiceById(organisationId, id);
+};
+
+const UPDATABLE_INVOICE_FIELDS = [
+  "supplier",
+  "supplier_id",
+  "invoice_number",
+  "issue_date",
+  "due_date",
+  "amount",
+  "status",
+  "category",
+  "source",
+  "week_label",
+  "net_amount",
+  "vat_amount",
+  "currency",
+  "document_type",
+];
+
+// Applies the approval rules to an unpaid invoice after a change to what is paid or to whom, with any
+// `extraReasons` the rules cannot see. A change can only raise the requirement to pending_approval: a
+// rejection, a pending sign-off or an approval the rules no longer object to stands until an approver
+// decides again. Paid and void invoices are left alone.
+const refreshApproval = async (organisationId, id, extraReasons = []) => {
+  const invoice = await findInvoiceById(organisationId, id);
+  if (!invoice || [STATUS.PAID, STATUS.VOID].includes(invoice.status)) return;
+  if (invoice.approval_status === APPROVAL.REJECTED) return;
+  const { count } = await get(
+    `SELECT COUNT(*) AS count FROM invoices
+     WHERE organisation_id = ? AND id != ? AND status = ? AND document_type = ?
+       AND (supplier_id = ? OR supplier = ? COLLATE NOCASE)`,
+    [organisationId, id, STATUS.PAID, DOCUMENT_TYPE.INVOICE, invoice.supplier_id, invoice.supplier],
+  );
+  const reasons = [...approvalReasons(invoice, { paidBefore: count > 0 }), ...extraReasons];
+  if (!reasons.length) return;
+  await run("UPDATE invoices SET approval_status = ?, approval_reason = ? WHERE id = ? AND organisation_id = ?", [
+    APPROVAL.PENDING,
+    reasons.join("; "),
+    id,
+    organisationId,
+  ]);
+};
+
+const getPendingApprovals = async (organisationId) =>
+  (
+    await all(
+      `${INVOICE_SELECT_SQL}
+       WHERE invoices.organisation_id = ? AND invoices.approval_status = ? AND invoices.archived = 0
+       ORDER BY invoices.due_date, invoices.id`,
+      [organisationId, APPROVAL.PENDING],
+    )
+  ).map(toInvoice);
+
+const getApprovalsForInvoice = (organisationId, invoiceId) =>
+  all(
+    `SELECT invoice_approvals.*, users.email AS user_email, users.name AS user_name
+     FROM invoice_approvals
+     JOIN invoices ON invoices.id = invoice_approvals.invoice_id
+     JOIN users ON users.id = invoice_approvals.user_id
+     WHERE invoices.organisation_id = ? AND invoice_approvals.invoice_id = ?
+     ORDER BY invoice_approvals.id`,
+    [organisationId, invoiceId],
+  );
+
+// Records an approver's decision and its comment. Resolves { invoice, approval }.
+const decideApproval = async (organisationId, id, { decision, comment, actor }) => {
+  const event = {
+    action: decision === APPROVAL.APPROVED ? EVENT_ACTION.APPROVED : EVENT_ACTION.REJECTED,
+    actor,
+    note: comment,
+  };
+  const approvalId = await trackInvoiceChange(organisationId, id, event, () =>
+    withTransaction(async () => {
+      const { lastID } = await run(
+        "INSERT INTO invoice_approvals (invoice_id, user_id, decision, comment) VALUES (?, ?, ?, ?)",
+        [id, actor.userId, decision, comment],
+      );
+      await run("UPDATE invoices SET approval_status = ? WHERE id = ? AND organisation_id = ?", [
+        decision,
+        id,
+        organisationId,
+      ]);
+      return lastID;
+    }),
+  );
+  const approvals = await getApprovalsForInvoice(organisationId, id);
+  return {
+    invoice: await findInvoiceById(organisationId, id),
+    approval: approvals.find((approval) => approval.id === approvalId),
+  };
+};
+
+// Changing what is being paid, or to whom, needs a fresh sign-off.
+const APPROVAL_FIELDS = ["amount", "supplier", "supplier_id", "document_type"];
+
+// Writes the updatable fields present in `fields` without recording an event; callers record one.
+const applyInvoiceUpdate = async (organisationId, existing, fields) => {
+  const columns = UPDATABLE_INVOICE_FIELDS.filter((key) => Object.prototype.hasOwnProperty.call(fields, key));
+  if (columns.length === 0) return;
+  if (columns.includes("status")) assertTransition(existing.status, fields.status);
+  const settled = roundMoney(existing.amount - existing.balance);
+  if (columns.includes("amount") && settled - Number(fields.amount) > 0.005) {
+    throw new InvoiceBalanceError(`amount cannot be less than the ${settled} already paid or credited`);
+  }
+  if (columns.includes("document_type") && fields.document_type !== existing.document_type) {
+    if (existing.amount_credited || existing.amount_allocated) {
+      throw new CreditNoteError("Cannot change the document type once credit has been allocated");
+    }
+    if (existing.amount_paid) throw new CreditNoteError("Cannot change the document type of an invoice with payments");
+  }
+  await run(`UPDATE invoices SET ${columns.map((col) => `${col} = ?`).join(", ")} WHERE id = ? AND organisation_id = ?`, [
+    ...columns.map((col) => fields[col]),
+    existing.id,
+    organisationId,
+  ]);
+  // A new amount on an invoice with money against it moves it between part-paid and paid.
+  if (columns.includes("amount") && settled > 0) {
+    const { status, balance } = await findInvoiceById(organisationId, existing.id);
+    if (status !== STATUS.VOID) {
+      let nextStatus = balance <= 0 ? STATUS.PAID : STATUS.PART_PAID;
+      if (nextStatus === STATUS.PART_PAID && status === STATUS.DISPUTED) nextStatus = STATUS.DISPUTED;
+      await run("UPDATE invoices SET status = ? WHERE id = ? AND organisation_id = ?", [nextStatus, existing.id, organisationId]);
+    }
+  }
+  if (columns.some((col) => APPROVAL_FIELDS.includes(col))) await refreshApproval(organisationId, existing.id);
+};
+
+const updateInvoice = (organisationId, id, fields, actor) =>
+  withTransaction(async () => {
+    const existing = await findInvoiceById(organisationId, id);
+    if (!existing) return null;
+    await trackInvoiceChange(organisationId, id, { action: EVENT_ACTION.UPDATED, actor }, () =>
+      applyInvoiceUpdate(organisationId, existing, fields),
+    );
+    return findInvoiceById(organisationId, id);
   });
 
-const findInvoiceById = (id) =>
-  new Promise((resolve, reject) => {
-    db.get("SELECT * FROM invoices WHERE id = ?", [id], (err, row) => {
-      if (err) return reject(err);
-      resolve(row);
+// Applies optional corrections, marks every corrected field as user-supplied and clears the review flag.
+const confirmInvoice = (organisationId, id, corrections = {}, actor) =>
+  withTransaction(async () => {
+    const existing = await findInvoiceById(organisationId, id);
+    if (!existing) return null;
+    await trackInvoiceChange(organisationId, id, { action: EVENT_ACTION.CONFIRMED, actor }, async () => {
+      await applyInvoiceUpdate(organisationId, existing, corrections);
+      const provenance = { ...(existing.field_provenance || {}) };
+      Object.keys(corrections)
+        .filter((field) => field !== "week_label")
+        .forEach((field) => {
+          provenance[field] = { source: FIELD_SOURCE.USER, confidence: 1 };
+        });
+      await run(
+        `UPDATE invoices SET needs_review = 0, review_reason = NULL, confirmed_at = ?, field_provenance = ?
+         WHERE id = ? AND organisation_id = ?`,
+        [new Date().toISOString(), JSON.stringify(provenance), id, organisationId],
+      );
     });
+    return findInvoiceById(organisationId, id);
   });
 
-const markInvoicePaid = async (id) => {
-  const existing = await findInvoiceById(id);
-  if (!existing) return null;
-  await new Promise((resolve, reject) => {
-    db.run("UPDATE invoices SET status = 'Paid' WHERE id = ?", [id], (err) => {
-      if (err) return reject(err);
-      resolve();
+// Fields a restore may put back; everything else in an event is derived from these.
+const RESTORABLE_FIELDS = [...UPDATABLE_INVOICE_FIELDS, "archived"];
+
+/**
+ * Puts back the values that `event` replaced. Throws InvoiceRestoreConflictError when any of those
+ * fields has changed again since, rather than overwriting the later change.
+ */
+const restoreInvoiceEvent = (organisationId, id, event, actor) =>
+  withTransaction(async () => {
+    const existing = await findInvoiceById(organisationId, id);
+    if (!existing) return null;
+    const changes = Object.entries(event.changes).filter(([field]) => RESTORABLE_FIELDS.includes(field));
+    const conflicts = changes.filter(([field, { to }]) => !sameValue(existing[field], to)).map(([field]) => field);
+    if (conflicts.length) throw new InvoiceRestoreConflictError(conflicts);
+
+    const fields = Object.fromEntries(changes.map(([field, { from }]) => [field, from]));
+    if (fields.due_date) fields.week_label = weekLabelFromDate(fields.due_date);
+    const note = `Restored from event ${event.id}`;
+    await trackInvoiceChange(organisationId, id, { action: EVENT_ACTION.RESTORED, actor, note }, async () => {
+      await applyInvoiceUpdate(organisationId, existing, fields);
+      if ("archived" in fields) {
+        await run("UPDATE invoices SET archived = ? WHERE id = ? AND organisation_id = ?", [fields.archived, id, organisationId]);
+      }
     });
+    return findInvoiceById(organisationId, id);
+  });
+
+const INSERTABLE_INVOICE_COLUMNS = [
+  "organisation_id",
+  "supplier",
+  "invoice_number",
+  "issue_date",
+  "due_date",
+  "amount",
+  "status",
+  "category",
+  "source",
+  "week_label",
+  "archived",
+  "file_hash",
+  "supplier_id",
+  "net_amount",
+  "vat_amount",
+  "currency",
+  "needs_review",
+  "review_reason",
+  "field_provenance",
+  "text_source",
+  "ocr_confidence",
+  "recurring_bill_id",
+  "recurring_expected_date",
+  "email_sender",
+  "email_subject",
+  "document_type",
+];
+
+const LINE_COLUMNS = [
+  "line_no",
+  "description",
+  "quantity",
+  "unit_price",
+  "vat_rate",
+  "net_amount",
+  "vat_amount",
+  "gross_amount",
+];
+
+const insertInvoiceLines = async (invoiceId, lines) => {
+  for (const line of lines) {
+    await run(
+      `INSERT INTO invoice_lines (invoice_id, ${LINE_COLUMNS.join(", ")}) VALUES (?, ${LINE_COLUMNS.map(() => "?").join(", ")})`,
+      [invoiceId, ...LINE_COLUMNS.map((col) => line[col] ?? null)],
+    );
+  }
+};
+
+const getInvoiceLines = (organisationId, invoiceId) =>
+  all(
+    `SELECT invoice_lines.* FROM invoice_lines JOIN invoices ON invoices.id = invoice_lines.invoice_id
+     WHERE invoices.organisation_id = ? AND invoice_lines.invoice_id = ? ORDER BY invoice_lines.line_no`,
+    [organisationId, invoiceId],
+  );
+
+const DOCUMENT_COLUMNS = ["kind", "original_name", "content_type", "size", "file_hash", "storage_backend", "storage_key"];
+
+const insertDocumentRow = (organisationId, invoiceId, document) =>
+  run(
+    `INSERT INTO documents (organisation_id, invoice_id, ${DOCUMENT_COLUMNS.join(", ")})
+     VALUES (?, ?, ${DOCUMENT_COLUMNS.map(() => "?").join(", ")})`,
+    [organisationId, invoiceId, ...DOCUMENT_COLUMNS.map((col) => document[col] ?? null)],
+  );
+
+const getDocumentsForInvoice = (organisationId, invoiceId) =>
+  all("SELECT * FROM documents WHERE organisation_id = ? AND invoice_id = ? ORDER BY id", [organisationId, invoiceId]);
+
+const findDocument = (organisationId, invoiceId, documentId) =>
+  get("SELECT * FROM documents WHERE organisation_id = ? AND invoice_id = ? AND id = ?", [
+    organisationId,
+    invoiceId,
+    documentId,
+  ]);
+
+// The original upload is the first "invoice" document; older attachments of other kinds do not count.
+const findPrimaryDocument = (organisationId, invoiceId) =>
+  get("SELECT * FROM documents WHERE organisation_id = ? AND invoice_id = ? AND kind = 'invoice' ORDER BY id LIMIT 1", [
+    organisationId,
+    invoiceId,
+  ]);
+
+const insertDocument = async (organisationId, invoiceId, document) => {
+  const { lastID } = await insertDocumentRow(organisationId, invoiceId, document);
+  return get("SELECT * FROM documents WHERE id = ?", [lastID]);
+};
+
+const deleteDocument = (organisationId, documentId) =>
+  run("DELETE FROM documents WHERE id = ? AND organisation_id = ?", [documentId, organisationId]);
+
+// Inserts one invoice with its lines and documents. Callers must already be inside withTransaction.
+const insertInvoiceRows = async (organisationId, invoice) => {
+  const values = {
+    ...invoice,
+    organisation_id: organisationId,
+    status: normalizeStoredStatus(invoice.status),
+    document_type: invoice.document_type || DOCUMENT_TYPE.INVOICE,
+    archived: invoice.archived ?? 0,
+    currency: invoice.currency || DEFAULT_CURRENCY,
+    needs_review: invoice.needs_review ? 1 : 0,
+    field_provenance: invoice.field_provenance ? JSON.stringify(invoice.field_provenance) : null,
+  };
+  const { lastID } = await run(
+    `INSERT INTO invoices (${INSERTABLE_INVOICE_COLUMNS.join(", ")})
+     VALUES (${INSERTABLE_INVOICE_COLUMNS.map(() => "?").join(", ")})`,
+    INSERTABLE_INVOICE_COLUMNS.map((col) => values[col] ?? null),
+  );
+  await insertInvoiceLines(lastID, invoice.lines || []);
+  for (const document of invoice.documents || []) await insertDocumentRow(organisationId, lastID, document);
+  await refreshApproval(organisationId, lastID);
+  return lastID;
+};
+
+// `invoice.lines` and `invoice.documents`, when present, are stored in the same transaction.
+const insertInvoice = async (organisationId, invoice, actor) => {
+  const id = await withTransaction(async () => {
+    const insertedId = await insertInvoiceRows(organisationId, invoice);
+    await recordInvoiceCreated(organisationId, insertedId, actor);
+    return insertedId;
+  });
+  return findInvoiceById(organisationId, id);
+};
+
+/**
+ * Inserts a batch of imported invoices in one transaction: either every invoice is stored or none is.
+ * `amount_paid` on an invoice is recorded as an "import" payment dated on the due date, which makes it
+ * part-paid or paid.
+ */
+const importInvoices = async (organisationId, invoices, { reference = "Bulk import", actor } = {}) => {
+  const ids = await withTransaction(async () => {
+    const inserted = [];
+    for (const invoice of invoices) {
+      const paid = roundMoney(invoice.amount_paid);
+      let status = invoice.status;
+      if (paid > 0) status = paid >= roundMoney(invoice.amount) ? STATUS.PAID : STATUS.PART_PAID;
+      const id = await insertInvoiceRows(organisationId, { ...invoice, status });
+      if (paid > 0) {
+        await run("INSERT INTO payments (invoice_id, amount, paid_on, method, reference) VALUES (?, ?, ?, ?, ?)", [
+          id,
+          paid,
+          invoice.due_date || invoice.issue_date,
+          "import",
+          reference,
+        ]);
+      }
+      await recordInvoiceCreated(organisationId, id, actor, reference);
+      inserted.push(id);
+    }
+    return inserted;
+  });
+  return Promise.all(ids.map((id) => findInvoiceById(organisationId, id)));
+};
+
+const toSupplier = (row) =>
+  row
+    ? {
+        ...row,
+        aliases: parseJsonColumn(row.aliases, []),
+        bank_details: parseJsonColumn(row.bank_details, null),
+      }
+    : row;
+
+const SUPPLIER_COLUMNS = [
+  "name",
+  "aliases",
+  "default_category",
+  "payment_terms_days",
+  "vat_number",
+  "bank_details",
+  "payment_priority",
+  "early_payment_discount_percent",
+  "early_payment_discount_days",
+];
+
+const toSupplierParams = (supplier, columns) =>
+  columns.map((col) => {
+    if (col === "aliases") return JSON.stringify(supplier.aliases || []);
+    if (col === "bank_details") return supplier.bank_details ? JSON.stringify(supplier.bank_details) : null;
+    if (col === "payment_priority") return supplier.payment_priority || SUPPLIER_PRIORITY.NORMAL;
+    return supplier[col] ?? null;
   });
-  return findInvoiceById(id);
+
+const getSuppliers = async (organisationId) =>
+  (await all("SELECT * FROM suppliers WHERE organisation_id = ? ORDER BY name", [organisationId])).map(toSupplier);
+
+const findSupplierById = async (organisationId, id) =>
+  toSupplier(await get("SELECT * FROM suppliers WHERE organisation_id = ? AND id = ?", [organisationId, id]));
+
+// Attaches unlinked invoices whose free-text supplier matches this supplier's name or aliases, one
+// recorded update each, since a new payee sends the invoice back for approval.
+const linkInvoicesToSupplier = async (supplier, actor) => {
+  const organisationId = supplier.organisation_id;
+  const rows = await all(`${INVOICE_SELECT_SQL} WHERE invoices.organisation_id = ? AND invoices.supplier_id IS NULL`, [
+    organisationId,
+  ]);
+  const matches = rows.map(toInvoice).filter((invoice) => matchSupplier(invoice.supplier, [supplier]));
+  for (const invoice of matches) {
+    const event = { action: EVENT_ACTION.UPDATED, actor, note: `Linked to supplier ${supplier.name}` };
+    await trackInvoiceChange(organisationId, invoice.id, event, () =>
+      applyInvoiceUpdate(organisationId, invoice, { supplier_id: supplier.id }),
+    );
+  }
+  return matches.length;
 };
 
-const archiveInvoice = async (id) => {
-  const existing = await findInvoiceById(id);
+// New bank details mean paying someone else, so every open invoice from the supplier needs sign-off again.
+const requireApprovalForNewBankDetails = async (supplier, actor) => {
+  const organisationId = supplier.organisation_id;
+  const rows = await all(
+    `SELECT id FROM invoices WHERE organisation_id = ? AND supplier_id = ? AND document_type = ? AND archived = 0
+       AND status NOT IN (?, ?)`,
+    [organisationId, supplier.id, DOCUMENT_TYPE.INVOICE, STATUS.PAID, STATUS.VOID],
+  );
+  for (const { id } of rows) {
+    const event = { action: EVENT_ACTION.UPDATED, actor, note: `Bank details of ${supplier.name} changed` };
+    await trackInvoiceChange(organisationId, id, event, () =>
+      refreshApproval(organisationId, id, [`bank details of ${supplier.name} changed`]),
+    );
+  }
+};
+
+const insertSupplier = async (organisationId, supplier, actor) => {
+  const { lastID } = await run(
+    `INSERT INTO suppliers (organisation_id, ${SUPPLIER_COLUMNS.join(", ")})
+     VALUES (?, ${SUPPLIER_COLUMNS.map(() => "?").join(", ")})`,
+    [organisationId, ...toSupplierParams(supplier, SUPPLIER_COLUMNS)],
+  );
+  const inserted = await findSupplierById(organisationId, lastID);
+  await linkInvoicesToSupplier(inserted, actor);
+  return inserted;
+};
+
+const updateSupplier = async (organisationId, id, fields, actor) => {
+  const existing = await findSupplierById(organisationId, id);
+  if (!existing) return null;
+  const columns = SUPPLIER_COLUMNS.filter((key) => Object.prototype.hasOwnProperty.call(fields, key));
+  if (columns.length) {
+    await run(`UPDATE suppliers SET ${columns.map((col) => `${col} = ?`).join(", ")} WHERE id = ? AND organisation_id = ?`, [
+      ...toSupplierParams(fields, columns),
+      id,
+      organisationId,
+    ]);
+  }
+  const updated = await findSupplierById(organisationId, id);
+  if (JSON.stringify(updated.bank_details) !== JSON.stringify(existing.bank_details)) {
+    await requireApprovalForNewBankDetails(updated, actor);
+  }
+  await linkInvoicesToSupplier(updated, actor);
+  return updated;
+};
+
+// Returns null when missing, or { deleted: false, invoiceCount } when invoices still reference it.
+const deleteSupplier = async (organisationId, id) => {
+  const existing = await findSupplierById(organisationId, id);
   if (!existing) return null;
-  await new Promise((resolve, reject) => {
-    db.run("UPDATE invoices SET archived = 1 WHERE id = ?", [id], (err) => {
-      if (err) return reject(err);
-      resolve();
+  const { count } = await get("SELECT COUNT(*) AS count FROM invoices WHERE organisation_id = ? AND supplier_id = ?", [
+    organisationId,
+    id,
+  ]);
+  if (count > 0) return { deleted: false, invoiceCount: count };
+  // Recurring bills keep their supplier name, so they still match uploads once unlinked.
+  await run("UPDATE recurring_bills SET supplier_id = NULL WHERE organisation_id = ? AND supplier_id = ?", [organisationId, id]);
+  await run("DELETE FROM suppliers WHERE id = ? AND organisation_id = ?", [id, organisationId]);
+  return { deleted: true, invoiceCount: 0 };
+};
+
+const getRecurringBills = (organisationId) =>
+  all("SELECT * FROM recurring_bills WHERE organisation_id = ? ORDER BY supplier, id", [organisationId]);
+
+const findRecurringBillById = (organisationId, id) =>
+  get("SELECT * FROM recurring_bills WHERE organisation_id = ? AND id = ?", [organisationId, id]);
+
+const insertRecurringBill = async (organisationId, bill) => {
+  const values = {
+    currency: DEFAULT_CURRENCY,
+    tolerance_percent: DEFAULT_TOLERANCE_PERCENT,
+    tolerance_days: DEFAULT_TOLERANCE_DAYS,
+    active: 1,
+    ...bill,
+  };
+  const { lastID } = await run(
+    `INSERT INTO recurring_bills (organisation_id, ${RECURRING_BILL_COLUMNS.join(", ")})
+     VALUES (?, ${RECURRING_BILL_COLUMNS.map(() => "?").join(", ")})`,
+    [organisationId, ...RECURRING_BILL_COLUMNS.map((col) => values[col] ?? null)],
+  );
+  return findRecurringBillById(organisationId, lastID);
+};
+
+const updateRecurringBill = async (organisationId, id, fields) => {
+  const existing = await findRecurringBillById(organisationId, id);
+  if (!existing) return null;
+  const columns = RECURRING_BILL_COLUMNS.filter((key) => Object.prototype.hasOwnProperty.call(fields, key));
+  if (columns.length) {
+    await run(
+      `UPDATE recurring_bills SET ${columns.map((col) => `${col} = ?`).join(", ")} WHERE id = ? AND organisation_id = ?`,
+      [...columns.map((col) => fields[col]), id, organisationId],
+    );
+  }
+  return findRecurringBillById(organisationId, id);
+};
+
+// Bills that invoices were matched to are kept for their history; deactivate them instead.
+const deleteRecurringBill = async (organisationId, id) => {
+  const existing = await findRecurringBillById(organisationId, id);
+  if (!existing) return null;
+  const { count } = await get(
+    "SELECT COUNT(*) AS count FROM invoices WHERE organisation_id = ? AND recurring_bill_id = ?",
+    [organisationId, id],
+  );
+  if (count > 0) return { deleted: false, invoiceCount: count };
+  await run("DELETE FROM recurring_bills WHERE id = ? AND organisation_id = ?", [id, organisationId]);
+  return { deleted: true, invoiceCount: 0 };
+};
+
+// Invoices already matched to an expected bill; void invoices free their expected date up again.
+const getRecurringMatches = (organisationId) =>
+  all(
+    `SELECT id, recurring_bill_id, recurring_expected_date FROM invoices
+     WHERE organisation_id = ? AND recurring_bill_id IS NOT NULL AND status != ?`,
+    [organisationId, STATUS.VOID],
+  );
+
+// Recurring bills expected up to `days` from today, plus every earlier one that never arrived.
+const getExpectedBills = async (organisationId, { today = new Date(), days = 30 } = {}) => {
+  const [bills, matches] = await Promise.all([getRecurringBills(organisationId), getRecurringMatches(organisationId)]);
+  return buildExpectedBills(bills, matches, { until: addDays(toISODate(today), days), today });
+};
+
+// Allocations made from or to `invoiceId`, whichever side of them it is on.
+const getCreditAllocations = (organisationId, invoiceId) =>
+  all(
+    `SELECT credit_allocations.*, notes.invoice_number AS credit_note_number, invoices.invoice_number
+     FROM credit_allocations
+     JOIN invoices notes ON notes.id = credit_allocations.credit_note_id
+     JOIN invoices ON invoices.id = credit_allocations.invoice_id
+     WHERE credit_allocations.organisation_id = ? AND (credit_allocations.credit_note_id = ? OR credit_allocations.invoice_id = ?)
+     ORDER BY credit_allocations.id`,
+    [organisationId, invoiceId, invoiceId],
+  );
+
+/**
+ * Takes `allocation.amount` of credit (default: as much as both sides allow) off an invoice's balance.
+ * Either side that reaches a zero balance becomes paid. Both are checked again inside the transaction
+ * and a CreditNoteError explains any refusal. Resolves { allocation, creditNote, invoice }, or null
+ * when either is missing.
+ */
+const allocateCredit = async (organisationId, creditNoteId, { invoiceId, amount, allocated_on, note }, actor) => {
+  const allocationId = await withTransaction(async () => {
+    const [creditNote, invoice] = await Promise.all([
+      findInvoiceById(organisationId, creditNoteId),
+      findInvoiceById(organisationId, invoiceId),
+    ]);
+    if (!creditNote || !invoice) return null;
+    const value = roundMoney(amount ?? Math.min(creditNote.balance, invoice.balance));
+    const problem = allocationProblem(creditNote, invoice, value);
+    if (problem) throw new CreditNoteError(problem);
+    if (value <= 0) throw new CreditNoteError("There is no credit left to allocate");
+
+    // Moves either side to paid or part-paid from its new balance, as recordPayment does.
+    const settle = async (id, existing) => {
+      const { balance, amount: total } = await findInvoiceById(organisationId, id);
+      if (balance >= total) return;
+      const nextStatus = balance <= 0 ? STATUS.PAID : STATUS.PART_PAID;
+      if (nextStatus === STATUS.PART_PAID && existing.status === STATUS.DISPUTED) return;
+      assertTransition(existing.status, nextStatus);
+      await run("UPDATE invoices SET status = ? WHERE id = ? AND organisation_id = ?", [nextStatus, id, organisationId]);
+    };
+    const creditNoteEvent = { action: EVENT_ACTION.CREDIT_ALLOCATED, actor, note: `Allocated to invoice ${invoice.id}` };
+    const invoiceEvent = { action: EVENT_ACTION.CREDIT_ALLOCATED, actor, note: `Credit from credit note ${creditNote.id}` };
+    return trackInvoiceChange(organisationId, invoice.id, invoiceEvent, () =>
+      trackInvoiceChange(organisationId, creditNote.id, creditNoteEvent, async () => {
+        const { lastID } = await run(
+          `INSERT INTO credit_allocations (organisation_id, credit_note_id, invoice_id, amount, allocated_on, note, user_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [organisationId, creditNote.id, invoice.id, value, allocated_on, note ?? null, actor.userId ?? null],
+        );
+        await settle(invoice.id, invoice);
+        await settle(creditNote.id, creditNote);
+        return lastID;
+      }),
+    );
+  });
+  if (!allocationId) return null;
+  const [allocation, creditNote, invoice] = await Promise.all([
+    get("SELECT * FROM credit_allocations WHERE id = ?", [allocationId]),
+    findInvoiceById(organisationId, creditNoteId),
+    findInvoiceById(organisationId, invoiceId),
+  ]);
+  return { allocation, creditNote, invoice };
+};
+
+const DISPUTE_SELECT_SQL = `
+SELECT disputes.*, invoices.supplier, invoices.invoice_number, invoices.currency, invoices.amount, invoices.due_date
+FROM disputes JOIN invoices ON invoices.id = disputes.invoice_id`;
+
+const getDisputes = (organisationId, { status, invoiceId } = {}) =>
+  all(
+    `${DISPUTE_SELECT_SQL} WHERE disputes.organisation_id = ? ${status ? "AND disputes.status = ?" : ""}
+     ${invoiceId ? "AND disputes.invoice_id = ?" : ""} ORDER BY disputes.id DESC`,
+    [organisationId, ...(status ? [status] : []), ...(invoiceId ? [invoiceId] : [])],
+  );
+
+const findDisputeById = (organisationId, id) =>
+  get(`${DISPUTE_SELECT_SQL} WHERE disputes.organisation_id = ? AND disputes.id = ?`, [organisationId, id]);
+
+/**
+ * Opens a dispute on an invoice and moves it to disputed, which holds it out of the amounts to pay.
+ * Throws DisputeError for credit notes and invoices that already have an open dispute. Resolves the
+ * dispute, or null when there is no such invoice.
+ */
+const openDispute = async (organisationId, invoiceId, { reason, notes = null }, actor) => {
+  const disputeId = await withTransaction(async () => {
+    const invoice = await findInvoiceById(organisationId, invoiceId);
+    if (!invoice) return null;
+    if (isCreditNote(invoice)) throw new DisputeError("Credit notes cannot be disputed");
+    const open = await get("SELECT id FROM disputes WHERE invoice_id = ? AND status = ?", [invoiceId, DISPUTE_STATUS.OPEN]);
+    if (open) throw new DisputeError(`Invoice already has open dispute ${open.id}`);
+    assertTransition(invoice.status, STATUS.DISPUTED);
+    const event = { action: EVENT_ACTION.DISPUTE_OPENED, actor, note: reason };
+    return trackInvoiceChange(organisationId, invoiceId, event, async () => {
+      const { lastID } = await run(
+        "INSERT INTO disputes (organisation_id, invoice_id, reason, status, notes, opened_by) VALUES (?, ?, ?, ?, ?, ?)",
+        [organisationId, invoiceId, reason, DISPUTE_STATUS.OPEN, notes, actor.userId ?? null],
+      );
+      await run("UPDATE invoices SET status = ? WHERE id = ? AND organisation_id = ?", [
+        STATUS.DISPUTED,
+        invoiceId,
+        organisationId,
+      ]);
+      return lastID;
     });
   });
-  return findInvoiceById(id);
+  return disputeId ? findDisputeById(organisationId, disputeId) : null;
 };
 
-const insertInvoice = async (invoice) =>
-  new Promise((resolve, reject) => {
-    db.run(
-      `INSERT INTO invoices (supplier, invoice_number, issue_date, due_date, amount, status, category, source, week_label, archived)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+/**
+ * Updates a dispute's reason or notes, or closes it as resolved or withdrawn. Closing puts a disputed
+ * invoice back to upcoming, part-paid or paid; closed disputes cannot be reopened.
+ */
+const updateDispute = async (organisationId, id, fields, actor) => {
+  const updated = await withTransaction(async () => {
+    const dispute = await findDisputeById(organisationId, id);
+    if (!dispute) return false;
+    const closing = fields.status && fields.status !== dispute.status;
+    if (closing && dispute.status !== DISPUTE_STATUS.OPEN) {
+      throw new DisputeError(`Dispute is already ${dispute.status}; open a new one instead`);
+    }
+    if (closing && fields.status === DISPUTE_STATUS.OPEN) throw new DisputeError("Dispute is already open");
+    const columns = ["reason", "notes", "status"].filter((key) => Object.prototype.hasOwnProperty.call(fields, key));
+    await run(
+      `UPDATE disputes SET ${columns.map((col) => `${col} = ?`).join(", ")}, updated_at = ?
+       ${closing ? ", closed_at = ?, closed_by = ?" : ""} WHERE id = ? AND organisation_id = ?`,
+      [
+        ...columns.map((col) => fields[col]),
+        new Date().toISOString(),
+        ...(closing ? [new Date().toISOString(), actor.userId ?? null] : []),
+        id,
+        organisationId,
+      ],
+    );
+    if (!closing) return true;
+    const invoice = await findInvoiceById(organisationId, dispute.invoice_id);
+    if (invoice.status !== STATUS.DISPUTED) return true;
+    const event = { action: EVENT_ACTION.DISPUTE_CLOSED, actor, note: `Dispute ${id} ${fields.status}` };
+    await trackInvoiceChange(organisationId, invoice.id, event, () =>
+      run("UPDATE invoices SET status = ? WHERE id = ? AND organisation_id = ?", [
+        statusAfterDispute(invoice),
+        invoice.id,
+        organisationId,
+      ]),
+    );
+    return true;
+  });
+  return updated ? findDisputeById(organisationId, id) : null;
+};
+
+const toPaymentRunItem = (row) => ({
+  ...row,
+  reasons: parseJsonColumn(row.reasons, []),
+  bank_details: parseJsonColumn(row.bank_details, null),
+});
+
+const getPaymentRuns = (organisationId, { status } = {}) =>
+  all(
+    `SELECT payment_runs.*, COUNT(payment_run_items.id) AS item_count
+     FROM payment_runs LEFT JOIN payment_run_items ON payment_run_items.payment_run_id = payment_runs.id
+     WHERE payment_runs.organisation_id = ? ${status ? "AND payment_runs.status = ?" : ""}
+     GROUP BY payment_runs.id ORDER BY payment_runs.id DESC`,
+    [organisationId, ...(status ? [status] : [])],
+  );
+
+// A payment run with its items, each carrying the invoice's supplier and number and the supplier's
+// current bank details. Approved items also hold the account they were approved to pay.
+const findPaymentRunById = async (organisationId, id) => {
+  const paymentRun = await get("SELECT * FROM payment_runs WHERE organisation_id = ? AND id = ?", [organisationId, id]);
+  if (!paymentRun) return null;
+  const items = await all(
+    `SELECT payment_run_items.*, invoices.supplier, invoices.supplier_id, invoices.invoice_number, invoices.due_date,
+       suppliers.bank_details
+     FROM payment_run_items
+     JOIN invoices ON invoices.id = payment_run_items.invoice_id
+     LEFT JOIN suppliers ON suppliers.id = invoices.supplier_id
+     WHERE payment_run_items.payment_run_id = ? ORDER BY payment_run_items.id`,
+    [id],
+  );
+  return { ...paymentRun, items: items.map(toPaymentRunItem) };
+};
+
+// Stores a proposed run from planPaymentRun's items.
+const insertPaymentRun = async (organisationId, { pay_date, currency, available_cash, total, items }, actor) => {
+  const id = await withTransaction(async () => {
+    const { lastID } = await run(
+      `INSERT INTO payment_runs (organisation_id, status, pay_date, currency, available_cash, total, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [organisationId, PAYMENT_RUN_STATUS.PROPOSED, pay_date, currency, available_cash, total, actor.userId ?? null],
+    );
+    for (const item of items) {
+      await run(
+        `INSERT INTO payment_run_items (payment_run_id, invoice_id, balance, discount, amount, score, reasons)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [lastID, item.invoice.id, item.balance, item.discount, item.amount, item.score, JSON.stringify(item.reasons)],
+      );
+    }
+    return lastID;
+  });
+  return findPaymentRunById(organisationId, id);
+};
+
+/**
+ * Pays every invoice in a proposed run on its pay date: a "bacs" payment for the amount sent, plus a
+ * "discount" payment for any early-payment discount taken so the invoice is settled. Each item keeps the
+ * payee account it was approved for, which the BACS file is built from. All or nothing: a supplier
+ * without UK bank details, or an invoice whose balance has moved since the proposal, or that is now
+ * disputed or needs approval, fails the whole run.
+ */
+const approvePaymentRun = async (organisationId, id, actor) => {
+  const approved = await withTransaction(async () => {
+    const paymentRun = await findPaymentRunById(organisationId, id);
+    if (!paymentRun) return false;
+    if (paymentRun.status !== PAYMENT_RUN_STATUS.PROPOSED) {
+      throw new PaymentRunError(`Payment run is already ${paymentRun.status}`);
+    }
+    const accounts = paymentRun.items.map((item) => ukBankAccount(item.bank_details, item.supplier));
+    const missing = paymentRun.items.filter((item, index) => !accounts[index]);
+    if (missing.length) {
+      const suppliers = [...new Set(missing.map((item) => item.supplier))].join(", ");
+      throw new PaymentRunError(`No UK sort code and account number for: ${suppliers}`);
+    }
+    for (const [index, item] of paymentRun.items.entries()) {
+      const invoice = await findInvoiceById(organisationId, item.invoice_id);
+      const changed = roundMoney(invoice.balance) !== roundMoney(item.balance);
+      if (changed || invoice.archived || invoice.status === STATUS.DISPUTED) {
+        throw new PaymentRunError(`Invoice ${invoice.id} has changed since the run was proposed; propose a new run`);
+      }
+      const reference = `Payment run ${id}`;
+      const { payment } = await recordPayment(
+        organisationId,
+        invoice.id,
+        { amount: item.amount, paid_on: paymentRun.pay_date, method: "bacs", reference },
+        actor,
+      );
+      if (item.discount > 0) {
+        const discount = {
+          amount: item.discount,
+          paid_on: paymentRun.pay_date,
+          method: "discount",
+          reference: `Early payment discount, ${reference}`,
+        };
+        await recordPayment(organisationId, invoice.id, discount, actor);
+      }
+      const { sortCode, accountNumber, accountName } = accounts[index];
+      await run(
+        "UPDATE payment_run_items SET payment_id = ?, sort_code = ?, account_number = ?, account_name = ? WHERE id = ?",
+        [payment.id, sortCode, accountNumber, accountName, item.id],
+      );
+    }
+    await run("UPDATE payment_runs SET status = ?, approved_by = ?, approved_at = ? WHERE id = ? AND organisation_id = ?", [
+      PAYMENT_RUN_STATUS.APPROVED,
+      actor.userId ?? null,
+      new Date().toISOString(),
+      id,
+      organisationId,
+    ]);
+    return true;
+  });
+  return approved ? findPaymentRunById(organisationId, id) : null;
+};
+
+const cancelPaymentRun = async (organisationId, id) => {
+  const paymentRun = await get("SELECT status FROM payment_runs WHERE organisation_id = ? AND id = ?", [organisationId, id]);
+  if (!paymentRun) return null;
+  if (paymentRun.status !== PAYMENT_RUN_STATUS.PROPOSED) {
+    throw new PaymentRunError(`Payment run is already ${paymentRun.status}`);
+  }
+  await run("UPDATE payment_runs SET status = ? WHERE id = ? AND organisation_id = ?", [
+    PAYMENT_RUN_STATUS.CANCELLED,
+    id,
+    organisationId,
+  ]);
+  return findPaymentRunById(organisationId, id);
+};
+
+const BANK_TRANSACTION_COLUMNS = [
+  "fingerprint",
+  "booked_on",
+  "amount",
+  "currency",
+  "description",
+  "counterparty",
+  "reference",
+  "external_id",
+  "status",
+  "suggested_invoice_id",
+  "match_score",
+  "match_reasons",
+];
+
+const toBankTransaction = (row) => (row ? { ...row, match_reasons: parseJsonColumn(row.match_reasons, []) } : row);
+
+const getBankStatements = (organisationId) =>
+  all("SELECT * FROM bank_statements WHERE organisation_id = ? ORDER BY id DESC", [organisationId]);
+
+// The newest closing balance across uploaded statements, used as the forecast's opening balance.
+const findLatestBankBalance = (organisationId) =>
+  get(
+    `SELECT id AS statement_id, closing_balance, balance_date, currency FROM bank_statements
+     WHERE organisation_id = ? AND closing_balance IS NOT NULL
+     ORDER BY balance_date DESC, id DESC LIMIT 1`,
+    [organisationId],
+  );
+
+/**
+ * Stores a statement and its transactions in one transaction. Transactions already stored from an
+ * earlier statement (same fingerprint) are skipped. Resolves { statement, transactions } with only the
+ * newly stored transactions.
+ */
+const insertBankStatement = async (organisationId, statement, transactions, { uploadedBy = null } = {}) => {
+  const statementId = await withTransaction(async () => {
+    const { lastID } = await run(
+      `INSERT INTO bank_statements
+         (organisation_id, format, original_name, account, currency, closing_balance, balance_date, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        invoice.supplier,
-        invoice.invoice_number,
-        invoice.issue_date,
-        invoice.due_date,
-        invoice.amount,
-        invoice.status,
-        invoice.category,
-        invoice.source,
-        invoice.week_label,
-        invoice.archived ?? 0,
+        organisationId,
+        statement.format,
+        statement.original_name ?? null,
+        statement.account ?? null,
+        statement.currency,
+        statement.closingBalance ?? null,
+        statement.balanceDate ?? null,
+        uploadedBy,
       ],
-      function (err) {
-        if (err) return reject(err);
-        const id = this.lastID;
-        findInvoiceById(id)
-          .then((row) => resolve(row))
-          .catch(reject);
-      },
     );
+    let inserted = 0;
+    for (const transaction of transactions) {
+      const values = {
+        ...transaction,
+        match_reasons: transaction.match_reasons ? JSON.stringify(transaction.match_reasons) : null,
+      };
+      const { changes } = await run(
+        `INSERT OR IGNORE INTO bank_transactions (organisation_id, statement_id, ${BANK_TRANSACTION_COLUMNS.join(", ")})
+         VALUES (?, ?, ${BANK_TRANSACTION_COLUMNS.map(() => "?").join(", ")})`,
+        [organisationId, lastID, ...BANK_TRANSACTION_COLUMNS.map((col) => values[col] ?? null)],
+      );
+      inserted += changes;
+    }
+    await run("UPDATE bank_statements SET transaction_count = ? WHERE id = ?", [inserted, lastID]);
+    return lastID;
+  });
+  const [stored, rows] = await Promise.all([
+    get("SELECT * FROM bank_statements WHERE id = ?", [statementId]),
+    all("SELECT * FROM bank_transactions WHERE statement_id = ? ORDER BY booked_on, id", [statementId]),
+  ]);
+  return { statement: stored, transactions: rows.map(toBankTransaction) };
+};
+
+const getBankTransactions = async (organisationId, { status, statementId } = {}) => {
+  const where = ["organisation_id = ?"];
+  const params = [organisationId];
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (statementId) {
+    where.push("statement_id = ?");
+    params.push(statementId);
+  }
+  const rows = await all(`SELECT * FROM bank_transactions WHERE ${where.join(" AND ")} ORDER BY booked_on DESC, id DESC`, params);
+  return rows.map(toBankTransaction);
+};
+
+const findBankTransactionById = async (organisationId, id) =>
+  toBankTransaction(await get("SELECT * FROM bank_transactions WHERE organisation_id = ? AND id = ?", [organisationId, id]));
+
+// Invoices already suggested for a transaction nobody has confirmed or ignored yet.
+const getSuggestedInvoiceIds = async (organisationId) =>
+  (
+    await all("SELECT suggested_invoice_id FROM bank_transactions WHERE organisation_id = ? AND status = ?", [
+      organisationId,
+      TRANSACTION_STATUS.SUGGESTED,
+    ])
+  ).map((row) => row.suggested_invoice_id);
+
+/**
+ * Records `payment` against `invoiceId` through recordPayment and marks the bank transaction as
+ * reconciled with it, both or neither. Resolves null when the invoice does not exist.
+ */
+const reconcileBankTransaction = async (organisationId, id, invoiceId, payment, actor) =>
+  withTransaction(async () => {
+    const current = await findBankTransactionById(organisationId, id);
+    if (current?.status === TRANSACTION_STATUS.RECONCILED) {
+      throw new BankReconciliationError(`Bank transaction is already reconciled with invoice ${current.invoice_id}`);
+    }
+    const result = await recordPayment(organisationId, invoiceId, payment, actor);
+    if (!result) return null;
+    await run(
+      "UPDATE bank_transactions SET status = ?, invoice_id = ?, payment_id = ? WHERE id = ? AND organisation_id = ?",
+      [TRANSACTION_STATUS.RECONCILED, invoiceId, result.payment.id, id, organisationId],
+    );
+    // A settled invoice cannot take another payment, so other suggestions for it are dropped.
+    if (result.invoice.status === STATUS.PAID) {
+      await run(
+        `UPDATE bank_transactions SET status = ?, suggested_invoice_id = NULL, match_score = NULL, match_reasons = NULL
+         WHERE organisation_id = ? AND status = ? AND suggested_invoice_id = ?`,
+        [TRANSACTION_STATUS.UNMATCHED, organisationId, TRANSACTION_STATUS.SUGGESTED, invoiceId],
+      );
+    }
+    return { ...result, transaction: await findBankTransactionById(organisationId, id) };
+  });
+
+const ignoreBankTransaction = async (organisationId, id) => {
+  await run("UPDATE bank_transactions SET status = ? WHERE id = ? AND organisation_id = ?", [
+    TRANSACTION_STATUS.IGNORED,
+    id,
+    organisationId,
+  ]);
+  return findBankTransactionById(organisationId, id);
+};
+
+const toEmailMessage = (row) => (row ? { ...row, results: parseJsonColumn(row.results, []) } : row);
+
+/**
+ * Records that ingestion has started on a message. Resolves the new row's id, or null when the
+ * message was already claimed, so each message is only processed once.
+ */
+const claimEmailMessage = async (organisationId, message) => {
+  const { lastID, changes } = await run(
+    `INSERT OR IGNORE INTO email_messages
+       (organisation_id, message_key, message_id, origin, sender, subject, sent_at, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      organisationId,
+      message.message_key,
+      message.message_id ?? null,
+      message.origin,
+      message.sender ?? null,
+      message.subject ?? null,
+      message.sent_at ?? null,
+      EMAIL_STATUS.PROCESSING,
+    ],
+  );
+  return changes ? lastID : null;
+};
+
+const finishEmailMessage = (organisationId, id, { status, error = null, results = [] }) =>
+  run(
+    "UPDATE email_messages SET status = ?, error = ?, results = ?, processed_at = ? WHERE id = ? AND organisation_id = ?",
+    [status, error, JSON.stringify(results), new Date().toISOString(), id, organisationId],
+  );
+
+// Messages left mid-way by a crash; some of their invoices may already exist, so they are not retried.
+const failInterruptedEmailMessages = (organisationId) =>
+  run("UPDATE email_messages SET status = ?, error = ? WHERE organisation_id = ? AND status = ?", [
+    EMAIL_STATUS.FAILED,
+    "Interrupted before it finished; check its invoices and upload anything missing by hand",
+    organisationId,
+    EMAIL_STATUS.PROCESSING,
+  ]);
+
+const getEmailMessages = async (organisationId, { status, limit = 100 } = {}) => {
+  const where = status ? "AND status = ?" : "";
+  const rows = await all(
+    `SELECT * FROM email_messages WHERE organisation_id = ? ${where} ORDER BY id DESC LIMIT ?`,
+    [organisationId, ...(status ? [status] : []), limit],
+  );
+  return rows.map(toEmailMessage);
+};
+
+const countEmailMessages = async (organisationId) =>
+  Object.fromEntries(
+    (
+      await all("SELECT status, COUNT(*) AS count FROM email_messages WHERE organisation_id = ? GROUP BY status", [
+        organisationId,
+      ])
+    ).map((row) => [row.status, row.count]),
+  );
+
+// Columns safe to return to clients; a webhook's secret is only shown once, when it is created.
+const WEBHOOK_SELECT_SQL = "SELECT id, organisation_id, url, events, description, active, created_at FROM webhooks";
+
+const toWebhook = (row) => (row ? { ...row, events: parseJsonColumn(row.events, []) } : row);
+
+const getWebhooks = async (organisationId) =>
+  (await all(`${WEBHOOK_SELECT_SQL} WHERE organisation_id = ? ORDER BY id`, [organisationId])).map(toWebhook);
+
+const findWebhookById = async (organisationId, id) =>
+  toWebhook(await get(`${WEBHOOK_SELECT_SQL} WHERE organisation_id = ? AND id = ?`, [organisationId, id]));
+
+const insertWebhook = async (organisationId, { url, secret, events, description = null }) => {
+  const { lastID } = await run(
+    "INSERT INTO webhooks (organisation_id, url, secret, events, description) VALUES (?, ?, ?, ?, ?)",
+    [organisationId, url, secret, JSON.stringify(events), description],
+  );
+  return findWebhookById(organisationId, lastID);
+};
+
+const UPDATABLE_WEBHOOK_FIELDS = ["url", "events", "description", "active"];
+
+const updateWebhook = async (organisationId, id, fields) => {
+  const columns = UPDATABLE_WEBHOOK_FIELDS.filter((key) => Object.prototype.hasOwnProperty.call(fields, key));
+  const values = columns.map((col) => (col === "events" ? JSON.stringify(fields[col]) : fields[col]));
+  await run(`UPDATE webhooks SET ${columns.map((col) => `${col} = ?`).join(", ")} WHERE id = ? AND organisation_id = ?`, [
+    ...values,
+    id,
+    organisationId,
+  ]);
+  return findWebhookById(organisationId, id);
+};
+
+// Removes the webhook and its delivery log; resolves false when there was no such webhook.
+const deleteWebhook = (organisationId, id) =>
+  withTransaction(async () => {
+    await run("DELETE FROM webhook_deliveries WHERE webhook_id = ? AND organisation_id = ?", [id, organisationId]);
+    const { changes } = await run("DELETE FROM webhooks WHERE id = ? AND organisation_id = ?", [id, organisationId]);
+    return changes > 0;
   });
 
+/**
+ * Queues `payload` for every active webhook of the organisation subscribed to `event`. Resolves the
+ * number of deliveries queued. Runs inside the caller's transaction when there is one.
+ */
+const enqueueWebhookEvent = async (organisationId, event, payload) => {
+  const webhooks = (await getWebhooks(organisationId)).filter((webhook) => webhook.active && webhook.events.includes(event));
+  const body = JSON.stringify(payload);
+  const now = new Date().toISOString();
+  for (const webhook of webhooks) {
+    await run(
+      `INSERT INTO webhook_deliveries (organisation_id, webhook_id, event, payload, status, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [organisationId, webhook.id, event, body, DELIVERY_STATUS.PENDING, now],
+    );
+  }
+  return webhooks.length;
+};
+
+// Organisations with at least one active webhook subscribed to `event`.
+const getSubscribedOrganisationIds = async (event) =>
+  [
+    ...new Set(
+      (await all("SELECT organisation_id, events FROM webhooks WHERE active = 1"))
+        .filter((row) => parseJsonColumn(row.events, []).includes(event))
+        .map((row) => row.organisation_id),
+    ),
+  ];
+
+const DELIVERY_SELECT_SQL = `SELECT id, organisation_id, webhook_id, event, status, attempts, next_attempt_at,
+  response_status, last_error, created_at, delivered_at FROM webhook_deliveries`;
+
+const getWebhookDeliveries = (organisationId, webhookId, { status, limit = 100 } = {}) =>
+  all(
+    `${DELIVERY_SELECT_SQL} WHERE organisation_id = ? AND webhook_id = ? ${status ? "AND status = ?" : ""}
+     ORDER BY id DESC LIMIT ?`,
+    [organisationId, webhookId, ...(status ? [status] : []), limit],
+  );
+
+const findWebhookDeliveryById = (organisationId, id) =>
+  get(`${DELIVERY_SELECT_SQL} WHERE organisation_id = ? AND id = ?`, [organisationId, id]);
+
+// Puts a delivery back in the queue for the next scheduler run, keeping its attempt count.
+const retryWebhookDelivery = async (organisationId, id) => {
+  await run("UPDATE webhook_deliveries SET status = ?, next_attempt_at = ? WHERE id = ? AND organisation_id = ?", [
+    DELIVERY_STATUS.PENDING,
+    new Date().toISOString(),
+    id,
+    organisationId,
+  ]);
+  return findWebhookDeliveryById(organisationId, id);
+};
+
+// Pending deliveries whose next attempt is due, across organisations, with their webhook's URL and secret.
+const getDueWebhookDeliveries = (limit = 50) =>
+  all(
+    `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries
+     JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+     WHERE webhook_deliveries.status = ? AND webhook_deliveries.next_attempt_at <= ? AND webhooks.active = 1
+     ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id LIMIT ?`,
+    [DELIVERY_STATUS.PENDING, new Date().toISOString(), limit],
+  );
+
+// `nextAttemptAt` is null once the retries are used up, which marks a failed attempt as final.
+const recordWebhookAttempt = (id, { ok, status, error }, nextAttemptAt) =>
+  run(
+    `UPDATE webhook_deliveries SET attempts = attempts + 1, response_status = ?, last_error = ?, status = ?,
+       next_attempt_at = ?, delivered_at = ? WHERE id = ?`,
+    [
+      status,
+      error,
+      ok ? DELIVERY_STATUS.DELIVERED : nextAttemptAt ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED,
+      ok ? null : nextAttemptAt,
+      ok ? new Date().toISOString() : null,
+      id,
+    ],
+  );
+
+/**
+ * Records that a due-date reminder went out for an invoice. Resolves false when it already had, so
+ * each invoice gets one due_soon and one overdue reminder per due date.
+ */
+const claimInvoiceReminder = async (organisationId, invoiceId, event, dueDate) => {
+  const { changes } = await run(
+    "INSERT OR IGNORE INTO invoice_reminders (organisation_id, invoice_id, event, due_date) VALUES (?, ?, ?, ?)",
+    [organisationId, invoiceId, event, dueDate],
+  );
+  return changes > 0;
+};
+
+// History entries after `afterId` across organisations, oldest first, for the scheduler to turn into events.
+const getInvoiceEventsAfter = async (afterId, limit = 500) =>
+  (await all("SELECT * FROM invoice_events WHERE id > ? ORDER BY id LIMIT ?", [afterId, limit])).map((row) => ({
+    ...row,
+    changes: parseJsonColumn(row.changes, {}),
+  }));
+
+const getLatestInvoiceEventId = async () => (await get("SELECT MAX(id) AS id FROM invoice_events")).id || 0;
+
+const getSchedulerState = async (key) => (await get("SELECT value FROM scheduler_state WHERE key = ?", [key]))?.value ?? null;
+
+const setSchedulerState = (key, value) =>
+  run(
+    "INSERT INTO scheduler_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value",
+    [key, String(value)],
+  );
+
+// The default organisation owns everything created before accounts existed; the first user takes it over.
+const DEFAULT_ORGANISATION_ID = 1;
+
+const findOrganisationById = (id) => get("SELECT * FROM organisations WHERE id = ?", [id]);
+
+const createOrganisation = async (name) => {
+  const { lastID } = await run("INSERT INTO organisations (name) VALUES (?)", [name]);
+  return findOrganisationById(lastID);
+};
+
+const renameOrganisation = async (id, name) => {
+  await run("UPDATE organisations SET name = ? WHERE id = ?", [name, id]);
+  return findOrganisationById(id);
+};
+
+// Columns safe to return to clients; password_hash never leaves this module except via findUserByEmail.
+const USER_SELECT_SQL = "SELECT id, organisation_id, email, name, role, disabled, last_login_at, created_at FROM users";
+
+const countUsers = async () => (await get("SELECT COUNT(*) AS count FROM users")).count;
+
+const findUserByEmail = (email) => get("SELECT * FROM users WHERE email = ?", [email]);
+
+const findUserById = (organisationId, id) =>
+  get(`${USER_SELECT_SQL} WHERE organisation_id = ? AND id = ?`, [organisationId, id]);
+
+const getUsers = (organisationId) => all(`${USER_SELECT_SQL} WHERE organisation_id = ? ORDER BY email`, [organisationId]);
+
+const insertUser = async (organisationId, { email, name, password_hash, role }) => {
+  const { lastID } = await run(
+    "INSERT INTO users (organisation_id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)",
+    [organisationId, email, name ?? null, password_hash, role],
+  );
+  return findUserById(organisationId, lastID);
+};
+
+const UPDATABLE_USER_FIELDS = ["name", "role", "disabled", "password_hash"];
+
+// Disabling a user or changing their password also ends their existing sessions.
+const updateUser = async (organisationId, id, fields) => {
+  const existing = await findUserById(organisationId, id);
+  if (!existing) return null;
+  const columns = UPDATABLE_USER_FIELDS.filter((key) => Object.prototype.hasOwnProperty.call(fields, key));
+  if (columns.length) {
+    await run(`UPDATE users SET ${columns.map((col) => `${col} = ?`).join(", ")} WHERE id = ? AND organisation_id = ?`, [
+      ...columns.map((col) => fields[col]),
+      id,
+      organisationId,
+    ]);
+  }
+  if (fields.disabled || fields.password_hash) await run("DELETE FROM sessions WHERE user_id = ?", [id]);
+  return findUserById(organisationId, id);
+};
+
+const countActiveApprovers = async (organisationId) =>
+  (
+    await get("SELECT COUNT(*) AS count FROM users WHERE organisation_id = ? AND role = 'approver' AND disabled = 0", [
+      organisationId,
+    ])
+  ).count;
+
+const touchLastLogin = (id) => run("UPDATE users SET last_login_at = ? WHERE id = ?", [new Date().toISOString(), id]);
+
+const insertSession = (userId, { tokenHash, expiresAt }) =>
+  run("INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)", [tokenHash, userId, expiresAt]);
+
+// Returns the signed-in user for a live session, or undefined when the token is unknown, expired or disabled.
+const findSessionUser = (tokenHash) =>
+  get(
+    `SELECT users.id, users.organisation_id, users.email, users.name, users.role
+     FROM sessions JOIN users ON users.id = sessions.user_id
+     WHERE sessions.token_hash = ? AND sessions.expires_at > ? AND users.disabled = 0`,
+    [tokenHash, new Date().toISOString()],
+  );
+
+const deleteSession = (tokenHash) => run("DELETE FROM sessions WHERE token_hash = ?", [tokenHash]);
+
+const deleteExpiredSessions = () => run("DELETE FROM sessions WHERE expires_at <= ?", [new Date().toISOString()]);
+
 module.exports = {
+  db,
+  dbPath,
+  run,
+  all,
+  get,
+  seedIfEmpty,
   getInvoices,
+  queryInvoices,
+  aggregateInvoices,
+  getSupplierTimeliness,
+  INVOICE_GROUPINGS,
+  findInvoiceById,
+  getInvoiceLines,
+  getDocumentsForInvoice,
+  findDocument,
+  findPrimaryDocument,
+  insertDocument,
+  deleteDocument,
+  withTransaction,
+  getDuplicateCandidates,
+  getPaymentsForInvoice,
+  recordPayment,
   markInvoicePaid,
   archiveInvoice,
   insertInvoice,
+  importInvoices,
+  updateInvoice,
+  confirmInvoice,
+  getReviewQueue,
+  getInvoiceEvents,
+  findInvoiceEvent,
+  findLatestInvoiceEvent,
+  restoreInvoiceEvent,
+  getPendingApprovals,
+  getApprovalsForInvoice,
+  decideApproval,
+  getSuppliers,
+  findSupplierById,
+  insertSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getRecurringBills,
+  findRecurringBillById,
+  insertRecurringBill,
+  updateRecurringBill,
+  deleteRecurringBill,
+  getRecurringMatches,
+  getExpectedBills,
+  getCreditAllocations,
+  allocateCredit,
+  getDisputes,
+  findDisputeById,
+  openDispute,
+  updateDispute,
+  getPaymentRuns,
+  findPaymentRunById,
+  insertPaymentRun,
+  approvePaymentRun,
+  cancelPaymentRun,
+  getBankStatements,
+  findLatestBankBalance,
+  insertBankStatement,
+  getBankTransactions,
+  findBankTransactionById,
+  getSuggestedInvoiceIds,
+  reconcileBankTransaction,
+  ignoreBankTransaction,
+  claimEmailMessage,
+  finishEmailMessage,
+  failInterruptedEmailMessages,
+  getEmailMessages,
+  countEmailMessages,
+  getWebhooks,
+  findWebhookById,
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  enqueueWebhookEvent,
+  getSubscribedOrganisationIds,
+  getWebhookDeliveries,
+  findWebhookDeliveryById,
+  retryWebhookDelivery,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  claimInvoiceReminder,
+  getInvoiceEventsAfter,
+  getLatestInvoiceEventId,
+  getSchedulerState,
+  setSchedulerState,
+  DEFAULT_ORGANISATION_ID,
+  findOrganisationById,
+  createOrganisation,
+  renameOrganisation,
+  countUsers,
+  findUserByEmail,
+  findUserById,
+  getUsers,
+  insertUser,
+  updateUser,
+  countActiveApprovers,
+  touchLastLogin,
+  insertSession,
+  findSessionUser,
+  deleteSession,
+  deleteExpiredSessions,
 };
@@ -0,0 +1,64 @@
+const { STATUS } = require("./invoiceStatus");
+
+const DISPUTE_STATUS = {
+  OPEN: "open",
+  RESOLVED: "resolved",
+  WITHDRAWN: "withdrawn",
+};
+
+const DISPUTE_STATUSES = Object.values(DISPUTE_STATUS);
+
+const DISPUTE_REASONS = ["wrong_amount", "not_received", "damaged", "not_ordered", "duplicate", "other"];
+
+class DisputeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DisputeError";
+  }
+}
+
+// Validates a dispute create (reason required) or update body; only updates may change the status.
+const validateDisputeInput = (body, { partial = false } = {}) => {
+  const dispute = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { dispute, errors: ["Request body must be a JSON object"] };
+  }
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+
+  if (has("reason") || !partial) {
+    if (!DISPUTE_REASONS.includes(body.reason)) errors.push(`reason must be one of: ${DISPUTE_REASONS.join(", ")}`);
+    else dispute.reason = body.reason;
+  }
+  if (has("notes")) {
+    if (body.notes !== null && typeof body.notes !== "string") errors.push("notes must be a string or null");
+    else dispute.notes = body.notes?.trim() || null;
+  }
+  if (partial && has("status")) {
+    if (!DISPUTE_STATUSES.includes(body.status)) errors.push(`status must be one of: ${DISPUTE_STATUSES.join(", ")}`);
+    else dispute.status = body.status;
+  }
+  const allowed = partial ? ["reason", "notes", "status"] : ["reason", "notes"];
+  Object.keys(body)
+    .filter((key) => !allowed.includes(key))
+    .forEach((key) => errors.push(`${key} ${key === "status" ? "is set when a dispute is updated" : "is not a dispute field"}`));
+
+  if (partial && !errors.length && Object.keys(dispute).length === 0) errors.push("No dispute fields provided");
+  return { dispute, errors };
+};
+
+// Where a disputed invoice goes once its dispute closes: paid when nothing is left, part-paid when
+// some money or credit has gone against it, otherwise back to upcoming.
+const statusAfterDispute = (invoice) => {
+  if (Number(invoice.balance) <= 0) return STATUS.PAID;
+  return Number(invoice.balance) < Number(invoice.amount) ? STATUS.PART_PAID : STATUS.UPCOMING;
+};
+
+module.exports = {
+  DISPUTE_STATUS,
+  DISPUTE_STATUSES,
+  DISPUTE_REASONS,
+  DisputeError,
+  validateDisputeInput,
+  statusAfterDispute,
+};
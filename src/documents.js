@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getStorage, documentKey } = require("./storage");
+
+// Uploads and email attachments wait here until their invoice is saved; the server sweeps leftovers at startup.
+const TEMP_UPLOAD_DIR = path.join(__dirname, "..", "uploads", "tmp");
+fs.mkdirSync(TEMP_UPLOAD_DIR, { recursive: true });
+
+const DOCUMENT_KIND = {
+  INVOICE: "invoice",
+  CREDIT_NOTE: "credit_note",
+  REMITTANCE: "remittance",
+  OTHER: "other",
+};
+
+const DOCUMENT_KINDS = Object.values(DOCUMENT_KIND);
+
+/**
+ * Copies a multer upload into document storage and passes the document record to `persist`, which
+ * saves it to the database. If `persist` throws, the stored object is removed again so failed inserts
+ * leave no file behind. Resolves with whatever `persist` returns.
+ */
+const storeUpload = async (file, { kind = DOCUMENT_KIND.INVOICE, fileHash = null } = {}, persist) => {
+  const storage = getStorage();
+  const document = {
+    kind,
+    original_name: file.originalname,
+    content_type: file.mimetype || null,
+    size: file.size ?? null,
+    file_hash: fileHash,
+    storage_backend: storage.name,
+    storage_key: documentKey(file.originalname),
+  };
+  await storage.put(document.storage_key, file.path, { contentType: document.content_type });
+  try {
+    return await persist(document);
+  } catch (err) {
+    await removeStoredDocument(document);
+    throw err;
+  }
+};
+
+const openDocument = (document) => {
+  const storage = getStorage();
+  if (document.storage_backend !== storage.name) {
+    throw new Error(`Document ${document.id} is stored in "${document.storage_backend}" but the active backend is "${storage.name}"`);
+  }
+  return storage.get(document.storage_key);
+};
+
+// Best effort: a missing object is not an error, and a failure is logged rather than thrown.
+const removeStoredDocument = async (document) => {
+  try {
+    await getStorage().remove(document.storage_key);
+  } catch (err) {
+    console.error("Failed to remove stored document", { key: document.storage_key, err });
+  }
+};
+
+// Writes in-memory content (an email attachment) to a temporary file shaped like a multer upload.
+const writeTempUpload = async ({ originalname, mimetype, content }) => {
+  const filePath = path.join(TEMP_UPLOAD_DIR, `${Date.now()}-${crypto.randomUUID()}-${originalname}`);
+  await fs.promises.writeFile(filePath, content);
+  return { path: filePath, originalname, mimetype, size: content.length };
+};
+
+const removeTempUpload = (file) =>
+  file
+    ? fs.promises.rm(file.path, { force: true }).catch((err) => console.error("Failed to remove temporary upload", err))
+    : Promise.resolve();
+
+module.exports = {
+  DOCUMENT_KIND,
+  DOCUMENT_KINDS,
+  TEMP_UPLOAD_DIR,
+  storeUpload,
+  openDocument,
+  removeStoredDocument,
+  writeTempUpload,
+  removeTempUpload,
+};
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const hashFile = async (filePath) => {
+  const buffer = await fs.promises.readFile(filePath);
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+};
+
+const COMPANY_SUFFIXES = /\b(ltd|limited|llp|llc|plc|inc|co|company|group|uk)\b/g;
+
+const normalizeSupplier = (name) =>
+  (name || "")
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(COMPANY_SUFFIXES, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const normalizeInvoiceNumber = (value) =>
+  (value || "")
+    .toString()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "");
+
+const suppliersMatch = (a, b) => {
+  const left = normalizeSupplier(a);
+  const right = normalizeSupplier(b);
+  if (!left || !right) return false;
+  if (left === right) return true;
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  return shorter.length >= 4 && longer.startsWith(shorter);
+};
+
+const amountsMatch = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  const left = Number(a);
+  const right = Number(b);
+  return Number.isFinite(left) && Number.isFinite(right) && left > 0 && Math.abs(left - right) < 0.01;
+};
+
+/**
+ * Returns the most likely existing duplicate of `candidate`, or null.
+ * A file hash match wins outright; otherwise two of supplier, invoice number and amount must agree,
+ * and the invoice number must agree whenever both sides have one.
+ */
+const findLikelyDuplicate = (candidate, existingInvoices) => {
+  if (candidate.file_hash) {
+    const byHash = existingInvoices.find((inv) => inv.file_hash && inv.file_hash === candidate.file_hash);
+    if (byHash) return { invoice: byHash, reason: "file_hash" };
+  }
+
+  const candidateNumber = normalizeInvoiceNumber(candidate.invoice_number);
+  for (const inv of existingInvoices) {
+    const existingNumber = normalizeInvoiceNumber(inv.invoice_number);
+    const numberMatch = Boolean(candidateNumber) && candidateNumber === existingNumber;
+    if (candidateNumber && existingNumber && !numberMatch) continue;
+    const checks = [numberMatch, suppliersMatch(candidate.supplier, inv.supplier), amountsMatch(candidate.amount, inv.amount)];
+    if (checks.filter(Boolean).length >= 2) {
+      return { invoice: inv, reason: "supplier_number_amount" };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  hashFile,
+  normalizeSupplier,
+  normalizeInvoiceNumber,
+  findLikelyDuplicate,
+};
@@ -0,0 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+
+const isDirectory = async (dir) => (await fs.promises.stat(dir).catch(() => null))?.isDirectory() ?? false;
+
+/**
+ * Hands every new message in a drop folder to `handle(raw, origin)`. A Maildir (one with a `new`
+ * subfolder) is read from `new/`, and each message moves to `cur/` marked seen once handled. Any other
+ * folder is read for `*.eml` files, which move to a `processed/` subfolder. A message whose `handle`
+ * throws stays where it is and is offered again on the next poll.
+ */
+const pollDropFolder = async (dir, handle) => {
+  const maildir = await isDirectory(path.join(dir, "new"));
+  const inbox = maildir ? path.join(dir, "new") : dir;
+  const doneDir = path.join(dir, maildir ? "cur" : "processed");
+  await fs.promises.mkdir(doneDir, { recursive: true });
+
+  const entries = await fs.promises.readdir(inbox, { withFileTypes: true });
+  const names = entries
+    .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+    .map((entry) => entry.name)
+    .filter((name) => maildir || /\.eml$/i.test(name))
+    .sort();
+  for (const name of names) {
+    const filePath = path.join(inbox, name);
+    await handle(await fs.promises.readFile(filePath), `${maildir ? "maildir" : "folder"}:${name}`);
+    await fs.promises.rename(filePath, path.join(doneDir, maildir ? `${name.split(":")[0]}:2,S` : name));
+  }
+  return names.length;
+};
+
+module.exports = {
+  pollDropFolder,
+};
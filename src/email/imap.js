@@ -0,0 +1,36 @@
+const { ImapFlow } = require("imapflow");
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Hands every unseen message in the mailbox to `handle(raw, origin)` and flags it \Seen once handled.
+ * A message whose `handle` throws stays unseen and is offered again on the next poll.
+ */
+const pollImapMailbox = async ({ host, port, secure, user, password, mailbox }, handle) => {
+  const client = new ImapFlow({ host, port, secure, auth: { user, pass: password }, logger: false });
+  await client.connect();
+  try {
+    const lock = await client.getMailboxLock(mailbox);
+    try {
+      const uids = (await client.search({ seen: false }, { uid: true })) || [];
+      for (const uid of uids) {
+        const { content } = await client.download(String(uid), undefined, { uid: true });
+        await handle(await streamToBuffer(content), `imap:${mailbox}/${uid}`);
+        await client.messageFlagsAdd(String(uid), ["\\Seen"], { uid: true });
+      }
+      return uids.length;
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout().catch(() => client.close());
+  }
+};
+
+module.exports = {
+  pollImapMailbox,
+};
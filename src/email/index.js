@@ -0,0 +1,183 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const {
+  db,
+  DEFAULT_ORGANISATION_ID,
+  claimEmailMessage,
+  finishEmailMessage,
+  failInterruptedEmailMessages,
+} = require("../db");
+const { getMigrationStatus } = require("../migrate");
+const { ingestInvoiceFile } = require("../invoiceIntake");
+const { writeTempUpload, removeTempUpload } = require("../documents");
+const { EVENT_SOURCE } = require("../invoiceEvents");
+const { EMAIL_STATUS, readEmailMessage } = require("./messages");
+const { pollDropFolder } = require("./dropFolder");
+const { pollImapMailbox } = require("./imap");
+
+// Invoices from email are recorded as made by the server itself, not by a user.
+const EMAIL_ACTOR = { userId: null, source: EVENT_SOURCE.EMAIL };
+
+/**
+ * EMAIL_DROP_DIR (a Maildir or a folder of .eml files) and/or IMAP_HOST with IMAP_USER and
+ * IMAP_PASSWORD turn ingestion on. Everything that arrives is filed under EMAIL_ORGANISATION_ID.
+ */
+const emailIngestionConfig = () => ({
+  organisationId: Number(process.env.EMAIL_ORGANISATION_ID) || DEFAULT_ORGANISATION_ID,
+  pollSeconds: Number(process.env.EMAIL_POLL_SECONDS) || 300,
+  dropDir: process.env.EMAIL_DROP_DIR || null,
+  imap: process.env.IMAP_HOST
+    ? {
+        host: process.env.IMAP_HOST,
+        port: Number(process.env.IMAP_PORT) || 993,
+        secure: String(process.env.IMAP_SECURE || "true").toLowerCase() !== "false",
+        user: process.env.IMAP_USER,
+        password: process.env.IMAP_PASSWORD,
+        mailbox: process.env.IMAP_MAILBOX || "INBOX",
+      }
+    : null,
+});
+
+const emailSources = (config) => [
+  ...(config.dropDir ? [{ name: "folder", poll: (handle) => pollDropFolder(config.dropDir, handle) }] : []),
+  ...(config.imap ? [{ name: "imap", poll: (handle) => pollImapMailbox(config.imap, handle) }] : []),
+];
+
+/**
+ * Runs one raw message through invoice upload, one invoice per PDF or image attachment (or its body
+ * when it has none), storing source "Email" with the sender and subject. A message already claimed
+ * before is left alone. Resolves { status, results }; a failing attachment marks the message failed
+ * without stopping the others.
+ */
+const ingestEmailMessage = async (organisationId, raw, origin) => {
+  let message;
+  try {
+    message = await readEmailMessage(raw);
+  } catch (err) {
+    const key = `sha256:${crypto.createHash("sha256").update(raw).digest("hex")}`;
+    const id = await claimEmailMessage(organisationId, { message_key: key, origin });
+    if (!id) return { status: null, results: [] };
+    const error = `Unreadable message: ${err.message}`;
+    await finishEmailMessage(organisationId, id, { status: EMAIL_STATUS.FAILED, error });
+    return { status: EMAIL_STATUS.FAILED, results: [] };
+  }
+
+  const id = await claimEmailMessage(organisationId, { ...message, origin });
+  if (!id) return { status: null, results: [] };
+  if (!message.files.length) {
+    const error = "No PDF or image attachments and no body text";
+    await finishEmailMessage(organisationId, id, { status: EMAIL_STATUS.SKIPPED, error });
+    return { status: EMAIL_STATUS.SKIPPED, results: [] };
+  }
+
+  const results = [];
+  for (const attachment of message.files) {
+    let file;
+    try {
+      file = await writeTempUpload(attachment);
+      const result = await ingestInvoiceFile(organisationId, file, {
+        source: "Email",
+        fields: { email_sender: message.sender, email_subject: message.subject },
+        actor: EMAIL_ACTOR,
+      });
+      results.push(
+        result.duplicate
+          ? { file: attachment.originalname, duplicateOf: result.duplicate.invoice.id, reason: result.duplicate.reason }
+          : { file: attachment.originalname, invoiceId: result.invoice.id },
+      );
+    } catch (err) {
+      console.error("Email attachment ingestion failed", { origin, file: attachment.originalname, err });
+      results.push({ file: attachment.originalname, error: err.message });
+    } finally {
+      await removeTempUpload(file);
+    }
+  }
+
+  const failed = results.filter((result) => result.error);
+  const status = failed.length ? EMAIL_STATUS.FAILED : EMAIL_STATUS.PROCESSED;
+  const error = failed.length ? failed.map((result) => `${result.file}: ${result.error}`).join("; ") : null;
+  await finishEmailMessage(organisationId, id, { status, error, results });
+  return { status, results };
+};
+
+let polling = null;
+let lastPoll = null;
+
+const runPoll = async (config) => {
+  const poll = { startedAt: new Date().toISOString(), finishedAt: null, sources: [], counts: {} };
+  for (const source of emailSources(config)) {
+    const entry = { name: source.name, messages: 0, error: null };
+    try {
+      entry.messages = await source.poll(async (raw, origin) => {
+        const { status } = await ingestEmailMessage(config.organisationId, raw, origin);
+        const key = status || "already_seen";
+        poll.counts[key] = (poll.counts[key] || 0) + 1;
+      });
+    } catch (err) {
+      console.error(`Email ingestion from ${source.name} failed`, err);
+      entry.error = err.message;
+    }
+    poll.sources.push(entry);
+  }
+  poll.finishedAt = new Date().toISOString();
+  lastPoll = poll;
+  return poll;
+};
+
+// Polls every configured source once. A poll already under way is joined rather than run twice.
+const pollEmailNow = (config = emailIngestionConfig()) => {
+  if (!polling) polling = runPoll(config).finally(() => (polling = null));
+  return polling;
+};
+
+const getEmailIngestionStatus = (config = emailIngestionConfig()) => ({
+  enabled: emailSources(config).length > 0,
+  organisationId: config.organisationId,
+  sources: emailSources(config).map((source) => source.name),
+  pollSeconds: config.pollSeconds,
+  polling: Boolean(polling),
+  lastPoll,
+});
+
+// Starts polling in the background when a source is configured. Resolves false when there is none.
+const startEmailIngestion = async (config = emailIngestionConfig()) => {
+  if (!emailSources(config).length) return false;
+  await failInterruptedEmailMessages(config.organisationId);
+  const tick = async () => {
+    await pollEmailNow(config).catch((err) => console.error("Email poll failed", err));
+    setTimeout(tick, config.pollSeconds * 1000).unref();
+  };
+  setTimeout(tick, 0).unref();
+  const names = emailSources(config).map((source) => source.name);
+  console.log(`Email ingestion polling ${names.join(" and ")} every ${config.pollSeconds}s`);
+  return true;
+};
+
+// `npm run ingest-email` polls once and exits, for running from cron instead of inside the server.
+if (require.main === module) {
+  const config = emailIngestionConfig();
+  getMigrationStatus()
+    .then(({ pending }) => {
+      if (pending.length) throw new Error('Database schema is behind. Run "npm run migrate" first.');
+      if (!emailSources(config).length) throw new Error("Set EMAIL_DROP_DIR or IMAP_HOST to ingest email");
+      return pollEmailNow(config);
+    })
+    .then((poll) => {
+      console.log(JSON.stringify(poll, null, 2));
+      if (poll.sources.some((source) => source.error)) process.exitCode = 1;
+      db.close();
+    })
+    .catch((err) => {
+      console.error(err.message);
+      db.close();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  emailIngestionConfig,
+  ingestEmailMessage,
+  pollEmailNow,
+  getEmailIngestionStatus,
+  startEmailIngestion,
+};
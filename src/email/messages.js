@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const path = require("path");
+const { simpleParser } = require("mailparser");
+
+const EMAIL_STATUS = {
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+const EMAIL_STATUSES = Object.values(EMAIL_STATUS);
+
+const INVOICE_EXTENSIONS = [".pdf", ".png", ".jpg", ".jpeg", ".heic", ".heif", ".tif", ".tiff", ".webp"];
+
+// Bodies shorter than this are sign-offs ("Please see attached"), not invoices.
+const MIN_BODY_LENGTH = 40;
+
+const isInvoiceAttachment = (attachment) => {
+  const type = (attachment.contentType || "").toLowerCase();
+  // Inline images referenced from the HTML body are logos and signatures.
+  const embedded = attachment.related || (attachment.contentDisposition === "inline" && attachment.cid);
+  if (embedded && type !== "application/pdf") return false;
+  const extension = path.extname(attachment.filename || "").toLowerCase();
+  return type === "application/pdf" || type.startsWith("image/") || INVOICE_EXTENSIONS.includes(extension);
+};
+
+const safeFileName = (name, fallback) => (name || fallback).replace(/[\\/]/g, "_").replace(/\s+/g, "_");
+
+/**
+ * Parses a raw RFC 822 message into what ingestion needs: a stable `message_key` (the Message-ID, or a
+ * hash of the message when it has none), sender, subject and the files to run through invoice upload.
+ * Files are the PDF and image attachments; a message without any yields its body as a text file instead,
+ * for suppliers that put the invoice in the email itself.
+ */
+const readEmailMessage = async (raw) => {
+  const parsed = await simpleParser(raw, { skipTextToHtml: true });
+  const messageId = parsed.messageId || null;
+  const hash = crypto.createHash("sha256").update(raw).digest("hex");
+  const sender = parsed.from?.value?.[0]?.address || parsed.from?.text || null;
+  const subject = parsed.subject?.trim() || null;
+
+  const files = parsed.attachments.filter(isInvoiceAttachment).map((attachment, index) => ({
+    originalname: safeFileName(attachment.filename, `attachment-${index + 1}`),
+    mimetype: attachment.contentType || "application/octet-stream",
+    content: attachment.content,
+  }));
+  const body = (parsed.text || "").trim();
+  if (!files.length && body.length >= MIN_BODY_LENGTH) {
+    files.push({
+      originalname: safeFileName(subject ? `${subject}.txt` : null, "email-body.txt"),
+      mimetype: "text/plain",
+      content: Buffer.from(`${body}\n`, "utf8"),
+    });
+  }
+
+  return {
+    message_key: messageId ? `message-id:${messageId}` : `sha256:${hash}`,
+    message_id: messageId,
+    sender,
+    subject,
+    sent_at: parsed.date && !isNaN(parsed.date.getTime()) ? parsed.date.toISOString() : null,
+    files,
+  };
+};
+
+module.exports = {
+  EMAIL_STATUS,
+  EMAIL_STATUSES,
+  readEmailMessage,
+};
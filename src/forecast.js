@@ -0,0 +1,104 @@
+const { deriveStatus, isOutstandingStatus, isCreditNote } = require("./invoiceStatus");
+const { OCCURRENCE_STATUS } = require("./recurringBills");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+const startOfIsoWeek = (date) => {
+  const utc = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = utc.getUTCDay() || 7;
+  return new Date(utc.getTime() - (day - 1) * DAY_MS);
+};
+
+// ISO 8601 week label, e.g. "2025-W48". The week belongs to the year that holds its Thursday.
+const isoWeekLabel = (date) => {
+  const thursday = new Date(startOfIsoWeek(date).getTime() + 3 * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday.getTime() - yearStart) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const outstandingAmount = (inv) => Math.max(Number(inv.balance ?? inv.amount) || 0, 0);
+
+/**
+ * Groups outstanding invoices into ISO weeks by due date and projects a running bank balance.
+ * Invoices already overdue are treated as cash out in the current week; invoices awaiting review are left out.
+ * `expectedBills` (from buildExpectedBills) adds recurring bills that have not arrived yet as projected
+ * cash out; matched ones are already counted through their invoice and missing ones are left out.
+ */
+const buildWeeklyForecast = (
+  invoices,
+  { weeks = 12, openingBalance = 0, today = new Date(), expectedBills = [] } = {},
+) => {
+  const firstWeekStart = startOfIsoWeek(today);
+  const buckets = Array.from({ length: weeks }, (_, index) => {
+    const start = new Date(firstWeekStart.getTime() + index * 7 * DAY_MS);
+    return {
+      week: isoWeekLabel(start),
+      weekStart: toISODate(start),
+      weekEnd: toISODate(new Date(start.getTime() + 6 * DAY_MS)),
+      cashOut: 0,
+      expectedCashOut: 0,
+      invoiceIds: [],
+      expectedBills: [],
+      projectedBalance: 0,
+      negative: false,
+    };
+  });
+
+  const weekIndex = (isoDate) => {
+    const date = new Date(`${isoDate.slice(0, 10)}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    const index = Math.max(Math.floor((date.getTime() - firstWeekStart.getTime()) / (7 * DAY_MS)), 0);
+    return index < weeks ? index : null;
+  };
+
+  invoices.forEach((inv) => {
+    if (inv.archived === 1 || inv.archived === true) return;
+    if (inv.needs_review || isCreditNote(inv)) return;
+    if (!isOutstandingStatus(deriveStatus(inv, today))) return;
+    if (!inv.due_date) return;
+    const index = weekIndex(inv.due_date);
+    if (index === null) return;
+    buckets[index].cashOut += outstandingAmount(inv);
+    buckets[index].invoiceIds.push(inv.id);
+  });
+
+  expectedBills
+    .filter((bill) => bill.status === OCCURRENCE_STATUS.EXPECTED)
+    .forEach((bill) => {
+      const index = weekIndex(bill.expected_date);
+      if (index === null) return;
+      buckets[index].cashOut += bill.expected_amount;
+      buckets[index].expectedCashOut += bill.expected_amount;
+      buckets[index].expectedBills.push({ recurringBillId: bill.recurring_bill_id, expectedDate: bill.expected_date });
+    });
+
+  let balance = Number(openingBalance) || 0;
+  buckets.forEach((bucket) => {
+    bucket.cashOut = roundMoney(bucket.cashOut);
+    bucket.expectedCashOut = roundMoney(bucket.expectedCashOut);
+    balance = roundMoney(balance - bucket.cashOut);
+    bucket.projectedBalance = balance;
+    bucket.negative = balance < 0;
+  });
+
+  const firstNegative = buckets.find((bucket) => bucket.negative);
+  return {
+    openingBalance: roundMoney(openingBalance),
+    totalCashOut: roundMoney(buckets.reduce((sum, bucket) => sum + bucket.cashOut, 0)),
+    totalExpectedCashOut: roundMoney(buckets.reduce((sum, bucket) => sum + bucket.expectedCashOut, 0)),
+    closingBalance: balance,
+    firstNegativeWeek: firstNegative ? firstNegative.week : null,
+    weeks: buckets,
+  };
+};
+
+module.exports = {
+  isoWeekLabel,
+  startOfIsoWeek,
+  buildWeeklyForecast,
+};
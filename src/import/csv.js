@@ -0,0 +1,57 @@
+/**
+ * Parses RFC 4180 CSV: quoted fields may contain the delimiter, newlines and doubled quotes. A leading
+ * byte-order mark is dropped. Returns an array of rows, each an array of strings.
+ */
+const parseCsv = (text, { delimiter = "," } = {}) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw new Error("CSV ends inside a quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Semicolon-separated exports are common where the comma is the decimal separator.
+const detectDelimiter = (text) => {
+  const firstLine = text.replace(/^\uFEFF/, "").split(/\r?\n/, 1)[0] || "";
+  const count = (char) => firstLine.split(char).length - 1;
+  if (count("\t") > count(",") && count("\t") > count(";")) return "\t";
+  return count(";") > count(",") ? ";" : ",";
+};
+
+module.exports = {
+  parseCsv,
+  detectDelimiter,
+};
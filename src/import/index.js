@@ -0,0 +1,348 @@
+const { parseCsv, detectDelimiter } = require("./csv");
+const { LAYOUTS, normalizeHeader, detectLayout } = require("./layouts");
+const { normalizeSupplier, normalizeInvoiceNumber, findLikelyDuplicate } = require("../duplicates");
+const { matchSupplier } = require("../suppliers");
+const { normalizeCurrency, normalizeLineItems, reconcileInvoice, DEFAULT_CURRENCY } = require("../lineItems");
+const { STATUS } = require("../invoiceStatus");
+const { isIsoDate, addDays } = require("../dates");
+const { asCreditNote } = require("../credits");
+
+const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+const DUPLICATE_MODES = ["error", "skip", "import"];
+const MAPPABLE_FIELDS = Object.keys(LAYOUTS.generic.fields);
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportFileError";
+  }
+}
+
+// Flattens nested JSON objects into dotted keys ("Contact.Name"); arrays are kept as they are.
+const flattenRecord = (value, prefix = "", out = {}) => {
+  Object.entries(value).forEach(([key, item]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === "object" && !Array.isArray(item)) flattenRecord(item, name, out);
+    else out[name] = item;
+  });
+  return out;
+};
+
+const recordsFromJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new ImportFileError(`File is not valid JSON: ${err.message}`);
+  }
+  const list = Array.isArray(parsed)
+    ? parsed
+    : ["invoices", "Invoices", "bills", "Bills", "rows", "data"].map((key) => parsed?.[key]).find(Array.isArray);
+  if (!list) throw new ImportFileError("JSON must be an array of invoices or an object with an `invoices` array");
+  return list.map((item, index) => ({
+    rowNumber: index + 1,
+    values: item && typeof item === "object" && !Array.isArray(item) ? flattenRecord(item) : {},
+  }));
+};
+
+// Report exports (QuickBooks in particular) put a title and blank lines above the header row.
+const findHeaderRow = (rows) => {
+  const knownHeaders = new Set(
+    Object.values(LAYOUTS).flatMap((layout) => Object.values(layout.fields).flat().map(normalizeHeader)),
+  );
+  const index = rows
+    .slice(0, 10)
+    .findIndex((row) => row.filter((cell) => knownHeaders.has(normalizeHeader(cell))).length >= 2);
+  return index === -1 ? 0 : index;
+};
+
+const recordsFromCsv = (text) => {
+  let rows;
+  try {
+    rows = parseCsv(text, { delimiter: detectDelimiter(text) });
+  } catch (err) {
+    throw new ImportFileError(err.message);
+  }
+  const headerIndex = findHeaderRow(rows);
+  const headers = (rows[headerIndex] || []).map((header) => header.trim());
+  if (!headers.some(Boolean)) throw new ImportFileError("CSV has no header row");
+  return rows.slice(headerIndex + 1).map((row, index) => ({
+    rowNumber: headerIndex + index + 2,
+    values: Object.fromEntries(headers.map((header, col) => [header, row[col] ?? ""]).filter(([header]) => header)),
+  }));
+};
+
+/**
+ * Reads a CSV or JSON export into records of { rowNumber, values }. Row numbers are file line numbers
+ * for CSV and 1-based array positions for JSON, so validation errors can point at the source.
+ */
+const readImportFile = (text, { originalname = "", mimetype = "" } = {}) => {
+  const isJson = /json/i.test(mimetype) || /\.json$/i.test(originalname) || /^\s*[[{]/.test(text);
+  const records = isJson ? recordsFromJson(text) : recordsFromCsv(text);
+  const headers = [...new Set(records.flatMap((record) => Object.keys(record.values)))];
+  return { format: isJson ? "json" : "csv", records, headers };
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+// Handles "1,234.50", "£1,234.50", "(120.00)" for negatives and "1.234,50" from comma-decimal locales.
+const parseAmount = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (isBlank(value)) return null;
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[^0-9.,]/g, "");
+  if (/,\d{1,2}$/.test(text) && !/\.\d{1,2}$/.test(text)) text = text.replace(/\./g, "").replace(",", ".");
+  else text = text.replace(/,/g, "");
+  const num = parseFloat(text);
+  if (!Number.isFinite(num)) return null;
+  return negative ? -num : num;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const parseImportDate = (value, dateFormat) => {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ]|$)/);
+  if (iso) return isIsoDate(iso[1]) ? iso[1] : null;
+
+  const numeric = text.match(/^(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{2}|\d{4})$/);
+  if (numeric) {
+    const [first, second, rawYear] = numeric.slice(1);
+    const year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+    const [day, month] = dateFormat === "MM/DD/YYYY" ? [second, first] : [first, second];
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    return isIsoDate(date) ? date : null;
+  }
+
+  const named = text.match(/^(\d{1,2})[\s\-]([A-Za-z]{3,})[\s\-,]+(\d{4})$/);
+  if (named) {
+    const month = MONTHS.indexOf(named[2].slice(0, 3).toLowerCase()) + 1;
+    const date = `${named[3]}-${pad(month)}-${pad(named[1])}`;
+    return month && isIsoDate(date) ? date : null;
+  }
+  return null;
+};
+
+// Maps each field to the header it will be read from: explicit mapping first, then the layout's candidates.
+const resolveColumns = (fieldCandidates, headers, mapping = {}) => {
+  const byNormalized = new Map(headers.map((header) => [normalizeHeader(header), header]));
+  const columns = {};
+  Object.entries(fieldCandidates).forEach(([field, candidates]) => {
+    if (mapping[field]) {
+      columns[field] = byNormalized.get(normalizeHeader(mapping[field])) || null;
+      return;
+    }
+    const match = candidates.map(normalizeHeader).find((candidate) => byNormalized.has(candidate));
+    if (match) columns[field] = byNormalized.get(match);
+  });
+  return columns;
+};
+
+const valueOf = (values, candidates) => {
+  const wanted = candidates.map(normalizeHeader);
+  const key = Object.keys(values).find((header) => wanted.includes(normalizeHeader(header)));
+  return key === undefined ? undefined : values[key];
+};
+
+const textValue = (value) => (isBlank(value) ? null : String(value).trim());
+
+const readLine = (values, lineColumns) => ({
+  description: textValue(values[lineColumns.description]),
+  quantity: parseAmount(values[lineColumns.quantity]),
+  unit_price: parseAmount(values[lineColumns.unit_price]),
+  net_amount: parseAmount(values[lineColumns.net_amount]),
+  vat_amount: parseAmount(values[lineColumns.vat_amount]),
+});
+
+// Only drafts, voided bills and "paid" are taken from the export; part-paid is worked out from amount_paid.
+const importStatus = (value) => {
+  const status = (textValue(value) || "").toLowerCase();
+  if (["void", "voided", "deleted"].includes(status)) return STATUS.VOID;
+  if (status === "draft") return STATUS.DRAFT;
+  if (status === "paid") return STATUS.PAID;
+  return STATUS.UPCOMING;
+};
+
+const groupKey = (invoice) => `${normalizeSupplier(invoice.supplier)}|${normalizeInvoiceNumber(invoice.invoice_number)}`;
+
+const validateImportedInvoice = (invoice) => {
+  const errors = [];
+  if (!invoice.supplier) errors.push("supplier is missing");
+  if (!invoice.invoice_number) errors.push("invoice_number is missing");
+  if (invoice.issue_date === undefined) errors.push("issue_date is not a recognised date");
+  if (!invoice.due_date) errors.push(invoice.due_date === undefined ? "due_date is not a recognised date" : "due_date is missing");
+  if (invoice.amount === null) errors.push("amount is missing or not a number");
+  if (invoice.currency === undefined) errors.push("currency must be a 3-letter code");
+  if (invoice.amount_paid !== null && invoice.amount !== null && invoice.amount_paid > invoice.amount + 0.005) {
+    errors.push("amount paid is more than the invoice total");
+  }
+  return errors;
+};
+
+/**
+ * Turns records from readImportFile into a preview of the invoices that would be created. Nothing is
+ * written. Returns { layout, columns, errors, skipped, items } where `errors` are file-level problems
+ * (missing columns) and each item is { rows, invoice, lines, errors, warnings, duplicate }.
+ */
+const buildImportPreview = (
+  { records, headers },
+  { layout: layoutName = "auto", mapping = {}, dateFormat, onDuplicate = "error", existingInvoices = [], suppliers = [] } = {},
+) => {
+  const layout = layoutName === "auto" ? detectLayout(headers) : LAYOUTS[layoutName];
+  const format = dateFormat || layout.dateFormat;
+  const fieldCandidates = { ...Object.fromEntries(MAPPABLE_FIELDS.map((field) => [field, []])), ...layout.fields };
+  const columns = resolveColumns(fieldCandidates, headers, mapping);
+  const lineColumns = resolveColumns(layout.lineFields, headers, {});
+  const errors = [];
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!columns[field]) errors.push(`mapping.${field}: column "${header}" is not in the file`);
+  });
+  ["supplier", "invoice_number", "amount"].forEach((field) => {
+    if (!columns[field] && !mapping[field] && !(field === "amount" && lineColumns.net_amount)) {
+      errors.push(`No column found for ${field}; pass mapping.${field} with the column header to use`);
+    }
+  });
+  if (!columns.due_date && !columns.issue_date && !mapping.due_date) {
+    errors.push("No column found for due_date; pass mapping.due_date with the column header to use");
+  }
+
+  const items = [];
+  const byKey = new Map();
+  let skipped = 0;
+
+  records.forEach(({ rowNumber, values }) => {
+    const cells = Object.values(values).filter((value) => !Array.isArray(value));
+    if (cells.every(isBlank) || /^total\b/i.test(String(cells.find((cell) => !isBlank(cell)) ?? ""))) {
+      skipped += 1;
+      return;
+    }
+    if (layout.skipRecord && layout.skipRecord(values, valueOf)) {
+      skipped += 1;
+      return;
+    }
+
+    const read = (field) => (columns[field] ? values[columns[field]] : undefined);
+    const rawCurrency = textValue(read("currency"));
+    const invoice = {
+      supplier: textValue(read("supplier")),
+      invoice_number: textValue(read("invoice_number")),
+      issue_date: isBlank(read("issue_date")) ? null : parseImportDate(read("issue_date"), format) ?? undefined,
+      due_date: isBlank(read("due_date")) ? null : parseImportDate(read("due_date"), format) ?? undefined,
+      amount: parseAmount(read("amount")),
+      net_amount: parseAmount(read("net_amount")),
+      vat_amount: parseAmount(read("vat_amount")),
+      currency: rawCurrency ? normalizeCurrency(rawCurrency) ?? undefined : DEFAULT_CURRENCY,
+      category: textValue(read("category")),
+      amount_paid: parseAmount(read("amount_paid")),
+      status: importStatus(read("status")),
+    };
+    const balance = parseAmount(read("balance"));
+
+    const nestedLines = layout.linesKey && Array.isArray(values[layout.linesKey]) ? values[layout.linesKey] : null;
+    const rawLines = nestedLines
+      ? nestedLines.map((line) => {
+          const flat = flattenRecord(line || {});
+          return readLine(flat, resolveColumns(layout.lineFields, Object.keys(flat), {}));
+        })
+      : Object.keys(lineColumns).length
+        ? [readLine(values, lineColumns)]
+        : [];
+
+    const key = groupKey(invoice);
+    const existing = layout.groupRows && invoice.supplier && invoice.invoice_number ? byKey.get(key) : null;
+    if (existing) {
+      existing.rows.push(rowNumber);
+      existing.rawLines.push(...rawLines);
+      return;
+    }
+
+    const item = { rows: [rowNumber], invoice, balance, rawLines, errors: [], warnings: [], duplicate: null };
+    if (!layout.groupRows && invoice.supplier && invoice.invoice_number && byKey.has(key)) {
+      item.errors.push(`same supplier and invoice number as row ${byKey.get(key).rows[0]}`);
+    } else if (invoice.supplier && invoice.invoice_number) {
+      byKey.set(key, item);
+    }
+    items.push(item);
+  });
+
+  const kept = items.filter((item) => {
+    if (item.invoice.status !== STATUS.VOID) return true;
+    skipped += item.rows.length;
+    return false;
+  });
+
+  kept.forEach((item) => {
+    const { invoice } = item;
+    const lines = normalizeLineItems(item.rawLines);
+    item.lines = lines;
+    delete item.rawLines;
+
+    if (invoice.amount === null && lines.length && lines.every((line) => line.gross_amount !== null)) {
+      invoice.amount = Math.round(lines.reduce((sum, line) => sum + line.gross_amount, 0) * 100) / 100;
+    }
+    if (invoice.amount < 0) {
+      Object.assign(invoice, asCreditNote({ ...invoice, lines }), { amount_paid: null, status: STATUS.UPCOMING });
+      item.lines = invoice.lines;
+      delete invoice.lines;
+      item.balance = null;
+      item.warnings.push("negative amount; imported as a credit note to allocate against invoices");
+    }
+    if (invoice.amount_paid === null && item.balance !== null && invoice.amount !== null) {
+      invoice.amount_paid = Math.round((invoice.amount - item.balance) * 100) / 100;
+    }
+    if (invoice.amount_paid === null && invoice.status === STATUS.PAID) invoice.amount_paid = invoice.amount;
+    if (invoice.amount_paid > 0) {
+      invoice.status = invoice.amount_paid >= invoice.amount ? STATUS.PAID : STATUS.PART_PAID;
+    } else if (invoice.status === STATUS.PAID) {
+      invoice.status = STATUS.UPCOMING;
+    }
+    delete item.balance;
+
+    const supplier = matchSupplier(invoice.supplier, suppliers);
+    if (supplier) {
+      invoice.supplier_id = supplier.id;
+      invoice.supplier = supplier.name;
+      invoice.category = invoice.category || supplier.default_category || null;
+      if (invoice.due_date === null && invoice.issue_date && Number.isInteger(supplier.payment_terms_days)) {
+        invoice.due_date = addDays(invoice.issue_date, supplier.payment_terms_days);
+        item.warnings.push(`due_date set from ${supplier.name}'s payment terms`);
+      }
+    }
+    if (invoice.due_date === null && invoice.issue_date && !columns.due_date) {
+      invoice.due_date = invoice.issue_date;
+      item.warnings.push("no due date column; using the issue date");
+    }
+
+    item.errors.push(...validateImportedInvoice(invoice));
+
+    const reconciliation = reconcileInvoice({ ...invoice, lines });
+    if (reconciliation.reconciled === false) {
+      invoice.needs_review = 1;
+      invoice.review_reason = `Totals do not reconcile: ${reconciliation.issues.join("; ")}`;
+      item.warnings.push(invoice.review_reason);
+    }
+
+    const duplicate = item.errors.length ? null : findLikelyDuplicate(invoice, existingInvoices);
+    if (duplicate) {
+      item.duplicate = { invoiceId: duplicate.invoice.id, reason: duplicate.reason };
+      if (onDuplicate === "error") item.errors.push(`looks like existing invoice ${duplicate.invoice.id}`);
+    }
+  });
+
+  return { layout: layout.name, dateFormat: format, columns, errors, skipped, items: kept };
+};
+
+module.exports = {
+  DATE_FORMATS,
+  DUPLICATE_MODES,
+  MAPPABLE_FIELDS,
+  ImportFileError,
+  readImportFile,
+  buildImportPreview,
+  parseAmount,
+  parseImportDate,
+};
@@ -0,0 +1,100 @@
+// Column layouts for bulk import. Each field lists the headers it may appear under; headers are
+// compared case-insensitively ignoring spaces, punctuation and Xero's leading "*" on required columns.
+
+const GENERIC = {
+  name: "generic",
+  dateFormat: "YYYY-MM-DD",
+  groupRows: false,
+  fields: {
+    supplier: ["supplier", "supplier name", "vendor", "vendor name", "contact", "contact name", "payee", "name"],
+    invoice_number: ["invoice_number", "invoice number", "invoice no", "bill number", "bill no", "number", "reference"],
+    issue_date: ["issue_date", "issue date", "invoice date", "bill date", "date"],
+    due_date: ["due_date", "due date"],
+    amount: ["amount", "total", "gross", "gross amount", "total amount"],
+    net_amount: ["net_amount", "net", "net amount", "subtotal"],
+    vat_amount: ["vat_amount", "vat", "vat amount", "tax", "tax amount", "tax total"],
+    currency: ["currency", "currency code"],
+    category: ["category", "account"],
+    amount_paid: ["amount_paid", "amount paid", "paid"],
+    balance: ["balance", "open balance", "amount due"],
+    status: ["status"],
+  },
+  lineFields: {},
+};
+
+// Xero "Export" of bills: one row per line item, invoice fields repeated on every row.
+const XERO = {
+  name: "xero",
+  dateFormat: "DD/MM/YYYY",
+  groupRows: true,
+  fields: {
+    supplier: ["ContactName", "Contact.Name"],
+    invoice_number: ["InvoiceNumber"],
+    issue_date: ["InvoiceDate", "DateString"],
+    due_date: ["DueDate", "DueDateString"],
+    amount: ["Total"],
+    net_amount: ["SubTotal"],
+    vat_amount: ["TaxTotal", "TotalTax"],
+    currency: ["Currency", "CurrencyCode"],
+    amount_paid: ["InvoiceAmountPaid", "AmountPaid"],
+    balance: ["InvoiceAmountDue", "AmountDue"],
+    status: ["Status"],
+  },
+  // Xero API JSON nests lines under LineItems instead of repeating rows.
+  linesKey: "LineItems",
+  lineFields: {
+    description: ["Description"],
+    quantity: ["Quantity"],
+    unit_price: ["UnitAmount"],
+    net_amount: ["LineAmount"],
+    vat_amount: ["TaxAmount"],
+  },
+};
+
+// QuickBooks Online bill list / transaction list exports.
+const QUICKBOOKS = {
+  name: "quickbooks",
+  dateFormat: "MM/DD/YYYY",
+  groupRows: false,
+  fields: {
+    supplier: ["Vendor", "Supplier", "Payee", "Name"],
+    invoice_number: ["Bill No.", "Ref No.", "No.", "Num"],
+    issue_date: ["Bill Date", "Date"],
+    due_date: ["Due Date"],
+    amount: ["Total", "Amount"],
+    vat_amount: ["Tax", "Tax Amount"],
+    currency: ["Currency"],
+    category: ["Account", "Category"],
+    balance: ["Open Balance", "Balance"],
+    status: ["Status"],
+  },
+  lineFields: {},
+  // Transaction lists mix bills with payments and credits; only bills are imported.
+  skipRecord: (record, valueOf) => {
+    const type = valueOf(record, ["Transaction Type", "Type"]);
+    return Boolean(type) && !/^bill$/i.test(type.trim());
+  },
+};
+
+const LAYOUTS = { generic: GENERIC, xero: XERO, quickbooks: QUICKBOOKS };
+
+const normalizeHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/^\*/, "")
+    .replace(/[^a-z0-9]+/g, "");
+
+// Picks the layout whose distinctive headers are present; anything else is treated as generic.
+const detectLayout = (headers) => {
+  const present = new Set(headers.map(normalizeHeader));
+  if (present.has("contactname") && present.has("invoicenumber")) return XERO;
+  if (present.has("lineitems") && present.has("invoicenumber")) return XERO;
+  if (present.has("transactiontype") || present.has("openbalance") || present.has("billno")) return QUICKBOOKS;
+  return GENERIC;
+};
+
+module.exports = {
+  LAYOUTS,
+  normalizeHeader,
+  detectLayout,
+};
@@ -0,0 +1,61 @@
+// Where a change came from; stored as free text so new ingestion paths can add their own.
+const EVENT_SOURCE = {
+  API: "api",
+  UPLOAD: "upload",
+  IMPORT: "import",
+  EMAIL: "email",
+  SYSTEM: "system",
+};
+
+const EVENT_ACTION = {
+  CREATED: "created",
+  UPDATED: "updated",
+  CONFIRMED: "confirmed",
+  PAYMENT_RECORDED: "payment_recorded",
+  MARKED_PAID: "marked_paid",
+  ARCHIVED: "archived",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  RESTORED: "restored",
+  CREDIT_ALLOCATED: "credit_allocated",
+  DISPUTE_OPENED: "dispute_opened",
+  DISPUTE_CLOSED: "dispute_closed",
+};
+
+// Actions whose field changes can be put back with POST /api/invoices/:id/restore.
+const REVERSIBLE_ACTIONS = [EVENT_ACTION.UPDATED, EVENT_ACTION.ARCHIVED];
+
+// Not worth recording: they never change, or only change alongside a column that is recorded.
+const IGNORED_FIELDS = ["id", "organisation_id", "created_at", "week_label"];
+
+class InvoiceRestoreConflictError extends Error {
+  constructor(fields) {
+    super(`Cannot restore: ${fields.join(", ")} changed again since`);
+    this.name = "InvoiceRestoreConflictError";
+    this.fields = fields;
+  }
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Returns { field: { from, to } } for every field that differs between two invoice snapshots.
+const diffInvoice = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!sameValue(from, to)) changes[field] = { from, to };
+  });
+  return changes;
+};
+
+module.exports = {
+  EVENT_SOURCE,
+  EVENT_ACTION,
+  REVERSIBLE_ACTIONS,
+  InvoiceRestoreConflictError,
+  diffInvoice,
+  sameValue,
+};
@@ -0,0 +1,224 @@
+const { getDuplicateCandidates, getSuppliers, getRecurringBills, getRecurringMatches, insertInvoice } = require("./db");
+const { extractInvoiceFromText } = require("./ai/invoiceExtractor");
+const { extractRawText } = require("./textExtraction");
+const { STATUS, DOCUMENT_TYPE } = require("./invoiceStatus");
+const { looksLikeCreditNote, asCreditNote } = require("./credits");
+const { hashFile, findLikelyDuplicate } = require("./duplicates");
+const { matchSupplier } = require("./suppliers");
+const { recurringBillLink } = require("./recurringBills");
+const { addDays, weekLabelFromDate } = require("./dates");
+const { DEFAULT_CURRENCY } = require("./lineItems");
+const {
+  FIELD_SOURCE,
+  DEFAULT_CONFIDENCE,
+  AGREEMENT_CONFIDENCE,
+  clampConfidence,
+  createProvenance,
+  reviewReasons,
+} = require("./review");
+const { DOCUMENT_KIND, storeUpload } = require("./documents");
+
+// Tesseract reports 0-100; below this the OCR text itself is suspect, whatever the AI made of it.
+const OCR_REVIEW_THRESHOLD = Number(process.env.OCR_REVIEW_THRESHOLD) || 70;
+
+/**
+ * Turns one invoice file (a multer-style { path, originalname, mimetype, size }) into a stored invoice:
+ * text extraction and OCR, regex and AI field extraction, supplier and recurring bill matching, review
+ * flags and duplicate checks. `source` and any extra `fields` are stored on the invoice. Resolves
+ * { duplicate } when the file or its contents match an existing invoice (unless `force`), otherwise
+ * { invoice } with the original file stored as its document. The caller removes the temporary file.
+ */
+const ingestInvoiceFile = async (organisationId, file, { force = false, source = "Upload", fields = {}, actor } = {}) => {
+  const fileHash = await hashFile(file.path);
+  const duplicateCandidates = force ? [] : await getDuplicateCandidates(organisationId);
+  if (!force) {
+    const byHash = findLikelyDuplicate({ file_hash: fileHash }, duplicateCandidates);
+    if (byHash) return { duplicate: byHash };
+  }
+
+  const today = new Date();
+  const due = new Date(today.getTime() + 14 * 24 * 60 * 60 * 1000);
+  const toISO = (d) => d.toISOString().slice(0, 10);
+
+  const fallbackInvoice = {
+    supplier: "Uploaded invoice",
+    invoice_number: file.originalname,
+    issue_date: toISO(today),
+    due_date: toISO(due),
+    amount: 0,
+    status: STATUS.UPCOMING,
+    category: "Uncategorised",
+    source,
+    week_label: weekLabelFromDate(toISO(due)),
+    archived: 0,
+    file_hash: fileHash,
+    currency: DEFAULT_CURRENCY,
+    ...fields,
+  };
+
+  const extracted = await extractRawText(file);
+  const rawText = extracted.text;
+  fallbackInvoice.text_source = extracted.source;
+  fallbackInvoice.ocr_confidence = extracted.ocrConfidence;
+
+  console.log("Raw text snippet:", rawText.slice(0, 400));
+
+  const simpleExtract = (text) => {
+    if (!text) return {};
+    const lines = text.split(/\r?\n/);
+    // The value is everything after the first ":" or "-", so "-120.00" and "INV-1" stay intact.
+    const findValue = (label) => {
+      const line = lines.find((l) => l.toLowerCase().includes(label));
+      if (!line) return undefined;
+      const match = line.match(/^[^:\-]*[:\-](.*)$/);
+      return match ? match[1].trim() : undefined;
+    };
+    const parseDate = (value) => {
+      if (!value) return undefined;
+      const parsed = new Date(value);
+      return isNaN(parsed.getTime()) ? undefined : parsed.toISOString().slice(0, 10);
+    };
+    const parseAmount = (value) => {
+      if (!value) return undefined;
+      const cleaned = value.replace(/[^0-9.\-]+/g, "");
+      const num = parseFloat(cleaned);
+      return Number.isNaN(num) ? undefined : num;
+    };
+
+    return {
+      supplier: findValue("supplier"),
+      invoice_number: findValue("invoice number") || findValue("invoice no") || findValue("credit note number") || findValue("inv"),
+      issue_date: parseDate(findValue("issue date")),
+      due_date: parseDate(findValue("due date")),
+      amount: parseAmount(findValue("amount") || findValue("total") || findValue("balance")),
+    };
+  };
+
+  const simpleResult = simpleExtract(rawText);
+
+  let aiResult = null;
+  try {
+    aiResult = await extractInvoiceFromText(rawText);
+    console.log("AI extraction result:", aiResult);
+  } catch (err) {
+    console.error("AI extraction failed:", err);
+  }
+
+  const mergedInvoice = { ...fallbackInvoice };
+  const provenance = createProvenance();
+
+  // Records where a field's value came from; the AI result is applied last so it wins when present.
+  const takeField = (field, value, source, confidence) => {
+    if (value === undefined || value === null || value === "") return;
+    const previous = provenance[field];
+    let score = clampConfidence(confidence, DEFAULT_CONFIDENCE[source]);
+    if (previous?.source === FIELD_SOURCE.REGEX && source === FIELD_SOURCE.AI && mergedInvoice[field] === value) {
+      score = Math.max(score, AGREEMENT_CONFIDENCE);
+    }
+    mergedInvoice[field] = value;
+    provenance[field] = { source, confidence: score };
+  };
+
+  if (simpleResult && typeof simpleResult === "object") {
+    takeField("supplier", simpleResult.supplier?.trim(), FIELD_SOURCE.REGEX);
+    takeField("invoice_number", simpleResult.invoice_number?.toString().trim(), FIELD_SOURCE.REGEX);
+    takeField("issue_date", simpleResult.issue_date, FIELD_SOURCE.REGEX);
+    takeField("due_date", simpleResult.due_date, FIELD_SOURCE.REGEX);
+    if (typeof simpleResult.amount === "number" && !Number.isNaN(simpleResult.amount)) {
+      takeField("amount", simpleResult.amount, FIELD_SOURCE.REGEX);
+    }
+  }
+
+  if (aiResult && typeof aiResult === "object") {
+    const confidence = aiResult.confidence || {};
+    takeField(
+      "supplier",
+      typeof aiResult.supplier === "string" ? aiResult.supplier.trim() : null,
+      FIELD_SOURCE.AI,
+      confidence.supplier,
+    );
+    takeField(
+      "invoice_number",
+      aiResult.invoice_number ? aiResult.invoice_number.toString().trim() : null,
+      FIELD_SOURCE.AI,
+      confidence.invoice_number,
+    );
+    takeField("issue_date", aiResult.issue_date, FIELD_SOURCE.AI, confidence.issue_date);
+    takeField("due_date", aiResult.due_date, FIELD_SOURCE.AI, confidence.due_date);
+    if (typeof aiResult.amount === "number" && !Number.isNaN(aiResult.amount)) {
+      takeField("amount", aiResult.amount, FIELD_SOURCE.AI, confidence.amount);
+    }
+    mergedInvoice.status =
+      (typeof aiResult.status === "string" && aiResult.status.trim()) || mergedInvoice.status;
+    mergedInvoice.category =
+      (typeof aiResult.category === "string" && aiResult.category.trim()) || mergedInvoice.category;
+    mergedInvoice.week_label = aiResult.due_date ? weekLabelFromDate(aiResult.due_date) : mergedInvoice.week_label;
+    mergedInvoice.currency = aiResult.currency || mergedInvoice.currency;
+    mergedInvoice.net_amount = aiResult.net_amount ?? null;
+    mergedInvoice.vat_amount = aiResult.vat_amount ?? null;
+    mergedInvoice.lines = Array.isArray(aiResult.line_items) ? aiResult.line_items : [];
+    if (aiResult.reconciliation?.reconciled === false) {
+      mergedInvoice.needs_review = 1;
+      mergedInvoice.review_reason = `Totals do not reconcile: ${aiResult.reconciliation.issues.join("; ")}`;
+    }
+  } else {
+    console.error("AI extraction failed or returned null:", aiResult);
+  }
+
+  const knownSupplier = matchSupplier(mergedInvoice.supplier, await getSuppliers(organisationId));
+  if (knownSupplier) {
+    const dueDateStated = Boolean(simpleResult?.due_date || aiResult?.due_date);
+    mergedInvoice.supplier_id = knownSupplier.id;
+    mergedInvoice.supplier = knownSupplier.name;
+    if (knownSupplier.default_category && mergedInvoice.category === fallbackInvoice.category) {
+      mergedInvoice.category = knownSupplier.default_category;
+    }
+    if (!dueDateStated && Number.isInteger(knownSupplier.payment_terms_days)) {
+      takeField("due_date", addDays(mergedInvoice.issue_date, knownSupplier.payment_terms_days), FIELD_SOURCE.SUPPLIER_DEFAULT);
+      mergedInvoice.week_label = weekLabelFromDate(mergedInvoice.due_date);
+    }
+  }
+
+  // A negative total, or the AI reading the document as one, makes a credit note. Ordinary invoices often
+  // mention credit notes in their small print, so the wording alone only asks for a review.
+  if (mergedInvoice.amount < 0 || aiResult?.document_type === DOCUMENT_TYPE.CREDIT_NOTE) {
+    Object.assign(mergedInvoice, asCreditNote(mergedInvoice));
+  } else if (looksLikeCreditNote(rawText)) {
+    mergedInvoice.needs_review = 1;
+    mergedInvoice.review_reason = [mergedInvoice.review_reason, "document mentions a credit note; check whether it is one"]
+      .filter(Boolean)
+      .join("; ");
+  }
+
+  const [bills, recurringMatches] = await Promise.all([
+    getRecurringBills(organisationId),
+    getRecurringMatches(organisationId),
+  ]);
+  Object.assign(mergedInvoice, recurringBillLink(mergedInvoice, bills, recurringMatches));
+
+  const lowConfidence = reviewReasons(provenance);
+  if (extracted.ocrConfidence !== null && extracted.ocrConfidence < OCR_REVIEW_THRESHOLD) {
+    lowConfidence.push(`text was read by OCR with low confidence (${extracted.ocrConfidence})`);
+  }
+  if (lowConfidence.length) {
+    mergedInvoice.needs_review = 1;
+    mergedInvoice.review_reason = [mergedInvoice.review_reason, ...lowConfidence].filter(Boolean).join("; ");
+  }
+  mergedInvoice.field_provenance = provenance;
+
+  // Fuzzy matching on the placeholder supplier would flag unrelated failed extractions as duplicates.
+  if (!force && mergedInvoice.supplier !== fallbackInvoice.supplier) {
+    const duplicate = findLikelyDuplicate(mergedInvoice, duplicateCandidates);
+    if (duplicate) return { duplicate };
+  }
+
+  const invoice = await storeUpload(file, { kind: DOCUMENT_KIND.INVOICE, fileHash }, (document) =>
+    insertInvoice(organisationId, { ...mergedInvoice, documents: [document] }, actor),
+  );
+  return { invoice };
+};
+
+module.exports = {
+  OCR_REVIEW_THRESHOLD,
+  ingestInvoiceFile,
+};
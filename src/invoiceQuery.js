@@ -0,0 +1,169 @@
+const { STATUS, ALL_STATUSES, DUE_SOON_DAYS, DOCUMENT_TYPE, DOCUMENT_TYPES } = require("./invoiceStatus");
+const { isIsoDate, toISODate, addDays } = require("./dates");
+
+const MAX_PAGE_SIZE = 500;
+
+// Sort keys accepted by ?sort=; prefix with "-" for descending. Values are trusted SQL expressions.
+const SORT_COLUMNS = {
+  id: "invoices.id",
+  supplier: "invoices.supplier COLLATE NOCASE",
+  invoice_number: "invoices.invoice_number COLLATE NOCASE",
+  issue_date: "invoices.issue_date",
+  due_date: "invoices.due_date",
+  amount: "invoices.amount",
+  balance: "balance",
+  status: "invoices.status",
+  category: "invoices.category COLLATE NOCASE",
+};
+
+const listParam = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== undefined)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parses GET /api/invoices query parameters into a filter object for queryInvoices.
+ * Returns { filters, errors }; pagination is only applied when page or pageSize is given.
+ */
+const parseInvoiceQuery = (query = {}) => {
+  const errors = [];
+  const filters = {
+    statuses: listParam(query.status).map((status) => status.toLowerCase()),
+    categories: listParam(query.category),
+    sources: listParam(query.source),
+    documentTypes: listParam(query.documentType),
+    supplier: typeof query.supplier === "string" ? query.supplier.trim() || null : null,
+    supplierId: null,
+    search: typeof query.q === "string" ? query.q.trim() || null : null,
+    includeArchived: String(query.includeArchived || "").toLowerCase() === "true",
+    sort: { key: "id", direction: "ASC" },
+    page: null,
+    pageSize: null,
+  };
+
+  const unknownStatuses = filters.statuses.filter((status) => !ALL_STATUSES.includes(status));
+  if (unknownStatuses.length) errors.push(`status must be any of: ${ALL_STATUSES.join(", ")}`);
+  if (filters.documentTypes.some((type) => !DOCUMENT_TYPES.includes(type))) {
+    errors.push(`documentType must be any of: ${DOCUMENT_TYPES.join(", ")}`);
+  }
+
+  if (query.supplierId !== undefined) {
+    const supplierId = Number(query.supplierId);
+    if (!Number.isInteger(supplierId) || supplierId < 1) errors.push("supplierId must be a positive integer");
+    else filters.supplierId = supplierId;
+  }
+
+  ["dueFrom", "dueTo", "issueFrom", "issueTo"].forEach((key) => {
+    if (query[key] === undefined) return;
+    if (!isIsoDate(query[key])) errors.push(`${key} must be a date in YYYY-MM-DD format`);
+    else filters[key] = query[key];
+  });
+
+  ["minAmount", "maxAmount"].forEach((key) => {
+    if (query[key] === undefined) return;
+    const value = Number(query[key]);
+    if (query[key] === "" || !Number.isFinite(value)) errors.push(`${key} must be a number`);
+    else filters[key] = value;
+  });
+
+  if (query.sort !== undefined) {
+    const raw = String(query.sort).trim();
+    const key = raw.replace(/^-/, "");
+    if (!SORT_COLUMNS[key]) errors.push(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(", ")} (prefix - for descending)`);
+    else filters.sort = { key, direction: raw.startsWith("-") ? "DESC" : "ASC" };
+  }
+
+  if (query.page !== undefined || query.pageSize !== undefined) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? 50 : Number(query.pageSize);
+    if (!Number.isInteger(page) || page < 1) errors.push("page must be a positive integer");
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    filters.page = page;
+    filters.pageSize = pageSize;
+  }
+
+  return { filters, errors };
+};
+
+// Turns free text into an FTS5 prefix query: every word must match the start of a token.
+const toFtsQuery = (search) =>
+  search
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map((token) => `"${token}"*`)
+    .join(" ");
+
+// "due soon" and "overdue" are not stored, so they are expressed as due-date ranges on open invoices.
+// Credit notes are never due and always count as upcoming while open.
+const statusCondition = (status, today) => {
+  const todayIso = toISODate(today);
+  const dueSoonEnd = addDays(todayIso, DUE_SOON_DAYS);
+  switch (status) {
+    case STATUS.OVERDUE:
+      return {
+        sql: "(invoices.status = ? AND invoices.document_type = ? AND invoices.due_date < ?)",
+        params: [STATUS.UPCOMING, DOCUMENT_TYPE.INVOICE, todayIso],
+      };
+    case STATUS.DUE_SOON:
+      return {
+        sql: "(invoices.status = ? AND invoices.document_type = ? AND invoices.due_date >= ? AND invoices.due_date <= ?)",
+        params: [STATUS.UPCOMING, DOCUMENT_TYPE.INVOICE, todayIso, dueSoonEnd],
+      };
+    case STATUS.UPCOMING:
+      return {
+        sql: "(invoices.status = ? AND (invoices.document_type = ? OR invoices.due_date IS NULL OR invoices.due_date > ?))",
+        params: [STATUS.UPCOMING, DOCUMENT_TYPE.CREDIT_NOTE, dueSoonEnd],
+      };
+    default:
+      return { sql: "invoices.status = ?", params: [status] };
+  }
+};
+
+const buildInvoiceWhere = (filters, today = new Date()) => {
+  const clauses = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    clauses.push(sql);
+    params.push(...values);
+  };
+  const inList = (column, values) => add(`${column} IN (${values.map(() => "?").join(", ")})`, ...values);
+
+  if (filters.organisationId) add("invoices.organisation_id = ?", filters.organisationId);
+  if (!filters.includeArchived) add("invoices.archived = 0");
+  if (filters.statuses.length) {
+    const conditions = filters.statuses.map((status) => statusCondition(status, today));
+    add(`(${conditions.map((condition) => condition.sql).join(" OR ")})`, ...conditions.flatMap((c) => c.params));
+  }
+  if (filters.categories.length) inList("invoices.category", filters.categories);
+  if (filters.sources.length) inList("invoices.source", filters.sources);
+  if (filters.documentTypes.length) inList("invoices.document_type", filters.documentTypes);
+  if (filters.supplierId) add("invoices.supplier_id = ?", filters.supplierId);
+  if (filters.supplier) add("invoices.supplier LIKE ? ESCAPE '\\'", `%${filters.supplier.replace(/[\\%_]/g, "\\$&")}%`);
+  if (filters.dueFrom) add("invoices.due_date >= ?", filters.dueFrom);
+  if (filters.dueTo) add("invoices.due_date <= ?", filters.dueTo);
+  if (filters.issueFrom) add("invoices.issue_date >= ?", filters.issueFrom);
+  if (filters.issueTo) add("invoices.issue_date <= ?", filters.issueTo);
+  if (filters.minAmount !== undefined) add("invoices.amount >= ?", filters.minAmount);
+  if (filters.maxAmount !== undefined) add("invoices.amount <= ?", filters.maxAmount);
+  if (filters.search) {
+    const ftsQuery = toFtsQuery(filters.search);
+    if (ftsQuery) add("invoices.id IN (SELECT rowid FROM invoices_fts WHERE invoices_fts MATCH ?)", ftsQuery);
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+};
+
+const buildInvoiceOrderBy = (sort) => {
+  const column = SORT_COLUMNS[sort.key] || SORT_COLUMNS.id;
+  return sort.key === "id" ? `ORDER BY ${column} ${sort.direction}` : `ORDER BY ${column} ${sort.direction}, invoices.id ASC`;
+};
+
+module.exports = {
+  parseInvoiceQuery,
+  buildInvoiceWhere,
+  buildInvoiceOrderBy,
+};
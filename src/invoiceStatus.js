@@ -0,0 +1,122 @@
+const { toISODate } = require("./dates");
+
+const STATUS = {
+  DRAFT: "draft",
+  UPCOMING: "upcoming",
+  DUE_SOON: "due soon",
+  OVERDUE: "overdue",
+  PART_PAID: "part-paid",
+  PAID: "paid",
+  DISPUTED: "disputed",
+  VOID: "void",
+};
+
+const ALL_STATUSES = Object.values(STATUS);
+
+// Only these values are ever written to invoices.status. "upcoming" is the stored form of any open
+// invoice; "due soon" and "overdue" are derived from due_date at read time.
+const STORED_STATUSES = [STATUS.DRAFT, STATUS.UPCOMING, STATUS.PART_PAID, STATUS.PAID, STATUS.DISPUTED, STATUS.VOID];
+
+const DATE_DERIVED_STATUSES = [STATUS.UPCOMING, STATUS.DUE_SOON, STATUS.OVERDUE];
+
+const DUE_SOON_DAYS = 7;
+
+// A credit note is stored like an invoice with a positive amount; its balance is the credit not yet allocated.
+const DOCUMENT_TYPE = {
+  INVOICE: "invoice",
+  CREDIT_NOTE: "credit_note",
+};
+
+const DOCUMENT_TYPES = Object.values(DOCUMENT_TYPE);
+
+const isCreditNote = (invoice) => invoice?.document_type === DOCUMENT_TYPE.CREDIT_NOTE;
+
+const TRANSITIONS = {
+  [STATUS.DRAFT]: [STATUS.UPCOMING, STATUS.VOID],
+  [STATUS.UPCOMING]: [STATUS.PART_PAID, STATUS.PAID, STATUS.DISPUTED, STATUS.VOID],
+  [STATUS.PART_PAID]: [STATUS.PAID, STATUS.DISPUTED],
+  [STATUS.DISPUTED]: [STATUS.UPCOMING, STATUS.PART_PAID, STATUS.PAID, STATUS.VOID],
+  [STATUS.PAID]: [],
+  [STATUS.VOID]: [],
+};
+
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change invoice status from "${from}" to "${to}"`);
+    this.name = "InvalidStatusTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// A payment or amount that does not fit the money already paid against an invoice.
+class InvoiceBalanceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvoiceBalanceError";
+  }
+}
+
+// Maps any legacy or user-supplied value ("Paid", "Overdue", "unpaid", ...) onto a stored status.
+const normalizeStoredStatus = (value) => {
+  const status = (value || "").toString().trim().toLowerCase();
+  if (STORED_STATUSES.includes(status)) return status;
+  return STATUS.UPCOMING;
+};
+
+const daysUntilDue = (dueDate, today = new Date()) => {
+  if (!dueDate || !/^\d{4}-\d{2}-\d{2}/.test(dueDate)) return null;
+  const due = Date.parse(`${dueDate.slice(0, 10)}T00:00:00Z`);
+  const start = Date.parse(`${toISODate(today)}T00:00:00Z`);
+  if (Number.isNaN(due)) return null;
+  return Math.round((due - start) / (24 * 60 * 60 * 1000));
+};
+
+// Credit notes are never due, so they keep their stored status.
+const deriveStatus = (invoice, today = new Date()) => {
+  const stored = normalizeStoredStatus(invoice.status);
+  if (stored !== STATUS.UPCOMING || isCreditNote(invoice)) return stored;
+  const days = daysUntilDue(invoice.due_date, today);
+  if (days === null) return STATUS.UPCOMING;
+  if (days < 0) return STATUS.OVERDUE;
+  if (days <= DUE_SOON_DAYS) return STATUS.DUE_SOON;
+  return STATUS.UPCOMING;
+};
+
+const withDerivedStatus = (invoice, today = new Date()) =>
+  invoice ? { ...invoice, status: deriveStatus(invoice, today) } : invoice;
+
+const canTransition = (from, to) => {
+  const current = normalizeStoredStatus(from);
+  if (current === to) return true;
+  return (TRANSITIONS[current] || []).includes(to);
+};
+
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new InvalidStatusTransitionError(normalizeStoredStatus(from), to);
+  }
+};
+
+// Statuses whose amounts still count as money owed to suppliers.
+const isOutstandingStatus = (status) =>
+  [...DATE_DERIVED_STATUSES, STATUS.PART_PAID, STATUS.DISPUTED].includes(status);
+
+module.exports = {
+  STATUS,
+  ALL_STATUSES,
+  STORED_STATUSES,
+  DUE_SOON_DAYS,
+  DOCUMENT_TYPE,
+  DOCUMENT_TYPES,
+  isCreditNote,
+  InvalidStatusTransitionError,
+  InvoiceBalanceError,
+  normalizeStoredStatus,
+  daysUntilDue,
+  deriveStatus,
+  withDerivedStatus,
+  canTransition,
+  assertTransition,
+  isOutstandingStatus,
+};
@@ -0,0 +1,104 @@
+const DEFAULT_CURRENCY = "GBP";
+
+// Allows for per-line rounding on invoices with many lines.
+const RECONCILE_TOLERANCE = 0.05;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const num = typeof value === "number" ? value : parseFloat(String(value).replace(/[^0-9.\-]+/g, ""));
+  return Number.isFinite(num) ? num : null;
+};
+
+const normalizeCurrency = (value) => {
+  const code = typeof value === "string" ? value.trim().toUpperCase() : "";
+  if (/^[A-Z]{3}$/.test(code)) return code;
+  if (code === "£") return "GBP";
+  if (code === "€") return "EUR";
+  if (code === "$") return "USD";
+  return null;
+};
+
+// VAT rates arrive as 20, "20%" or 0.2; store them as a percentage.
+const normalizeVatRate = (value) => {
+  const rate = toNumberOrNull(value);
+  if (rate === null || rate < 0) return null;
+  return rate > 0 && rate < 1 ? roundMoney(rate * 100) : rate;
+};
+
+/**
+ * Cleans extracted line items and fills in net/VAT/gross per line where they can be derived
+ * from quantity, unit price and VAT rate. Lines with no description and no amounts are dropped.
+ */
+const normalizeLineItems = (items) => {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter((item) => item && typeof item === "object")
+    .map((item) => {
+      const quantity = toNumberOrNull(item.quantity);
+      const unitPrice = toNumberOrNull(item.unit_price);
+      const vatRate = normalizeVatRate(item.vat_rate);
+      let net = toNumberOrNull(item.net_amount);
+      if (net === null && unitPrice !== null) net = roundMoney((quantity ?? 1) * unitPrice);
+      let vat = toNumberOrNull(item.vat_amount);
+      if (vat === null && net !== null && vatRate !== null) vat = roundMoney((net * vatRate) / 100);
+      let gross = toNumberOrNull(item.gross_amount);
+      if (gross === null && net !== null) gross = roundMoney(net + (vat ?? 0));
+      return {
+        description: typeof item.description === "string" ? item.description.trim() || null : null,
+        quantity,
+        unit_price: unitPrice,
+        vat_rate: vatRate,
+        net_amount: net,
+        vat_amount: vat,
+        gross_amount: gross,
+      };
+    })
+    .filter((line) => line.description || line.gross_amount !== null)
+    .map((line, index) => ({ line_no: index + 1, ...line }));
+};
+
+const withinTolerance = (a, b) => Math.abs(roundMoney(a) - roundMoney(b)) <= RECONCILE_TOLERANCE;
+
+/**
+ * Checks that line items and header totals agree. Returns { reconciled, issues }; `reconciled` is
+ * null when there is nothing to compare (no lines and no net/VAT split).
+ */
+const reconcileInvoice = ({ amount, net_amount: net, vat_amount: vat, lines }) => {
+  const issues = [];
+  const gross = toNumberOrNull(amount);
+
+  if (net !== null && net !== undefined && vat !== null && vat !== undefined && gross !== null) {
+    if (!withinTolerance(net + vat, gross)) {
+      issues.push(`net ${roundMoney(net)} + VAT ${roundMoney(vat)} does not equal total ${roundMoney(gross)}`);
+    }
+  }
+
+  if (lines && lines.length) {
+    if (lines.some((line) => line.gross_amount === null)) {
+      issues.push("one or more line items have no amount");
+    } else {
+      const linesGross = lines.reduce((sum, line) => sum + line.gross_amount, 0);
+      const linesNet = lines.reduce((sum, line) => sum + (line.net_amount ?? line.gross_amount), 0);
+      if (gross !== null && !withinTolerance(linesGross, gross)) {
+        // Some suppliers list lines net and only add VAT on the total.
+        const netMatches = withinTolerance(linesNet, gross - (vat ?? 0)) && vat !== null && vat !== undefined;
+        if (!netMatches) {
+          issues.push(`line items total ${roundMoney(linesGross)} does not equal invoice total ${roundMoney(gross)}`);
+        }
+      }
+    }
+  }
+
+  const compared = (lines && lines.length) || (net !== null && net !== undefined && vat !== null && vat !== undefined);
+  return { reconciled: compared ? issues.length === 0 : null, issues };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  toNumberOrNull,
+  normalizeCurrency,
+  normalizeLineItems,
+  reconcileInvoice,
+};
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const { db, dbPath, run, all, get } = require("./db");
+
+const migrationsDir = path.join(__dirname, "migrations");
+
+const CREATE_MIGRATIONS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`;
+
+// Migration files are named NNN_description.js and export `up(helpers)`.
+const listMigrations = () =>
+  fs
+    .readdirSync(migrationsDir)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .map((file) => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, ".js"),
+      file: path.join(migrationsDir, file),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+const addColumnIfMissing = async (table, column, definition) => {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (columns.some((col) => col.name === column)) return;
+  await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+};
+
+const getAppliedVersions = async () => {
+  const table = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  if (!table) return new Set();
+  const rows = await all("SELECT version FROM schema_migrations");
+  return new Set(rows.map((row) => row.version));
+};
+
+const getMigrationStatus = async () => {
+  const applied = await getAppliedVersions();
+  const migrations = listMigrations().map((migration) => ({ ...migration, applied: applied.has(migration.version) }));
+  return { migrations, pending: migrations.filter((migration) => !migration.applied) };
+};
+
+// Copies the live database with VACUUM INTO so the backup is consistent even while the file is open.
+const backupDatabase = async () => {
+  const hasTables = await get("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+  if (!hasTables.count) return null;
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupPath = `${dbPath}.backup-${stamp}`;
+  await run("VACUUM INTO ?", [backupPath]);
+  return backupPath;
+};
+
+const migrate = async () => {
+  const { pending } = await getMigrationStatus();
+  if (!pending.length) return { applied: [], backupPath: null };
+
+  const backupPath = await backupDatabase();
+  if (backupPath) console.log(`Backed up database to ${backupPath}`);
+  await run(CREATE_MIGRATIONS_TABLE_SQL);
+
+  const applied = [];
+  for (const migration of pending) {
+    const { up } = require(migration.file);
+    await run("BEGIN");
+    try {
+      await up({ run, all, get, addColumnIfMissing });
+      await run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+      await run("COMMIT");
+    } catch (err) {
+      await run("ROLLBACK").catch(() => {});
+      err.message = `Migration ${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+    console.log(`Applied migration ${migration.name}`);
+    applied.push(migration.name);
+  }
+  return { applied, backupPath };
+};
+
+const printStatus = async () => {
+  const { migrations, pending } = await getMigrationStatus();
+  migrations.forEach((migration) => console.log(`${migration.applied ? "applied" : "pending"}  ${migration.name}`));
+  console.log(pending.length ? `${pending.length} migration(s) pending` : "Schema is up to date");
+};
+
+if (require.main === module) {
+  const commands = { up: migrate, status: printStatus };
+  const command = process.argv[2] || "up";
+  const task = commands[command] || (() => Promise.reject(new Error(`Unknown command "${command}"; use "up" or "status"`)));
+  task()
+    .then(() => db.close())
+    .catch((err) => {
+      console.error(err.message);
+      db.close();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  listMigrations,
+  getMigrationStatus,
+  migrate,
+};
@@ -0,0 +1,19 @@
+// Baseline schema: the invoices table as it existed before migrations were introduced.
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS invoices (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  supplier TEXT,
+  invoice_number TEXT,
+  issue_date TEXT,
+  due_date TEXT,
+  amount REAL,
+  status TEXT,
+  category TEXT,
+  source TEXT,
+  week_label TEXT,
+  archived INTEGER DEFAULT 0
+)`);
+  },
+};
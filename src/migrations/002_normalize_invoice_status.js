@@ -0,0 +1,14 @@
+const { STATUS, STORED_STATUSES } = require("../invoiceStatus");
+
+// Older rows carry free-text statuses ("Paid", "Overdue", "unpaid"); fold them onto the stored lifecycle.
+module.exports = {
+  up: async ({ run }) => {
+    const storedList = STORED_STATUSES.map((value) => `'${value}'`).join(", ");
+    await run(`
+UPDATE invoices SET status = CASE
+  WHEN lower(trim(status)) IN (${storedList}) THEN lower(trim(status))
+  ELSE '${STATUS.UPCOMING}'
+END
+WHERE status IS NULL OR status NOT IN (${storedList})`);
+  },
+};
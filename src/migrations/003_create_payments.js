@@ -0,0 +1,21 @@
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  amount REAL NOT NULL,
+  paid_on TEXT NOT NULL,
+  method TEXT,
+  reference TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments (invoice_id)");
+    // Invoices marked paid before the ledger existed get a single payment for their full amount.
+    await run(`
+INSERT INTO payments (invoice_id, amount, paid_on, method, reference)
+SELECT id, COALESCE(amount, 0), COALESCE(due_date, date('now')), 'legacy', 'Backfilled from paid status'
+FROM invoices
+WHERE status = 'paid' AND id NOT IN (SELECT invoice_id FROM payments)`);
+  },
+};
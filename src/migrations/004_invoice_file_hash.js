@@ -0,0 +1,6 @@
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await addColumnIfMissing("invoices", "file_hash", "TEXT");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_file_hash ON invoices (file_hash)");
+  },
+};
@@ -0,0 +1,17 @@
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS suppliers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  aliases TEXT NOT NULL DEFAULT '[]',
+  default_category TEXT,
+  payment_terms_days INTEGER,
+  vat_number TEXT,
+  bank_details TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await addColumnIfMissing("invoices", "supplier_id", "INTEGER REFERENCES suppliers(id)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_supplier_id ON invoices (supplier_id)");
+  },
+};
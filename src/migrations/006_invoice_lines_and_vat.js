@@ -0,0 +1,23 @@
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await addColumnIfMissing("invoices", "net_amount", "REAL");
+    await addColumnIfMissing("invoices", "vat_amount", "REAL");
+    await addColumnIfMissing("invoices", "currency", "TEXT NOT NULL DEFAULT 'GBP'");
+    await addColumnIfMissing("invoices", "needs_review", "INTEGER NOT NULL DEFAULT 0");
+    await addColumnIfMissing("invoices", "review_reason", "TEXT");
+    await run(`
+CREATE TABLE IF NOT EXISTS invoice_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  line_no INTEGER NOT NULL,
+  description TEXT,
+  quantity REAL,
+  unit_price REAL,
+  vat_rate REAL,
+  net_amount REAL,
+  vat_amount REAL,
+  gross_amount REAL
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice_id ON invoice_lines (invoice_id)");
+  },
+};
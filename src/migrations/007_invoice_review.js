@@ -0,0 +1,7 @@
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await addColumnIfMissing("invoices", "field_provenance", "TEXT");
+    await addColumnIfMissing("invoices", "confirmed_at", "TEXT");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_needs_review ON invoices (needs_review)");
+  },
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  up: async ({ addColumnIfMissing }) => {
+    await addColumnIfMissing("invoices", "text_source", "TEXT");
+    await addColumnIfMissing("invoices", "ocr_confidence", "REAL");
+  },
+};
@@ -0,0 +1,36 @@
+// Indexes for the invoice list filters, plus an FTS5 index over supplier and invoice number
+// kept in sync with the invoices table by triggers.
+module.exports = {
+  up: async ({ run }) => {
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices (due_date)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_issue_date ON invoices (issue_date)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices (status)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_category ON invoices (category)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_source ON invoices (source)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_archived ON invoices (archived)");
+
+    await run(`
+CREATE VIRTUAL TABLE IF NOT EXISTS invoices_fts USING fts5(
+  supplier,
+  invoice_number,
+  content = 'invoices',
+  content_rowid = 'id'
+)`);
+    await run(`
+CREATE TRIGGER IF NOT EXISTS invoices_fts_insert AFTER INSERT ON invoices BEGIN
+  INSERT INTO invoices_fts (rowid, supplier, invoice_number) VALUES (new.id, new.supplier, new.invoice_number);
+END`);
+    await run(`
+CREATE TRIGGER IF NOT EXISTS invoices_fts_delete AFTER DELETE ON invoices BEGIN
+  INSERT INTO invoices_fts (invoices_fts, rowid, supplier, invoice_number)
+  VALUES ('delete', old.id, old.supplier, old.invoice_number);
+END`);
+    await run(`
+CREATE TRIGGER IF NOT EXISTS invoices_fts_update AFTER UPDATE OF supplier, invoice_number ON invoices BEGIN
+  INSERT INTO invoices_fts (invoices_fts, rowid, supplier, invoice_number)
+  VALUES ('delete', old.id, old.supplier, old.invoice_number);
+  INSERT INTO invoices_fts (rowid, supplier, invoice_number) VALUES (new.id, new.supplier, new.invoice_number);
+END`);
+    await run("INSERT INTO invoices_fts (invoices_fts) VALUES ('rebuild')");
+  },
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS documents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  kind TEXT NOT NULL DEFAULT 'invoice',
+  original_name TEXT NOT NULL,
+  content_type TEXT,
+  size INTEGER,
+  file_hash TEXT,
+  storage_backend TEXT NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_documents_invoice_id ON documents (invoice_id)");
+  },
+};
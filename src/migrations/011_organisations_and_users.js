@@ -0,0 +1,65 @@
+// Adds organisations (tenants), users and login sessions. Everything that existed before belongs to
+// organisation 1, which the first registered user takes over.
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS organisations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("INSERT INTO organisations (id, name) SELECT 1, 'Default organisation' WHERE NOT EXISTS (SELECT 1 FROM organisations)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  name TEXT,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'bookkeeper', 'approver')),
+  disabled INTEGER NOT NULL DEFAULT 0,
+  last_login_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_users_organisation_id ON users (organisation_id)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)");
+
+    await addColumnIfMissing("invoices", "organisation_id", "INTEGER NOT NULL DEFAULT 1 REFERENCES organisations(id)");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_organisation_id ON invoices (organisation_id)");
+
+    await addColumnIfMissing("documents", "organisation_id", "INTEGER NOT NULL DEFAULT 1 REFERENCES organisations(id)");
+    await run("UPDATE documents SET organisation_id = (SELECT organisation_id FROM invoices WHERE invoices.id = documents.invoice_id)");
+    await run("CREATE INDEX IF NOT EXISTS idx_documents_organisation_id ON documents (organisation_id)");
+
+    // Supplier names were unique across the whole database; they only need to be unique per
+    // organisation, and SQLite cannot drop a constraint, so the table is rebuilt.
+    await run(`
+CREATE TABLE suppliers_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  name TEXT NOT NULL COLLATE NOCASE,
+  aliases TEXT NOT NULL DEFAULT '[]',
+  default_category TEXT,
+  payment_terms_days INTEGER,
+  vat_number TEXT,
+  bank_details TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organisation_id, name)
+)`);
+    await run(`
+INSERT INTO suppliers_new (id, organisation_id, name, aliases, default_category, payment_terms_days, vat_number, bank_details, created_at)
+SELECT id, 1, name, aliases, default_category, payment_terms_days, vat_number, bank_details, created_at FROM suppliers`);
+    await run("DROP TABLE suppliers");
+    await run("ALTER TABLE suppliers_new RENAME TO suppliers");
+  },
+};
@@ -0,0 +1,20 @@
+// Payment approval. approval_status is NULL when an invoice needs no sign-off; invoices that existed
+// before approval rules were introduced are left that way.
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await addColumnIfMissing("invoices", "approval_status", "TEXT");
+    await addColumnIfMissing("invoices", "approval_reason", "TEXT");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_approval_status ON invoices (organisation_id, approval_status)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS invoice_approvals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+  comment TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_invoice_approvals_invoice_id ON invoice_approvals (invoice_id)");
+  },
+};
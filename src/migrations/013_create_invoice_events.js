@@ -0,0 +1,29 @@
+// Append-only history of invoice changes. The triggers stop anything, including a manual edit,
+// from rewriting it.
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS invoice_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  action TEXT NOT NULL,
+  changes TEXT NOT NULL DEFAULT '{}',
+  user_id INTEGER REFERENCES users(id),
+  source TEXT NOT NULL,
+  note TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_invoice_events_invoice_id ON invoice_events (invoice_id)");
+    await run(`
+CREATE TRIGGER IF NOT EXISTS invoice_events_no_update BEFORE UPDATE ON invoice_events
+BEGIN
+  SELECT RAISE(ABORT, 'invoice_events is append-only');
+END`);
+    await run(`
+CREATE TRIGGER IF NOT EXISTS invoice_events_no_delete BEFORE DELETE ON invoice_events
+BEGIN
+  SELECT RAISE(ABORT, 'invoice_events is append-only');
+END`);
+  },
+};
@@ -0,0 +1,28 @@
+// Recurring bill templates. Expected bills are worked out from the schedule when needed; an invoice
+// that arrives for one records the bill and the expected date it settles.
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS recurring_bills (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  supplier_id INTEGER REFERENCES suppliers(id),
+  supplier TEXT NOT NULL,
+  category TEXT,
+  currency TEXT NOT NULL DEFAULT 'GBP',
+  expected_amount REAL NOT NULL,
+  frequency TEXT NOT NULL,
+  start_date TEXT NOT NULL,
+  end_date TEXT,
+  tolerance_percent REAL NOT NULL DEFAULT 10,
+  tolerance_days INTEGER NOT NULL DEFAULT 7,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_recurring_bills_organisation_id ON recurring_bills (organisation_id)");
+
+    await addColumnIfMissing("invoices", "recurring_bill_id", "INTEGER REFERENCES recurring_bills(id)");
+    await addColumnIfMissing("invoices", "recurring_expected_date", "TEXT");
+    await run("CREATE INDEX IF NOT EXISTS idx_invoices_recurring_bill_id ON invoices (recurring_bill_id)");
+  },
+};
@@ -0,0 +1,45 @@
+// Uploaded bank statements and their transactions. A transaction is stored once per organisation however
+// many overlapping statements contain it; reconciling one records the payment it settled.
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  format TEXT NOT NULL,
+  original_name TEXT,
+  account TEXT,
+  currency TEXT NOT NULL DEFAULT 'GBP',
+  closing_balance REAL,
+  balance_date TEXT,
+  transaction_count INTEGER NOT NULL DEFAULT 0,
+  uploaded_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_bank_statements_organisation_id ON bank_statements (organisation_id)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS bank_transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  statement_id INTEGER NOT NULL REFERENCES bank_statements(id),
+  fingerprint TEXT NOT NULL,
+  booked_on TEXT NOT NULL,
+  amount REAL NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'GBP',
+  description TEXT,
+  counterparty TEXT,
+  reference TEXT,
+  external_id TEXT,
+  status TEXT NOT NULL DEFAULT 'unmatched',
+  suggested_invoice_id INTEGER REFERENCES invoices(id),
+  match_score INTEGER,
+  match_reasons TEXT,
+  invoice_id INTEGER REFERENCES invoices(id),
+  payment_id INTEGER REFERENCES payments(id),
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organisation_id, fingerprint)
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_bank_transactions_status ON bank_transactions (organisation_id, status)");
+  },
+};
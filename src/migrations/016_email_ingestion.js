@@ -0,0 +1,27 @@
+// Messages seen by email ingestion, one row per message however many times a mailbox offers it, and
+// the sender and subject on invoices that arrived by email.
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS email_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  message_key TEXT NOT NULL,
+  message_id TEXT,
+  origin TEXT NOT NULL,
+  sender TEXT,
+  subject TEXT,
+  sent_at TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  results TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  processed_at TEXT,
+  UNIQUE (organisation_id, message_key)
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_email_messages_status ON email_messages (organisation_id, status)");
+
+    await addColumnIfMissing("invoices", "email_sender", "TEXT");
+    await addColumnIfMissing("invoices", "email_subject", "TEXT");
+  },
+};
@@ -0,0 +1,53 @@
+// Outbound webhooks and their delivery queue, plus the bookkeeping the background scheduler needs:
+// which due-date reminders were already sent and how far through invoice_events it has read.
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL,
+  description TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_webhooks_organisation_id ON webhooks (organisation_id)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TEXT
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)");
+    await run("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  event TEXT NOT NULL,
+  due_date TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (invoice_id, event, due_date)
+)`);
+
+    await run(`
+CREATE TABLE IF NOT EXISTS scheduler_state (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+)`);
+  },
+};
@@ -0,0 +1,49 @@
+// Credit notes are stored alongside invoices with document_type 'credit_note' and a positive amount;
+// allocating one takes credit off a specific invoice's balance. Supplier disputes get their own record.
+// Negative amounts stored before this are turned into credit notes.
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await addColumnIfMissing("invoices", "document_type", "TEXT NOT NULL DEFAULT 'invoice'");
+    await run("UPDATE invoices SET document_type = 'credit_note' WHERE amount < 0");
+    await run(`
+UPDATE invoices SET amount = ABS(amount), net_amount = ABS(net_amount), vat_amount = ABS(vat_amount)
+WHERE document_type = 'credit_note'`);
+    await run(`
+UPDATE invoice_lines SET unit_price = ABS(unit_price), net_amount = ABS(net_amount), vat_amount = ABS(vat_amount),
+  gross_amount = ABS(gross_amount)
+WHERE invoice_id IN (SELECT id FROM invoices WHERE document_type = 'credit_note')`);
+
+    await run(`
+CREATE TABLE IF NOT EXISTS credit_allocations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  credit_note_id INTEGER NOT NULL REFERENCES invoices(id),
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  amount REAL NOT NULL,
+  allocated_on TEXT NOT NULL,
+  note TEXT,
+  user_id INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_credit_allocations_credit_note_id ON credit_allocations (credit_note_id)");
+    await run("CREATE INDEX IF NOT EXISTS idx_credit_allocations_invoice_id ON credit_allocations (invoice_id)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS disputes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  notes TEXT,
+  opened_by INTEGER REFERENCES users(id),
+  closed_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  closed_at TEXT
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_disputes_organisation_status ON disputes (organisation_id, status)");
+    // At most one open dispute per invoice; closed ones are kept as its history.
+    await run("CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_one_open ON disputes (invoice_id) WHERE status = 'open'");
+  },
+};
@@ -0,0 +1,39 @@
+// Weekly payment runs: a proposed batch of invoices to pay within a cash limit, approved as a whole.
+// Suppliers gain a payment priority and early-payment discount terms that the planner ranks on.
+module.exports = {
+  up: async ({ run, addColumnIfMissing }) => {
+    await addColumnIfMissing("suppliers", "payment_priority", "TEXT NOT NULL DEFAULT 'normal'");
+    await addColumnIfMissing("suppliers", "early_payment_discount_percent", "REAL");
+    await addColumnIfMissing("suppliers", "early_payment_discount_days", "INTEGER");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS payment_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id),
+  status TEXT NOT NULL DEFAULT 'proposed',
+  pay_date TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  available_cash REAL NOT NULL,
+  total REAL NOT NULL,
+  created_by INTEGER REFERENCES users(id),
+  approved_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  approved_at TEXT
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_payment_runs_organisation_id ON payment_runs (organisation_id, status)");
+
+    await run(`
+CREATE TABLE IF NOT EXISTS payment_run_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  payment_run_id INTEGER NOT NULL REFERENCES payment_runs(id),
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  balance REAL NOT NULL,
+  discount REAL NOT NULL DEFAULT 0,
+  amount REAL NOT NULL,
+  score INTEGER NOT NULL,
+  reasons TEXT,
+  payment_id INTEGER REFERENCES payments(id)
+)`);
+    await run("CREATE INDEX IF NOT EXISTS idx_payment_run_items_run_id ON payment_run_items (payment_run_id)");
+  },
+};
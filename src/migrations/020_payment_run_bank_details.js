@@ -0,0 +1,35 @@
+const { ukBankAccount } = require("../bank/bacs");
+
+// The payee account each payment run item was approved for, so the BACS file pays that account even
+// if the supplier's bank details change afterwards. Runs approved before this take the current details.
+module.exports = {
+  up: async ({ run, all, addColumnIfMissing }) => {
+    await addColumnIfMissing("payment_run_items", "sort_code", "TEXT");
+    await addColumnIfMissing("payment_run_items", "account_number", "TEXT");
+    await addColumnIfMissing("payment_run_items", "account_name", "TEXT");
+
+    const items = await all(`
+SELECT payment_run_items.id, invoices.supplier, suppliers.bank_details
+FROM payment_run_items
+JOIN payment_runs ON payment_runs.id = payment_run_items.payment_run_id
+JOIN invoices ON invoices.id = payment_run_items.invoice_id
+LEFT JOIN suppliers ON suppliers.id = invoices.supplier_id
+WHERE payment_runs.status = 'approved' AND payment_run_items.sort_code IS NULL`);
+    for (const item of items) {
+      let bankDetails = null;
+      try {
+        bankDetails = JSON.parse(item.bank_details);
+      } catch (_err) {
+        bankDetails = null;
+      }
+      const account = ukBankAccount(bankDetails, item.supplier);
+      if (!account) continue;
+      await run("UPDATE payment_run_items SET sort_code = ?, account_number = ?, account_name = ? WHERE id = ?", [
+        account.sortCode,
+        account.accountNumber,
+        account.accountName,
+        item.id,
+      ]);
+    }
+  },
+};
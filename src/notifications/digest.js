@@ -0,0 +1,110 @@
+const nodemailer = require("nodemailer");
+const { DEFAULT_ORGANISATION_ID, getInvoices, getExpectedBills, getDisputes, findOrganisationById } = require("../db");
+const { buildCashflowSummary } = require("../cashflowSummary");
+const { STATUS, deriveStatus } = require("../invoiceStatus");
+const { DEFAULT_CURRENCY } = require("../lineItems");
+const { toISODate } = require("../dates");
+const { DISPUTE_STATUS } = require("../disputes");
+
+// Invoices listed under each heading; the metrics above them still count every invoice.
+const DIGEST_LIST_LIMIT = 10;
+
+/**
+ * SMTP_HOST and DIGEST_TO (comma-separated) turn the daily digest on. It covers
+ * DIGEST_ORGANISATION_ID and goes out on the first scheduler run at or after DIGEST_HOUR (UTC).
+ */
+const digestConfig = () => ({
+  organisationId: Number(process.env.DIGEST_ORGANISATION_ID) || DEFAULT_ORGANISATION_ID,
+  hour: Number.isInteger(Number(process.env.DIGEST_HOUR)) ? Number(process.env.DIGEST_HOUR) : 7,
+  to: (process.env.DIGEST_TO || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean),
+  from: process.env.SMTP_FROM || process.env.SMTP_USER || "cashflow@localhost",
+  smtp: process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: String(process.env.SMTP_SECURE || "false").toLowerCase() === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+      }
+    : null,
+});
+
+const isDigestEnabled = (config = digestConfig()) => Boolean(config.smtp && config.to.length);
+
+const money = (value, currency = DEFAULT_CURRENCY) =>
+  `${currency} ${(Number(value) || 0).toLocaleString("en-GB", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const invoiceLines = (invoices, detail = (inv) => `due ${inv.due_date}`) =>
+  invoices.length
+    ? invoices
+        .slice(0, DIGEST_LIST_LIMIT)
+        .map(
+          (inv) =>
+            `- ${inv.supplier}${inv.invoice_number ? ` ${inv.invoice_number}` : ""}: ` +
+            `${money(inv.balance, inv.currency || DEFAULT_CURRENCY)} ${detail(inv)}`,
+        )
+        .concat(invoices.length > DIGEST_LIST_LIMIT ? [`- and ${invoices.length - DIGEST_LIST_LIMIT} more`] : [])
+        .join("\n")
+    : "None";
+
+// The plain-text digest: the same metrics and narrative as GET /api/cashflow-summary, then the invoices behind them.
+const composeDigest = (organisation, invoices, { metrics, summary, disputedInvoices = [] }, today = new Date()) => {
+  const open = invoices
+    .filter((inv) => !inv.needs_review)
+    .map((inv) => ({ ...inv, status: deriveStatus(inv, today) }))
+    .sort((a, b) => (a.due_date || "").localeCompare(b.due_date || ""));
+  const overdue = open.filter((inv) => inv.status === STATUS.OVERDUE);
+  const dueSoon = open.filter((inv) => inv.status === STATUS.DUE_SOON);
+  const byCurrency = Object.entries(metrics.outstandingByCurrency)
+    .map(([code, total]) => money(total, code))
+    .join(", ");
+
+  const text = `Cashflow digest for ${organisation?.name || "your organisation"}, ${toISODate(today)}
+
+${summary}
+
+Outstanding: ${byCurrency || money(0)}
+Paid to date: ${money(metrics.totalPaid)}
+Overdue: ${metrics.countOverdue}
+Due in the next 7 days: ${metrics.countDueSoon}
+Recurring bills expected in the next 30 days: ${metrics.countExpectedNext30} (${money(metrics.expectedNext30)})
+Expected bills that never arrived: ${metrics.countMissingBills}
+Waiting for review: ${metrics.countNeedsReview}
+Disputed and on hold (not in the totals): ${metrics.countDisputed}
+
+Overdue
+${invoiceLines(overdue)}
+
+Due in the next 7 days
+${invoiceLines(dueSoon)}
+
+Disputed
+${invoiceLines(disputedInvoices, (inv) => `on hold${inv.dispute ? ` (${inv.dispute.reason})` : ""}`)}
+`;
+  const subject = `Cashflow digest ${toISODate(today)}: ${metrics.countOverdue} overdue, ${metrics.countDueSoon} due soon`;
+  return { subject, text };
+};
+
+// Builds and emails the digest now. Resolves { to, subject, messageId }.
+const sendDailyDigest = async (config = digestConfig(), today = new Date()) => {
+  if (!isDigestEnabled(config)) throw new Error("Set SMTP_HOST and DIGEST_TO to send the digest");
+  const [organisation, invoices, expectedBills, disputes] = await Promise.all([
+    findOrganisationById(config.organisationId),
+    getInvoices(config.organisationId),
+    getExpectedBills(config.organisationId, { today }),
+    getDisputes(config.organisationId, { status: DISPUTE_STATUS.OPEN }),
+  ]);
+  const summary = await buildCashflowSummary(invoices, { today, expectedBills, disputes });
+  const { subject, text } = composeDigest(organisation, invoices, summary, today);
+  const info = await nodemailer.createTransport(config.smtp).sendMail({ from: config.from, to: config.to, subject, text });
+  return { to: config.to, subject, messageId: info.messageId };
+};
+
+module.exports = {
+  digestConfig,
+  isDigestEnabled,
+  composeDigest,
+  sendDailyDigest,
+};
@@ -0,0 +1,165 @@
+const {
+  withTransaction,
+  getInvoices,
+  findInvoiceById,
+  enqueueWebhookEvent,
+  getSubscribedOrganisationIds,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  claimInvoiceReminder,
+  getInvoiceEventsAfter,
+  getLatestInvoiceEventId,
+  getSchedulerState,
+  setSchedulerState,
+} = require("../db");
+const { STATUS, deriveStatus, isCreditNote } = require("../invoiceStatus");
+const { EVENT_ACTION, EVENT_SOURCE } = require("../invoiceEvents");
+const { toISODate } = require("../dates");
+const { WEBHOOK_EVENT, buildWebhookPayload, sendDelivery, nextAttemptAt } = require("./webhooks");
+const { digestConfig, isDigestEnabled, sendDailyDigest } = require("./digest");
+
+const STATE = {
+  EVENT_CURSOR: "invoice_events_cursor",
+  DUE_CHECK_DATE: "due_check_date",
+  DIGEST_DATE: "digest_date",
+};
+
+const REMINDER_EVENTS = {
+  [STATUS.DUE_SOON]: WEBHOOK_EVENT.INVOICE_DUE_SOON,
+  [STATUS.OVERDUE]: WEBHOOK_EVENT.INVOICE_OVERDUE,
+};
+
+// Which webhook event, if any, an invoice history entry stands for. Seed data ("system") is not news.
+const webhookEventFor = (entry) => {
+  if (entry.action === EVENT_ACTION.CREATED) {
+    return entry.source === EVENT_SOURCE.SYSTEM ? null : WEBHOOK_EVENT.INVOICE_UPLOADED;
+  }
+  return entry.changes.status?.to === STATUS.PAID ? WEBHOOK_EVENT.INVOICE_PAID : null;
+};
+
+/**
+ * Turns invoice history written since the last run into invoice.uploaded and invoice.paid deliveries.
+ * The cursor moves in the same transaction as the deliveries are queued, so nothing is sent twice or
+ * lost across a restart. The first run starts from the current end of the history instead of
+ * replaying it.
+ */
+const queueHistoryEvents = async () => {
+  const cursor = await getSchedulerState(STATE.EVENT_CURSOR);
+  if (cursor === null) {
+    await setSchedulerState(STATE.EVENT_CURSOR, await getLatestInvoiceEventId());
+    return 0;
+  }
+  const entries = await getInvoiceEventsAfter(Number(cursor));
+  if (!entries.length) return 0;
+  return withTransaction(async () => {
+    let queued = 0;
+    for (const entry of entries) {
+      const event = webhookEventFor(entry);
+      if (!event) continue;
+      const invoice = await findInvoiceById(entry.organisation_id, entry.invoice_id);
+      // A credit note reaches "paid" when its credit is used up, which is no payment to report.
+      if (!invoice || (event === WEBHOOK_EVENT.INVOICE_PAID && isCreditNote(invoice))) continue;
+      queued += await enqueueWebhookEvent(entry.organisation_id, event, buildWebhookPayload(entry.organisation_id, event, invoice));
+    }
+    await setSchedulerState(STATE.EVENT_CURSOR, entries[entries.length - 1].id);
+    return queued;
+  });
+};
+
+/**
+ * Once a day, queues invoice.due_soon and invoice.overdue for open invoices that have just crossed
+ * into either state. invoice_reminders remembers what went out, so each invoice is reported once per
+ * due date however often the check runs, and an organisation only starts collecting reminders once
+ * it has a webhook that wants them.
+ */
+const queueDueReminders = async (today = new Date()) => {
+  const date = toISODate(today);
+  if ((await getSchedulerState(STATE.DUE_CHECK_DATE)) === date) return 0;
+  let queued = 0;
+  for (const [status, event] of Object.entries(REMINDER_EVENTS)) {
+    for (const organisationId of await getSubscribedOrganisationIds(event)) {
+      const invoices = (await getInvoices(organisationId)).filter(
+        (inv) => !inv.needs_review && deriveStatus(inv, today) === status,
+      );
+      for (const invoice of invoices) {
+        queued += await withTransaction(async () => {
+          if (!(await claimInvoiceReminder(organisationId, invoice.id, event, invoice.due_date))) return 0;
+          return enqueueWebhookEvent(organisationId, event, buildWebhookPayload(organisationId, event, invoice, today));
+        });
+      }
+    }
+  }
+  await setSchedulerState(STATE.DUE_CHECK_DATE, date);
+  return queued;
+};
+
+// Attempts every delivery that is due, one at a time; failures are rescheduled with backoff.
+const sendDueDeliveries = async () => {
+  const deliveries = await getDueWebhookDeliveries();
+  let delivered = 0;
+  for (const delivery of deliveries) {
+    const result = await sendDelivery({ url: delivery.url, secret: delivery.secret }, delivery);
+    await recordWebhookAttempt(delivery.id, result, result.ok ? null : nextAttemptAt(delivery.attempts + 1));
+    if (result.ok) delivered += 1;
+    else console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed: ${result.error}`);
+  }
+  return { attempted: deliveries.length, delivered };
+};
+
+const sendDigestIfDue = async (config, today = new Date()) => {
+  const date = toISODate(today);
+  if (!isDigestEnabled(config) || today.getUTCHours() < config.hour) return false;
+  if ((await getSchedulerState(STATE.DIGEST_DATE)) === date) return false;
+  // Marked first: a failing SMTP server gets one try a day rather than one a minute.
+  await setSchedulerState(STATE.DIGEST_DATE, date);
+  const { to } = await sendDailyDigest(config, today);
+  console.log(`Daily digest sent to ${to.join(", ")}`);
+  return true;
+};
+
+let lastRun = null;
+
+// One scheduler pass. A failing step is logged and does not stop the ones after it.
+const runScheduler = async ({ today = new Date(), digest = digestConfig() } = {}) => {
+  const run = { startedAt: new Date().toISOString(), finishedAt: null, errors: [] };
+  const steps = [
+    ["events", queueHistoryEvents],
+    ["reminders", () => queueDueReminders(today)],
+    ["deliveries", sendDueDeliveries],
+    ["digest", () => sendDigestIfDue(digest, today)],
+  ];
+  for (const [name, step] of steps) {
+    try {
+      run[name] = await step();
+    } catch (err) {
+      console.error(`Scheduler step ${name} failed`, err);
+      run.errors.push(`${name}: ${err.message}`);
+    }
+  }
+  run.finishedAt = new Date().toISOString();
+  lastRun = run;
+  return run;
+};
+
+const getSchedulerStatus = () => ({
+  intervalSeconds: Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60,
+  digestEnabled: isDigestEnabled(),
+  lastRun,
+});
+
+// Runs the scheduler every SCHEDULER_INTERVAL_SECONDS (default 60) for as long as the server is up.
+const startScheduler = () => {
+  const { intervalSeconds } = getSchedulerStatus();
+  const tick = async () => {
+    await runScheduler().catch((err) => console.error("Scheduler run failed", err));
+    setTimeout(tick, intervalSeconds * 1000).unref();
+  };
+  setTimeout(tick, 0).unref();
+  console.log(`Scheduler running every ${intervalSeconds}s`);
+};
+
+module.exports = {
+  runScheduler,
+  getSchedulerStatus,
+  startScheduler,
+};
@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { withDerivedStatus } = require("../invoiceStatus");
+
+const WEBHOOK_EVENT = {
+  INVOICE_UPLOADED: "invoice.uploaded",
+  INVOICE_DUE_SOON: "invoice.due_soon",
+  INVOICE_OVERDUE: "invoice.overdue",
+  INVOICE_PAID: "invoice.paid",
+};
+
+const WEBHOOK_EVENTS = Object.values(WEBHOOK_EVENT);
+
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+const DELIVERY_STATUSES = Object.values(DELIVERY_STATUS);
+
+// Wait before each retry; a delivery that fails once more after the last one is given up on.
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// When the next attempt is due after `attempts` failures, or null when there are no retries left.
+const nextAttemptAt = (attempts, now = new Date()) => {
+  const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+  return delay === undefined ? null : new Date(now.getTime() + delay * 60 * 1000).toISOString();
+};
+
+// Hosts allowed to resolve to private addresses, for receivers inside the same network as the server.
+const ALLOWED_PRIVATE_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local and other non-public ranges a webhook must not reach.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+/**
+ * Resolves the host of `url` into { problem, addresses }. Every address it resolves to must be public
+ * unless the host is in WEBHOOK_ALLOWED_HOSTS, so webhooks cannot probe the server's network. `addresses`
+ * holds the checked { address, family } list, or null for an allowed host.
+ */
+const resolveWebhookTarget = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (ALLOWED_PRIVATE_HOSTS.includes(hostname)) return { problem: null, addresses: null };
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+  } catch (_err) {
+    return { problem: `url host ${hostname} could not be resolved`, addresses: null };
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { problem: "url must not point to a private, loopback or link-local address", addresses: null };
+  }
+  return { problem: null, addresses };
+};
+
+// Why a webhook may not be sent to `url`, or null when it may.
+const webhookTargetProblem = async (url) => (await resolveWebhookTarget(url)).problem;
+
+/**
+ * POSTs `body` to `url` and resolves the response status. With `addresses` the connection goes to one
+ * of those instead of resolving the host again, so a DNS answer that changes after the check cannot
+ * redirect it. Redirects are not followed.
+ */
+const postTo = (url, { headers, body, addresses, signal }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const lookup =
+      addresses &&
+      ((_hostname, options, callback) => {
+        if (options.all) callback(null, addresses);
+        else callback(null, addresses[0].address, addresses[0].family);
+      });
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      { method: "POST", headers: { ...headers, "Content-Length": Buffer.byteLength(body) }, lookup, signal },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      },
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// The invoice fields sent to receivers; stored documents, review provenance and the like stay internal.
+const PAYLOAD_INVOICE_FIELDS = [
+  "id",
+  "document_type",
+  "supplier",
+  "supplier_id",
+  "invoice_number",
+  "issue_date",
+  "due_date",
+  "amount",
+  "currency",
+  "amount_paid",
+  "balance",
+  "status",
+  "category",
+  "source",
+  "needs_review",
+];
+
+// The JSON body for one event. Every webhook subscribed to it receives the same `id`.
+const buildWebhookPayload = (organisationId, event, invoice, today = new Date()) => {
+  const snapshot = withDerivedStatus(invoice, today);
+  return {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    organisation_id: organisationId,
+    data: { invoice: Object.fromEntries(PAYLOAD_INVOICE_FIELDS.map((field) => [field, snapshot[field] ?? null])) },
+  };
+};
+
+/**
+ * The X-Cashflow-Signature header: "sha256=" and the hex HMAC of "<timestamp>.<body>" keyed with the
+ * webhook secret. Receivers recompute it and reject timestamps too far from their own clock.
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+/**
+ * POSTs a stored delivery to its webhook. Resolves { ok, status, error }; network failures and
+ * non-2xx responses are reported rather than thrown so the caller can schedule a retry.
+ */
+const sendDelivery = async (webhook, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    // Checked again on every send, since the host may resolve differently than when it was saved.
+    const { problem, addresses } = await resolveWebhookTarget(webhook.url);
+    if (problem) return { ok: false, status: null, error: problem };
+    const status = await postTo(webhook.url, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "cashflow-webhooks/1",
+        "X-Cashflow-Event": delivery.event,
+        "X-Cashflow-Delivery": String(delivery.id),
+        "X-Cashflow-Timestamp": String(timestamp),
+        "X-Cashflow-Signature": signPayload(webhook.secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      addresses,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    if (status >= 200 && status < 300) return { ok: true, status, error: null };
+    return { ok: false, status, error: `Webhook responded ${status}` };
+  } catch (err) {
+    return { ok: false, status: null, error: err.name === "AbortError" ? "Webhook timed out" : err.message };
+  }
+};
+
+// Validates a webhook create/update body. With `partial` only the provided fields are checked.
+const validateWebhookInput = (body, { partial = false } = {}) => {
+  const webhook = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { webhook, errors: ["Request body must be a JSON object"] };
+  }
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+
+  if (has("url") || !partial) {
+    let url = null;
+    try {
+      url = typeof body.url === "string" ? new URL(body.url.trim()) : null;
+    } catch (_err) {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) errors.push("url must be an http or https URL");
+    else webhook.url = url.toString();
+  }
+  if (has("events")) {
+    const events = body.events;
+    if (!Array.isArray(events) || !events.length || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`);
+    } else {
+      webhook.events = [...new Set(events)];
+    }
+  }
+  if (has("description")) {
+    if (body.description !== null && typeof body.description !== "string") errors.push("description must be a string or null");
+    else webhook.description = body.description?.trim() || null;
+  }
+  if (has("active")) {
+    if (typeof body.active !== "boolean") errors.push("active must be a boolean");
+    else webhook.active = body.active ? 1 : 0;
+  }
+  Object.keys(body)
+    .filter((key) => !["url", "events", "description", "active"].includes(key))
+    .forEach((key) => errors.push(`${key} is not a webhook field`));
+
+  if (partial && !errors.length && Object.keys(webhook).length === 0) errors.push("No webhook fields provided");
+  return { webhook, errors };
+};
+
+module.exports = {
+  WEBHOOK_EVENT,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  DELIVERY_STATUSES,
+  newWebhookSecret,
+  nextAttemptAt,
+  buildWebhookPayload,
+  signPayload,
+  sendDelivery,
+  validateWebhookInput,
+  webhookTargetProblem,
+};
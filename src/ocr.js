@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+const { createWorker } = require("tesseract.js");
+const heicConvert = require("heic-convert");
+
+const OCR_LANG = process.env.OCR_LANG || "eng";
+
+// Scanned invoices are rarely longer than this; later pages are usually terms and conditions.
+const OCR_MAX_PDF_PAGES = Number(process.env.OCR_MAX_PDF_PAGES) || 3;
+
+// Tesseract caches downloaded language data here instead of the process working directory.
+const ocrCacheDir = path.join(__dirname, "..", "data", "tesseract");
+fs.mkdirSync(ocrCacheDir, { recursive: true });
+
+let workerPromise = null;
+
+// One Tesseract worker is created on first use and reused; loading language data is the slow part.
+const getWorker = () => {
+  if (!workerPromise) {
+    const options = { cachePath: ocrCacheDir };
+    if (process.env.OCR_LANG_PATH) options.langPath = process.env.OCR_LANG_PATH;
+    workerPromise = createWorker(OCR_LANG, undefined, options).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+};
+
+const isHeic = (mimetype, ext) => /hei[cf]/.test(mimetype) || ext === ".heic" || ext === ".heif";
+
+const heicToJpeg = async (buffer) => Buffer.from(await heicConvert({ buffer, format: "JPEG", quality: 0.9 }));
+
+/**
+ * Runs OCR on one image. Returns { text, confidence } where confidence is Tesseract's 0-100 mean
+ * word confidence.
+ */
+const ocrImage = async (buffer) => {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer);
+  return { text: data.text || "", confidence: Math.round(data.confidence ?? 0) };
+};
+
+// Renders the first pages of a PDF and OCRs them; confidence is averaged across pages with text.
+const ocrPdf = async (parser) => {
+  const screenshots = await parser.getScreenshot({ first: OCR_MAX_PDF_PAGES, scale: 2, imageDataUrl: false });
+  const pages = [];
+  for (const page of screenshots.pages) {
+    pages.push(await ocrImage(Buffer.from(page.data)));
+  }
+  const withText = pages.filter((page) => page.text.trim());
+  return {
+    text: pages.map((page) => page.text).join("\n"),
+    confidence: withText.length
+      ? Math.round(withText.reduce((sum, page) => sum + page.confidence, 0) / withText.length)
+      : 0,
+  };
+};
+
+const terminateOcr = async () => {
+  if (!workerPromise) return;
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (worker) await worker.terminate();
+};
+
+module.exports = {
+  isHeic,
+  heicToJpeg,
+  ocrImage,
+  ocrPdf,
+  terminateOcr,
+};
@@ -0,0 +1,180 @@
+const { STATUS, deriveStatus, daysUntilDue, isCreditNote, isOutstandingStatus } = require("./invoiceStatus");
+const { APPROVAL } = require("./approvals");
+const { SUPPLIER_PRIORITY } = require("./suppliers");
+const { BACS_CURRENCY, ukBankAccount } = require("./bank/bacs");
+const { DEFAULT_CURRENCY, normalizeCurrency } = require("./lineItems");
+const { toISODate, isIsoDate, addDays } = require("./dates");
+
+const PAYMENT_RUN_STATUS = {
+  PROPOSED: "proposed",
+  APPROVED: "approved",
+  CANCELLED: "cancelled",
+};
+
+const PAYMENT_RUN_STATUSES = Object.values(PAYMENT_RUN_STATUS);
+
+// Runs are weekly, so by default a run covers what falls due before the next one.
+const RUN_INTERVAL_DAYS = 7;
+const DEFAULT_DUE_WITHIN_DAYS = RUN_INTERVAL_DAYS;
+
+// Points behind the ranking. Overdue days count up to a cap so one ancient bill cannot outrank a
+// high-priority supplier forever; a discount that is still available is worth taking before it lapses.
+const SCORE = {
+  OVERDUE_PER_DAY: 2,
+  MAX_OVERDUE_DAYS: 60,
+  DUE_BEFORE_NEXT_RUN: 30,
+  DISCOUNT: 40,
+  PRIORITY: {
+    [SUPPLIER_PRIORITY.HIGH]: 50,
+    [SUPPLIER_PRIORITY.NORMAL]: 20,
+    [SUPPLIER_PRIORITY.LOW]: 0,
+  },
+};
+
+class PaymentRunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentRunError";
+  }
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Validates a POST /api/payment-runs/propose body into { proposal, errors }.
+const validateProposalInput = (body, today = new Date()) => {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { proposal: null, errors: ["Request body must be a JSON object"] };
+  }
+  const { availableCash, payDate, currency, dueWithinDays } = body;
+  if (typeof availableCash !== "number" || !Number.isFinite(availableCash) || availableCash <= 0) {
+    errors.push("availableCash must be a positive number");
+  }
+  if (payDate !== undefined && !isIsoDate(payDate)) errors.push("payDate must be a valid date in YYYY-MM-DD format");
+  else if (payDate !== undefined && payDate < toISODate(today)) errors.push("payDate cannot be in the past");
+  const code = currency === undefined ? DEFAULT_CURRENCY : normalizeCurrency(currency);
+  if (!code) errors.push("currency must be a 3-letter ISO 4217 code");
+  else if (code !== BACS_CURRENCY) errors.push(`currency must be ${BACS_CURRENCY}; runs are paid by BACS`);
+  if (dueWithinDays !== undefined && (!Number.isInteger(dueWithinDays) || dueWithinDays < 0 || dueWithinDays > 365)) {
+    errors.push("dueWithinDays must be an integer between 0 and 365");
+  }
+  return {
+    proposal: {
+      availableCash: roundMoney(availableCash),
+      payDate: payDate || toISODate(today),
+      currency: code,
+      dueWithinDays: dueWithinDays ?? DEFAULT_DUE_WITHIN_DAYS,
+    },
+    errors,
+  };
+};
+
+// The discount for paying `invoice` on `payDate` under its supplier's early-payment terms, or null.
+const earlyPaymentDiscount = (invoice, supplier, payDate) => {
+  const percent = supplier?.early_payment_discount_percent;
+  const days = supplier?.early_payment_discount_days;
+  if (!percent || days === null || days === undefined || !invoice.issue_date) return null;
+  const until = addDays(invoice.issue_date, days);
+  if (!until || payDate > until) return null;
+  return { amount: roundMoney((Number(invoice.balance) * percent) / 100), percent, until };
+};
+
+// Why an open invoice cannot go into a payment run, or null when it can.
+const exclusionReason = (invoice, supplier) => {
+  if (invoice.needs_review) return "waiting for review";
+  if (invoice.status === STATUS.DISPUTED) return "disputed";
+  if (invoice.approval_status === APPROVAL.PENDING) return "waiting for payment approval";
+  if (invoice.approval_status === APPROVAL.REJECTED) return "payment was rejected";
+  if (!ukBankAccount(supplier?.bank_details)) return "supplier has no UK sort code and account number";
+  return null;
+};
+
+const scoreInvoice = (invoice, supplier, { payDate, discount }) => {
+  const reasons = [];
+  let score = 0;
+  const days = daysUntilDue(invoice.due_date, new Date(`${payDate}T00:00:00Z`));
+  const daysOverdue = days !== null && days < 0 ? -days : 0;
+  if (daysOverdue) {
+    score += Math.min(daysOverdue, SCORE.MAX_OVERDUE_DAYS) * SCORE.OVERDUE_PER_DAY;
+    reasons.push(`${daysOverdue} days overdue`);
+  } else if (days !== null && days < RUN_INTERVAL_DAYS) {
+    score += SCORE.DUE_BEFORE_NEXT_RUN;
+    reasons.push(days === 0 ? "due on the pay date" : `due in ${days} days, before the next run`);
+  }
+  const priority = supplier?.payment_priority || SUPPLIER_PRIORITY.NORMAL;
+  score += SCORE.PRIORITY[priority];
+  if (priority !== SUPPLIER_PRIORITY.NORMAL) reasons.push(`${priority} priority supplier`);
+  if (discount) {
+    score += SCORE.DISCOUNT;
+    reasons.push(`${discount.percent}% early-payment discount until ${discount.until}`);
+  }
+  return { score, reasons, daysOverdue };
+};
+
+/**
+ * Proposes what to pay on `payDate` with `availableCash`. Open invoices in the run's currency that are
+ * due within `dueWithinDays` of the pay date, or still inside an early-payment discount window, are
+ * ranked on days overdue, closeness to the due date, supplier priority and discount, then taken
+ * whole in rank order while the cash lasts; one that does not fit is skipped so smaller ones further
+ * down can still go in. Returns { items, skipped, excluded, total, remaining }, where excluded lists
+ * invoices that would qualify but cannot be paid yet and why.
+ */
+const planPaymentRun = (invoices, suppliers, { availableCash, payDate, currency, dueWithinDays }) => {
+  const payOn = new Date(`${payDate}T00:00:00Z`);
+  const horizon = addDays(payDate, dueWithinDays);
+  const supplierById = new Map(suppliers.map((supplier) => [supplier.id, supplier]));
+
+  const excluded = [];
+  const candidates = [];
+  invoices
+    .filter((invoice) => !invoice.archived && !isCreditNote(invoice) && Number(invoice.balance) > 0)
+    .filter((invoice) => (invoice.currency || DEFAULT_CURRENCY) === currency)
+    .filter((invoice) => isOutstandingStatus(deriveStatus(invoice, payOn)))
+    .forEach((invoice) => {
+      const supplier = supplierById.get(invoice.supplier_id) || null;
+      const discount = earlyPaymentDiscount(invoice, supplier, payDate);
+      if (!discount && invoice.due_date && invoice.due_date > horizon) return;
+      const reason = exclusionReason(invoice, supplier);
+      if (reason) {
+        excluded.push({ invoice, reason });
+        return;
+      }
+      const amount = roundMoney(Number(invoice.balance) - (discount?.amount || 0));
+      candidates.push({
+        invoice,
+        balance: roundMoney(invoice.balance),
+        discount: discount?.amount || 0,
+        amount,
+        ...scoreInvoice(invoice, supplier, { payDate, discount }),
+      });
+    });
+
+  candidates.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (a.invoice.due_date || "9999").localeCompare(b.invoice.due_date || "9999") ||
+      a.invoice.id - b.invoice.id,
+  );
+
+  let remaining = roundMoney(availableCash);
+  const items = [];
+  const skipped = [];
+  candidates.forEach((candidate) => {
+    if (candidate.amount - remaining > 0.005) {
+      skipped.push({ ...candidate, reason: `needs ${candidate.amount.toFixed(2)}, only ${remaining.toFixed(2)} left` });
+      return;
+    }
+    remaining = roundMoney(remaining - candidate.amount);
+    items.push(candidate);
+  });
+  return { items, skipped, excluded, total: roundMoney(availableCash - remaining), remaining };
+};
+
+module.exports = {
+  PAYMENT_RUN_STATUS,
+  PAYMENT_RUN_STATUSES,
+  PaymentRunError,
+  validateProposalInput,
+  earlyPaymentDiscount,
+  planPaymentRun,
+};
@@ -0,0 +1,240 @@
+const { addDays, addMonths, isIsoDate, toISODate } = require("./dates");
+const { normalizeSupplier } = require("./duplicates");
+const { DEFAULT_CURRENCY, normalizeCurrency } = require("./lineItems");
+const { isCreditNote } = require("./invoiceStatus");
+
+const FREQUENCY = {
+  WEEKLY: "weekly",
+  FORTNIGHTLY: "fortnightly",
+  MONTHLY: "monthly",
+  QUARTERLY: "quarterly",
+  YEARLY: "yearly",
+};
+
+const FREQUENCIES = Object.values(FREQUENCY);
+
+const OCCURRENCE_STATUS = {
+  EXPECTED: "expected",
+  MATCHED: "matched",
+  MISSING: "missing",
+};
+
+const DEFAULT_TOLERANCE_PERCENT = 10;
+const DEFAULT_TOLERANCE_DAYS = 7;
+
+// Hard stop so a weekly bill with a distant start date cannot produce an unbounded list.
+const MAX_OCCURRENCES = 1000;
+
+// The n-th expected due date of a bill, counting its start date as 0.
+const nthDate = (bill, n) => {
+  switch (bill.frequency) {
+    case FREQUENCY.WEEKLY:
+      return addDays(bill.start_date, 7 * n);
+    case FREQUENCY.FORTNIGHTLY:
+      return addDays(bill.start_date, 14 * n);
+    case FREQUENCY.QUARTERLY:
+      return addMonths(bill.start_date, 3 * n);
+    case FREQUENCY.YEARLY:
+      return addMonths(bill.start_date, 12 * n);
+    default:
+      return addMonths(bill.start_date, n);
+  }
+};
+
+// Expected due dates from the bill's start date up to and including `until` (or its end date).
+const occurrenceDates = (bill, until) => {
+  const last = bill.end_date && bill.end_date < until ? bill.end_date : until;
+  const dates = [];
+  for (let n = 0; n < MAX_OCCURRENCES; n += 1) {
+    const date = nthDate(bill, n);
+    if (!date || date > last) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+const sameSupplier = (invoice, bill) => {
+  if (invoice.supplier_id && bill.supplier_id) return invoice.supplier_id === bill.supplier_id;
+  const name = normalizeSupplier(invoice.supplier);
+  return Boolean(name) && name === normalizeSupplier(bill.supplier);
+};
+
+const withinAmountTolerance = (amount, bill) =>
+  Math.abs(Number(amount) - bill.expected_amount) <= (bill.expected_amount * bill.tolerance_percent) / 100 + 0.005;
+
+const daysApart = (a, b) => Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+
+/**
+ * Finds the active bill and unmatched expected date that `invoice` most likely settles: same
+ * supplier and currency, amount within the bill's tolerance, and due date within its tolerance
+ * days. `matches` are invoices already linked ({ recurring_bill_id, recurring_expected_date }).
+ * Returns { bill, expectedDate } or null.
+ */
+const matchRecurringBill = (invoice, bills, matches) => {
+  const invoiceDate = invoice.due_date || invoice.issue_date;
+  if (!isIsoDate(invoiceDate)) return null;
+  const taken = new Set(matches.map((match) => `${match.recurring_bill_id}:${match.recurring_expected_date}`));
+  const candidates = bills
+    .filter((bill) => bill.active && sameSupplier(invoice, bill))
+    .filter((bill) => (invoice.currency || DEFAULT_CURRENCY) === bill.currency)
+    .filter((bill) => withinAmountTolerance(invoice.amount, bill))
+    .flatMap((bill) =>
+      occurrenceDates(bill, addDays(invoiceDate, bill.tolerance_days))
+        .filter((date) => !taken.has(`${bill.id}:${date}`))
+        .map((date) => ({ bill, expectedDate: date, distance: daysApart(date, invoiceDate) }))
+        .filter((candidate) => candidate.distance <= bill.tolerance_days),
+    );
+  if (!candidates.length) return null;
+  const [best] = candidates.sort((a, b) => a.distance - b.distance);
+  return { bill: best.bill, expectedDate: best.expectedDate };
+};
+
+// The recurring_bill_id/recurring_expected_date fields for an invoice that settles an expected bill.
+// Credit notes never do.
+const recurringBillLink = (invoice, bills, matches) => {
+  const match = isCreditNote(invoice) ? null : matchRecurringBill(invoice, bills, matches);
+  return match ? { recurring_bill_id: match.bill.id, recurring_expected_date: match.expectedDate } : {};
+};
+
+/**
+ * Every expected bill between `from` and `until`, each marked matched (an invoice arrived),
+ * missing (its due date plus tolerance has passed without one) or still expected.
+ */
+const buildExpectedBills = (bills, matches, { from, until, today = new Date() } = {}) => {
+  const todayIso = toISODate(today);
+  const matched = new Map(matches.map((match) => [`${match.recurring_bill_id}:${match.recurring_expected_date}`, match.id]));
+  return bills
+    .filter((bill) => bill.active)
+    .flatMap((bill) =>
+      occurrenceDates(bill, until)
+        .filter((date) => !from || date >= from)
+        .map((date) => {
+          const invoiceId = matched.get(`${bill.id}:${date}`) ?? null;
+          let status = OCCURRENCE_STATUS.EXPECTED;
+          if (invoiceId) status = OCCURRENCE_STATUS.MATCHED;
+          else if (addDays(date, bill.tolerance_days) < todayIso) status = OCCURRENCE_STATUS.MISSING;
+          return {
+            recurring_bill_id: bill.id,
+            supplier: bill.supplier,
+            category: bill.category,
+            currency: bill.currency,
+            expected_date: date,
+            expected_amount: bill.expected_amount,
+            status,
+            invoice_id: invoiceId,
+          };
+        }),
+    )
+    .sort((a, b) => a.expected_date.localeCompare(b.expected_date) || a.recurring_bill_id - b.recurring_bill_id);
+};
+
+const BILL_FIELDS = [
+  "supplier",
+  "supplier_id",
+  "category",
+  "currency",
+  "expected_amount",
+  "frequency",
+  "start_date",
+  "end_date",
+  "tolerance_percent",
+  "tolerance_days",
+  "active",
+];
+
+// Validates a recurring bill create/update body. With `partial` only the provided fields are checked.
+const validateRecurringBillInput = (body, { partial = false } = {}) => {
+  const bill = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { bill, errors: ["Request body must be a JSON object"] };
+  }
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const required = (key) => has(key) || !partial;
+
+  if (has("supplier") || (!partial && !has("supplier_id"))) {
+    if (typeof body.supplier !== "string" || !body.supplier.trim()) errors.push("supplier must be a non-empty string");
+    else bill.supplier = body.supplier.trim();
+  }
+  if (has("supplier_id")) {
+    if (body.supplier_id !== null && (!Number.isInteger(body.supplier_id) || body.supplier_id < 1)) {
+      errors.push("supplier_id must be a positive integer or null");
+    } else {
+      bill.supplier_id = body.supplier_id;
+    }
+  }
+  if (has("category")) {
+    if (body.category !== null && typeof body.category !== "string") errors.push("category must be a string or null");
+    else bill.category = body.category?.trim() || null;
+  }
+  if (has("currency")) {
+    const currency = normalizeCurrency(body.currency);
+    if (!currency) errors.push("currency must be a 3-letter ISO 4217 code");
+    else bill.currency = currency;
+  }
+  if (required("expected_amount")) {
+    const amount = body.expected_amount;
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+      errors.push("expected_amount must be a positive number");
+    } else {
+      bill.expected_amount = amount;
+    }
+  }
+  if (required("frequency")) {
+    if (!FREQUENCIES.includes(body.frequency)) errors.push(`frequency must be one of: ${FREQUENCIES.join(", ")}`);
+    else bill.frequency = body.frequency;
+  }
+  if (required("start_date")) {
+    if (!isIsoDate(body.start_date)) errors.push("start_date must be a valid date in YYYY-MM-DD format");
+    else bill.start_date = body.start_date;
+  }
+  if (has("end_date")) {
+    if (body.end_date !== null && !isIsoDate(body.end_date)) {
+      errors.push("end_date must be a valid date in YYYY-MM-DD format or null");
+    } else {
+      bill.end_date = body.end_date;
+    }
+  }
+  if (has("tolerance_percent")) {
+    const value = body.tolerance_percent;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push("tolerance_percent must be a number between 0 and 100");
+    } else {
+      bill.tolerance_percent = value;
+    }
+  }
+  if (has("tolerance_days")) {
+    const value = body.tolerance_days;
+    if (!Number.isInteger(value) || value < 0 || value > 60) errors.push("tolerance_days must be an integer between 0 and 60");
+    else bill.tolerance_days = value;
+  }
+  if (has("active")) {
+    if (typeof body.active !== "boolean") errors.push("active must be a boolean");
+    else bill.active = body.active ? 1 : 0;
+  }
+  Object.keys(body)
+    .filter((key) => !BILL_FIELDS.includes(key))
+    .forEach((key) => errors.push(`${key} is not a recurring bill field`));
+  if (bill.start_date && bill.end_date && bill.end_date < bill.start_date) {
+    errors.push("end_date must not be before start_date");
+  }
+
+  if (partial && !errors.length && Object.keys(bill).length === 0) {
+    errors.push("No recurring bill fields provided");
+  }
+  return { bill, errors };
+};
+
+module.exports = {
+  FREQUENCY,
+  FREQUENCIES,
+  OCCURRENCE_STATUS,
+  DEFAULT_TOLERANCE_PERCENT,
+  DEFAULT_TOLERANCE_DAYS,
+  BILL_FIELDS,
+  occurrenceDates,
+  matchRecurringBill,
+  recurringBillLink,
+  buildExpectedBills,
+  validateRecurringBillInput,
+};
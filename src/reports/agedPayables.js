@@ -0,0 +1,70 @@
+const { deriveStatus, daysUntilDue, isOutstandingStatus, isCreditNote } = require("../invoiceStatus");
+const { DEFAULT_CURRENCY } = require("../lineItems");
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Buckets by days past due. "current" is not yet due; invoices without a due date count as current.
+const AGEING_BUCKETS = [
+  { key: "current", label: "Current", maxDaysOverdue: 0 },
+  { key: "days1to30", label: "1-30 days", maxDaysOverdue: 30 },
+  { key: "days31to60", label: "31-60 days", maxDaysOverdue: 60 },
+  { key: "days61to90", label: "61-90 days", maxDaysOverdue: 90 },
+  { key: "days90plus", label: "90+ days", maxDaysOverdue: Infinity },
+];
+
+const bucketFor = (daysOverdue) => AGEING_BUCKETS.find((bucket) => daysOverdue <= bucket.maxDaysOverdue).key;
+
+const emptyBuckets = () => Object.fromEntries([...AGEING_BUCKETS.map((bucket) => [bucket.key, 0]), ["total", 0]]);
+
+/**
+ * Aged payables as of `asOf`: outstanding balances per supplier and currency split into ageing
+ * buckets. Archived invoices, credit notes and ones awaiting review are left out, as in the cashflow summary.
+ * Currencies are never combined; `totals` has one entry per currency.
+ */
+const buildAgedPayables = (invoices, { asOf = new Date() } = {}) => {
+  const rows = new Map();
+  const totals = {};
+  let excludedNeedsReview = 0;
+
+  invoices
+    .filter((inv) => !inv.archived && !isCreditNote(inv))
+    .forEach((inv) => {
+      if (!isOutstandingStatus(deriveStatus(inv, asOf))) return;
+      const balance = Math.max(Number(inv.balance) || 0, 0);
+      if (balance === 0) return;
+      if (inv.needs_review) {
+        excludedNeedsReview += 1;
+        return;
+      }
+      const currency = inv.currency || DEFAULT_CURRENCY;
+      const days = daysUntilDue(inv.due_date, asOf);
+      const bucket = bucketFor(days === null ? 0 : -days);
+      const key = `${inv.supplier_id ?? inv.supplier}|${currency}`;
+      if (!rows.has(key)) {
+        rows.set(key, { supplier: inv.supplier, supplier_id: inv.supplier_id ?? null, currency, invoiceCount: 0, ...emptyBuckets() });
+      }
+      const row = rows.get(key);
+      row[bucket] = roundMoney(row[bucket] + balance);
+      row.total = roundMoney(row.total + balance);
+      row.invoiceCount += 1;
+
+      totals[currency] = totals[currency] || emptyBuckets();
+      totals[currency][bucket] = roundMoney(totals[currency][bucket] + balance);
+      totals[currency].total = roundMoney(totals[currency].total + balance);
+    });
+
+  return {
+    asOf: asOf.toISOString().slice(0, 10),
+    buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    suppliers: [...rows.values()].sort(
+      (a, b) => a.currency.localeCompare(b.currency) || b.total - a.total || a.supplier.localeCompare(b.supplier),
+    ),
+    totals,
+    excludedNeedsReview,
+  };
+};
+
+module.exports = {
+  AGEING_BUCKETS,
+  buildAgedPayables,
+};
@@ -0,0 +1,114 @@
+const PDFDocument = require("pdfkit");
+
+const formatMoney = (value, currency = "") =>
+  `${currency ? `${currency} ` : ""}${(Number(value) || 0).toLocaleString("en-GB", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+// The AI narrative is markdown-ish; PDFKit prints plain text, so emphasis markers are dropped.
+const plainText = (text) => String(text || "").replace(/\*\*|__|`/g, "").replace(/^#+\s*/gm, "");
+
+const heading = (doc, text) => {
+  doc.moveDown(0.8).font("Helvetica-Bold").fontSize(13).text(text).moveDown(0.3).font("Helvetica").fontSize(10);
+};
+
+// Draws rows of cells at fixed x offsets; the first row is bold.
+const table = (doc, widths, rows) => {
+  const left = doc.page.margins.left;
+  rows.forEach((cells, index) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    doc.font(index === 0 ? "Helvetica-Bold" : "Helvetica");
+    let x = left;
+    cells.forEach((cell, col) => {
+      doc.text(String(cell), x, y, { width: widths[col] - 6, align: col === 0 ? "left" : "right" });
+      x += widths[col];
+    });
+    doc.x = left;
+    doc.moveDown(0.2);
+  });
+  doc.font("Helvetica");
+};
+
+/**
+ * Renders the cashflow summary (AI narrative, metrics and disputed invoices from buildCashflowSummary)
+ * plus the weekly forecast as a printable A4 PDF. Resolves with the PDF as a Buffer.
+ */
+const buildCashflowPdf = ({ metrics, summary, disputedInvoices = [], forecast, generatedAt = new Date() }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: "Cashflow summary" } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(18).text("Cashflow summary");
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#555555")
+      .text(`Generated ${generatedAt.toISOString().slice(0, 16).replace("T", " ")} UTC`)
+      .fillColor("black");
+
+    heading(doc, "Overview");
+    doc.text(plainText(summary), { align: "left" });
+
+    heading(doc, "Key metrics");
+    table(doc, [300, 195], [
+      ["Metric", "Value"],
+      ["Total outstanding (all currencies)", formatMoney(metrics.totalOutstanding)],
+      ["Total paid", formatMoney(metrics.totalPaid)],
+      ["Overdue invoices", metrics.countOverdue],
+      ["Due in the next 7 days", metrics.countDueSoon],
+      ["Awaiting review (not in totals)", metrics.countNeedsReview],
+      ["Disputed (not in totals)", metrics.countDisputed],
+    ]);
+
+    const byCurrency = Object.entries(metrics.outstandingByCurrency || {});
+    if (byCurrency.length) {
+      heading(doc, "Outstanding by currency");
+      table(doc, [300, 195], [["Currency", "Outstanding"], ...byCurrency.map(([code, total]) => [code, formatMoney(total, code)])]);
+    }
+
+    if (disputedInvoices.length) {
+      heading(doc, "Disputed invoices (on hold)");
+      table(doc, [150, 95, 90, 160], [
+        ["Supplier", "Invoice", "Balance", "Reason"],
+        ...disputedInvoices.map((inv) => [
+          inv.supplier,
+          inv.invoice_number || "",
+          formatMoney(inv.balance, inv.currency),
+          inv.dispute?.reason || "",
+        ]),
+      ]);
+    }
+
+    if (forecast) {
+      heading(doc, `Upcoming payments (next ${forecast.weeks.length} weeks)`);
+      const source = forecast.openingBalanceSource;
+      if (source?.type === "bank_statement") {
+        doc.text(`Opening balance ${formatMoney(forecast.openingBalance)} from the bank statement dated ${source.balanceDate}.`);
+        doc.moveDown(0.3);
+      }
+      table(doc, [110, 90, 110, 70, 115], [
+        ["Week", "Starts", "Cash out", "Invoices", "Projected balance"],
+        ...forecast.weeks.map((week) => [
+          week.week,
+          week.weekStart,
+          formatMoney(week.cashOut),
+          week.invoiceIds.length,
+          formatMoney(week.projectedBalance),
+        ]),
+      ]);
+      if (forecast.firstNegativeWeek) {
+        doc.moveDown(0.3).text(`Projected balance first goes negative in ${forecast.firstNegativeWeek}.`);
+      }
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  buildCashflowPdf,
+};
@@ -0,0 +1,59 @@
+const ExcelJS = require("exceljs");
+
+// Spreadsheet apps run cells starting with these as formulas; exported text is prefixed with ' instead.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * `columns` is a list of { key, header, type }; type "money" only affects XLSX number formatting.
+ * Rows are plain objects read by column key.
+ */
+const toCsv = (columns, rows) =>
+  [columns.map((column) => csvCell(column.header)), ...rows.map((row) => columns.map((column) => csvCell(row[column.key])))]
+    .map((cells) => cells.join(","))
+    .join("\r\n") + "\r\n";
+
+const toXlsx = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  sheets.forEach(({ name, columns, rows }) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length + 2),
+      style: column.type === "money" ? { numFmt: "#,##0.00" } : {},
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+    // ExcelJS stores strings as text, so unlike CSV they never need the formula guard.
+    rows.forEach((row) => sheet.addRow(columns.map((column) => row[column.key] ?? null)));
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+// Sends a report as an attachment named `<baseName>.<format>`.
+const sendReport = (res, { format, baseName, body }) => {
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${baseName}.${format}"`);
+  res.send(body);
+};
+
+module.exports = {
+  toCsv,
+  toXlsx,
+  sendReport,
+};
@@ -0,0 +1,51 @@
+const FIELD_SOURCE = {
+  AI: "ai",
+  REGEX: "regex",
+  FALLBACK: "fallback",
+  SUPPLIER_DEFAULT: "supplier_default",
+  USER: "user",
+};
+
+// Fields whose provenance decides whether an upload needs a human to look at it.
+const REVIEWED_FIELDS = ["supplier", "invoice_number", "issue_date", "due_date", "amount"];
+
+const REVIEW_CONFIDENCE_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.7;
+
+const DEFAULT_CONFIDENCE = {
+  [FIELD_SOURCE.AI]: 0.85,
+  [FIELD_SOURCE.REGEX]: 0.6,
+  [FIELD_SOURCE.FALLBACK]: 0,
+  [FIELD_SOURCE.SUPPLIER_DEFAULT]: 0.75,
+  [FIELD_SOURCE.USER]: 1,
+};
+
+// When the AI and the regex pass read the same value, trust it more than either alone.
+const AGREEMENT_CONFIDENCE = 0.95;
+
+const clampConfidence = (value, fallback) => {
+  const num = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(num)) return fallback;
+  return Math.min(Math.max(num, 0), 1);
+};
+
+const createProvenance = (fields = REVIEWED_FIELDS) =>
+  Object.fromEntries(fields.map((field) => [field, { source: FIELD_SOURCE.FALLBACK, confidence: 0 }]));
+
+const reviewReasons = (provenance, threshold = REVIEW_CONFIDENCE_THRESHOLD) =>
+  REVIEWED_FIELDS.flatMap((field) => {
+    const entry = provenance[field];
+    if (!entry || entry.source === FIELD_SOURCE.FALLBACK) return [`${field} was not found in the document`];
+    if (entry.confidence < threshold) return [`${field} has low confidence (${entry.confidence})`];
+    return [];
+  });
+
+module.exports = {
+  FIELD_SOURCE,
+  REVIEWED_FIELDS,
+  REVIEW_CONFIDENCE_THRESHOLD,
+  DEFAULT_CONFIDENCE,
+  AGREEMENT_CONFIDENCE,
+  clampConfidence,
+  createProvenance,
+  reviewReasons,
+};
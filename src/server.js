@@ -3,22 +3,196 @@ const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
 const path = require("path");
-const { getInvoices, markInvoicePaid, archiveInvoice, insertInvoice } = require("./db");
+const {
+  getInvoices,
+  queryInvoices,
+  findInvoiceById,
+  getInvoiceLines,
+  getDocumentsForInvoice,
+  findDocument,
+  findPrimaryDocument,
+  insertDocument,
+  deleteDocument,
+  getDuplicateCandidates,
+  getPaymentsForInvoice,
+  recordPayment,
+  markInvoicePaid,
+  archiveInvoice,
+  importInvoices,
+  updateInvoice,
+  confirmInvoice,
+  getReviewQueue,
+  getInvoiceEvents,
+  findInvoiceEvent,
+  findLatestInvoiceEvent,
+  restoreInvoiceEvent,
+  getPendingApprovals,
+  getApprovalsForInvoice,
+  decideApproval,
+  getSuppliers,
+  findSupplierById,
+  insertSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getRecurringBills,
+  findRecurringBillById,
+  insertRecurringBill,
+  updateRecurringBill,
+  deleteRecurringBill,
+  getRecurringMatches,
+  getExpectedBills,
+  getBankStatements,
+  findLatestBankBalance,
+  insertBankStatement,
+  getBankTransactions,
+  findBankTransactionById,
+  getSuggestedInvoiceIds,
+  reconcileBankTransaction,
+  ignoreBankTransaction,
+  getEmailMessages,
+  countEmailMessages,
+  getWebhooks,
+  findWebhookById,
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  findWebhookDeliveryById,
+  retryWebhookDelivery,
+  getCreditAllocations,
+  allocateCredit,
+  getDisputes,
+  openDispute,
+  updateDispute,
+  getPaymentRuns,
+  findPaymentRunById,
+  insertPaymentRun,
+  approvePaymentRun,
+  cancelPaymentRun,
+  seedIfEmpty,
+  DEFAULT_ORGANISATION_ID,
+  findOrganisationById,
+  createOrganisation,
+  renameOrganisation,
+  withTransaction,
+  countUsers,
+  findUserByEmail,
+  findUserById,
+  getUsers,
+  insertUser,
+  updateUser,
+  countActiveApprovers,
+  touchLastLogin,
+  insertSession,
+  deleteSession,
+  deleteExpiredSessions,
+} = require("./db");
+const { getMigrationStatus } = require("./migrate");
+const { parseInvoiceQuery } = require("./invoiceQuery");
 const fs = require("fs");
-const pdfParse = require("pdf-parse");
-const { extractInvoiceFromText } = require("./ai/invoiceExtractor");
-const OpenAI = require("openai");
+const { pipeline } = require("stream/promises");
+const {
+  STATUS,
+  STORED_STATUSES,
+  DOCUMENT_TYPES,
+  InvalidStatusTransitionError,
+  InvoiceBalanceError,
+  withDerivedStatus,
+} = require("./invoiceStatus");
+const { buildWeeklyForecast } = require("./forecast");
+const { buildCashflowSummary } = require("./cashflowSummary");
+const { AGEING_BUCKETS, buildAgedPayables } = require("./reports/agedPayables");
+const { buildCashflowPdf } = require("./reports/cashflowPdf");
+const { toCsv, toXlsx, sendReport } = require("./reports/tabular");
+const { hashFile } = require("./duplicates");
+const { matchSupplier, validateSupplierInput } = require("./suppliers");
+const {
+  OCCURRENCE_STATUS,
+  recurringBillLink,
+  buildExpectedBills,
+  validateRecurringBillInput,
+} = require("./recurringBills");
+const { toISODate, isIsoDate, addDays, weekLabelFromDate } = require("./dates");
+const { DEFAULT_CURRENCY, normalizeCurrency } = require("./lineItems");
+const llm = require("./ai/llm");
+const { AskProviderError, validateAskInput, answerQuestion } = require("./ai/ask");
+const { getStorage } = require("./storage");
+const {
+  DATE_FORMATS,
+  DUPLICATE_MODES,
+  MAPPABLE_FIELDS,
+  ImportFileError,
+  readImportFile,
+  buildImportPreview,
+} = require("./import");
+const { LAYOUTS } = require("./import/layouts");
+const {
+  STATEMENT_FORMATS,
+  TRANSACTION_STATUS,
+  TRANSACTION_STATUSES,
+  BankStatementError,
+  BankReconciliationError,
+  readStatement,
+} = require("./bank");
+const { rankInvoiceMatches } = require("./bank/matching");
+const { BACS_CURRENCY, buildBacsCsv } = require("./bank/bacs");
+const {
+  PAYMENT_RUN_STATUS,
+  PAYMENT_RUN_STATUSES,
+  PaymentRunError,
+  validateProposalInput,
+  planPaymentRun,
+} = require("./paymentRuns");
+const {
+  DOCUMENT_KIND,
+  DOCUMENT_KINDS,
+  TEMP_UPLOAD_DIR,
+  storeUpload,
+  openDocument,
+  removeStoredDocument,
+  removeTempUpload,
+} = require("./documents");
+const { ingestInvoiceFile } = require("./invoiceIntake");
+const { EMAIL_STATUSES } = require("./email/messages");
+const { getEmailIngestionStatus, pollEmailNow, startEmailIngestion } = require("./email");
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  DELIVERY_STATUSES,
+  newWebhookSecret,
+  validateWebhookInput,
+  webhookTargetProblem,
+} = require("./notifications/webhooks");
+const { digestConfig, isDigestEnabled, sendDailyDigest } = require("./notifications/digest");
+const { getSchedulerStatus, startScheduler } = require("./notifications/scheduler");
+const { ROLE, ROLES, PERMISSION } = require("./auth/roles");
+const { APPROVAL, ApprovalRequiredError } = require("./approvals");
+const { CreditNoteError, validateAllocationInput } = require("./credits");
+const { DISPUTE_STATUS, DISPUTE_STATUSES, DisputeError, validateDisputeInput } = require("./disputes");
+const { EVENT_SOURCE, EVENT_ACTION, REVERSIBLE_ACTIONS, InvoiceRestoreConflictError } = require("./invoiceEvents");
+const { hashPassword, verifyPassword, validatePassword } = require("./auth/passwords");
+const { newSessionToken, bootstrapTokenMatches } = require("./auth/sessions");
+const { authenticate, requirePermission } = require("./auth/middleware");
 
 const PORT = process.env.PORT || 3002;
 const app = express();
 
-app.use(cors());
+// Browser origins allowed to call the API, e.g. "https://app.example.com,http://localhost:5173".
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+if (!CORS_ORIGINS.length) {
+  console.warn("CORS_ORIGINS is not set; cross-origin browser requests will be refused.");
+}
+
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 app.use(express.json());
 
-const uploadDir = path.join(__dirname, "..", "uploads");
-fs.mkdirSync(uploadDir, { recursive: true });
+// Multer writes to TEMP_UPLOAD_DIR; files are copied into document storage once their invoice is saved
+// and the temporary copy is always removed when the request finishes.
 const storage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, uploadDir),
+  destination: (_req, _file, cb) => cb(null, TEMP_UPLOAD_DIR),
   filename: (_req, file, cb) => {
     const timestamp = Date.now();
     const safeOriginalName = file.originalname.replace(/\s+/g, "_");
@@ -27,343 +201,1795 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-const aiClient = (() => {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.warn("OPENAI_API_KEY not set; AI summary will be unavailable.");
-    return null;
+// Temporary files older than this were left behind by a crash and are swept at startup.
+const STALE_UPLOAD_MS = 60 * 60 * 1000;
+
+const sweepStaleUploads = async () => {
+  const cutoff = Date.now() - STALE_UPLOAD_MS;
+  for (const name of await fs.promises.readdir(TEMP_UPLOAD_DIR)) {
+    const filePath = path.join(TEMP_UPLOAD_DIR, name);
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (mtimeMs < cutoff) await fs.promises.rm(filePath, { force: true });
+  }
+};
+
+if (!llm.isConfigured()) {
+  console.warn("No LLM provider configured; AI summary will be unavailable.");
+}
+
+// Validates a PATCH body and returns { updates, errors }; updates holds normalised values only.
+const validateInvoiceUpdate = (body, { allowEmpty = false } = {}) => {
+  const updates = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { updates, errors: ["Request body must be a JSON object"] };
+  }
+
+  Object.entries(body).forEach(([key, value]) => {
+    switch (key) {
+      case "supplier":
+        if (typeof value !== "string" || !value.trim()) {
+          errors.push("supplier must be a non-empty string");
+        } else {
+          updates.supplier = value.trim();
+        }
+        break;
+      case "invoice_number":
+      case "category":
+        if (value !== null && typeof value !== "string") {
+          errors.push(`${key} must be a string or null`);
+        } else {
+          updates[key] = value === null ? null : value.trim() || null;
+        }
+        break;
+      case "issue_date":
+      case "due_date":
+        if (!isIsoDate(value)) {
+          errors.push(`${key} must be a valid date in YYYY-MM-DD format`);
+        } else {
+          updates[key] = value;
+        }
+        break;
+      case "net_amount":
+      case "vat_amount":
+        if (value !== null && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+          errors.push(`${key} must be a non-negative number or null`);
+        } else {
+          updates[key] = value;
+        }
+        break;
+      case "currency": {
+        const currency = normalizeCurrency(value);
+        if (!currency) {
+          errors.push("currency must be a 3-letter ISO 4217 code");
+        } else {
+          updates.currency = currency;
+        }
+        break;
+      }
+      case "supplier_id":
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+          errors.push("supplier_id must be a positive integer or null");
+        } else {
+          updates.supplier_id = value;
+        }
+        break;
+      case "amount":
+        if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+          errors.push("amount must be a non-negative number");
+        } else {
+          updates.amount = value;
+        }
+        break;
+      case "document_type":
+        if (!DOCUMENT_TYPES.includes(value)) {
+          errors.push(`document_type must be one of: ${DOCUMENT_TYPES.join(", ")}`);
+        } else {
+          updates.document_type = value;
+        }
+        break;
+      case "status": {
+        const status = typeof value === "string" ? value.trim().toLowerCase() : "";
+        if (status === STATUS.PAID || status === STATUS.PART_PAID) {
+          errors.push(`status cannot be set to ${status} directly; record a payment instead`);
+        } else if (!STORED_STATUSES.includes(status)) {
+          errors.push(`status must be one of: ${STORED_STATUSES.join(", ")} (due soon/overdue are derived from due_date)`);
+        } else {
+          updates.status = status;
+        }
+        break;
+      }
+      default:
+        errors.push(`${key} cannot be updated`);
+    }
+  });
+
+  if (!allowEmpty && !errors.length && Object.keys(updates).length === 0) {
+    errors.push("No updatable fields provided");
+  }
+  if (updates.due_date) {
+    updates.week_label = weekLabelFromDate(updates.due_date);
+  }
+  return { updates, errors };
+};
+
+const validatePayment = (body, invoice) => {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { payment: null, errors: ["Request body must be a JSON object"] };
+  }
+  const { amount, paid_on: paidOn, method, reference } = body;
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    errors.push("amount must be a positive number");
+  } else if (invoice && amount - invoice.balance > 0.005) {
+    errors.push(`amount exceeds the outstanding balance of ${invoice.balance}`);
   }
-  return new OpenAI({ apiKey });
-})();
+  if (paidOn !== undefined && !isIsoDate(paidOn)) {
+    errors.push("paid_on must be a valid date in YYYY-MM-DD format");
+  }
+  if (method !== undefined && method !== null && typeof method !== "string") {
+    errors.push("method must be a string");
+  }
+  if (reference !== undefined && reference !== null && typeof reference !== "string") {
+    errors.push("reference must be a string");
+  }
+  if (errors.length) return { payment: null, errors };
+  return {
+    payment: {
+      amount,
+      paid_on: paidOn || new Date().toISOString().slice(0, 10),
+      method: method?.trim() || null,
+      reference: reference?.trim() || null,
+    },
+    errors,
+  };
+};
+
+const isUniqueConstraintError = (err) => err && err.code === "SQLITE_CONSTRAINT" && /UNIQUE/i.test(err.message);
 
 app.get("/health", (_req, res) => {
   res.json({ status: "ok" });
 });
 
-app.get("/api/invoices", async (_req, res) => {
+// Anyone may create a new organisation only when this is set; otherwise approvers add users themselves.
+const ALLOW_SIGNUP = String(process.env.ALLOW_SIGNUP || "").toLowerCase() === "true";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validates a new or updated account and returns { user, errors }; the password comes back hashed.
+const validateUserInput = async (body, { partial = false, allowed = ["email", "name", "password", "role"] } = {}) => {
+  const user = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { user, errors: ["Request body must be a JSON object"] };
+  }
+  Object.keys(body)
+    .filter((key) => !allowed.includes(key))
+    .forEach((key) => errors.push(`${key} cannot be set`));
+
+  const has = (key) => allowed.includes(key) && (!partial || body[key] !== undefined);
+  if (has("email")) {
+    if (typeof body.email !== "string" || !EMAIL_PATTERN.test(body.email.trim())) {
+      errors.push("email must be a valid email address");
+    } else {
+      user.email = body.email.trim().toLowerCase();
+    }
+  }
+  if (has("name")) {
+    if (body.name !== undefined && body.name !== null && typeof body.name !== "string") {
+      errors.push("name must be a string or null");
+    } else {
+      user.name = body.name?.trim() || null;
+    }
+  }
+  if (has("role")) {
+    if (!ROLES.includes(body.role)) errors.push(`role must be one of: ${ROLES.join(", ")}`);
+    else user.role = body.role;
+  }
+  if (has("disabled")) {
+    if (typeof body.disabled !== "boolean") errors.push("disabled must be a boolean");
+    else user.disabled = body.disabled ? 1 : 0;
+  }
+  if (has("password")) {
+    const passwordError = validatePassword(body.password);
+    if (passwordError) errors.push(passwordError);
+    else if (!errors.length) user.password_hash = await hashPassword(body.password);
+  }
+  if (partial && !errors.length && Object.keys(user).length === 0) errors.push("No updatable fields provided");
+  return { user, errors };
+};
+
+const startSession = async (user) => {
+  const session = newSessionToken();
+  await insertSession(user.id, session);
+  await touchLastLogin(user.id);
+  return {
+    token: session.token,
+    expiresAt: session.expiresAt,
+    user: await findUserById(user.organisation_id, user.id),
+  };
+};
+
+// The first account takes over the default organisation (and any data already in it) as its approver,
+// and must present BOOTSTRAP_TOKEN to do so.
+app.post("/api/auth/register", async (req, res) => {
   try {
-    const invoices = await getInvoices();
-    res.json({ invoices });
+    const { organisation: organisationName, bootstrapToken, ...account } = req.body || {};
+    const { user, errors } = await validateUserInput(account, { allowed: ["email", "name", "password"] });
+    if (typeof organisationName !== "string" || !organisationName.trim()) {
+      errors.push("organisation must be a non-empty string");
+    }
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+
+    // Counted and inserted together so two callers cannot both register as the first account.
+    const { error, org, created } = await withTransaction(async () => {
+      const firstUser = (await countUsers()) === 0;
+      if (firstUser && !bootstrapTokenMatches(bootstrapToken)) {
+        return { error: "The first account needs bootstrapToken to match the server's BOOTSTRAP_TOKEN" };
+      }
+      if (!firstUser && !ALLOW_SIGNUP) {
+        return { error: "Sign-up is closed; ask an approver to add you to their organisation" };
+      }
+      const organisation = firstUser
+        ? await renameOrganisation(DEFAULT_ORGANISATION_ID, organisationName.trim())
+        : await createOrganisation(organisationName.trim());
+      return { org: organisation, created: await insertUser(organisation.id, { ...user, role: ROLE.APPROVER }) };
+    });
+    if (error) return res.status(403).json({ error });
+    res.status(201).json({ organisation: org, ...(await startSession(created)) });
   } catch (err) {
-    console.error("Failed to fetch invoices", err);
+    if (isUniqueConstraintError(err)) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+    console.error("Failed to register", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/api/cashflow-summary", async (_req, res) => {
+app.post("/api/auth/login", async (req, res) => {
   try {
-    const invoices = await getInvoices();
+    const { email, password } = req.body || {};
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res.status(400).json({ error: "email and password are required" });
+    }
+    const user = await findUserByEmail(email.trim());
+    if (!user || user.disabled || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    await deleteExpiredSessions();
+    res.json(await startSession(user));
+  } catch (err) {
+    console.error("Failed to log in", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const getInvoiceDueDate = (row) => {
-      const raw = row.dueDate || row.due_date;
-      if (!raw) return null;
-      const parsed = new Date(raw);
-      return isNaN(parsed.getTime()) ? null : parsed;
-    };
+// Everything below needs a signed-in user; each route then checks the user's role.
+app.use("/api", authenticate);
 
-    const isPaidStatus = (row) => {
-      const status = (row.status || "").trim().toLowerCase();
-      return status === "paid";
-    };
+// Recorded against every invoice change the request makes.
+const actorFor = (req, source = EVENT_SOURCE.API) => ({ userId: req.user.id, source });
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await deleteSession(req.sessionTokenHash);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to log out", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    const [user, organisation] = await Promise.all([
+      findUserById(req.user.organisation_id, req.user.id),
+      findOrganisationById(req.user.organisation_id),
+    ]);
+    res.json({ user, organisation });
+  } catch (err) {
+    console.error("Failed to fetch current user", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/users", requirePermission(PERMISSION.MANAGE_USERS), async (req, res) => {
+  try {
+    res.json({ users: await getUsers(req.user.organisation_id) });
+  } catch (err) {
+    console.error("Failed to fetch users", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/users", requirePermission(PERMISSION.MANAGE_USERS), async (req, res) => {
+  try {
+    const { user, errors } = await validateUserInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    res.status(201).json(await insertUser(req.user.organisation_id, user));
+  } catch (err) {
+    if (isUniqueConstraintError(err)) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+    console.error("Failed to create user", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.patch("/api/users/:id", requirePermission(PERMISSION.MANAGE_USERS), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { user, errors } = await validateUserInput(req.body, {
+      partial: true,
+      allowed: ["name", "password", "role", "disabled"],
+    });
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const existing = await findUserById(req.user.organisation_id, id);
+    if (!existing) return res.status(404).json({ error: "User not found" });
+    const losesApprover =
+      existing.role === ROLE.APPROVER && !existing.disabled && ((user.role && user.role !== ROLE.APPROVER) || user.disabled);
+    if (losesApprover && (await countActiveApprovers(req.user.organisation_id)) <= 1) {
+      return res.status(409).json({ error: "An organisation must keep at least one active approver" });
+    }
+    res.json(await updateUser(req.user.organisation_id, id, user));
+  } catch (err) {
+    console.error("Failed to update user", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/invoices", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { filters, errors } = parseInvoiceQuery(req.query);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
     const today = new Date();
-    const sevenDaysFromNow = new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000);
-    const thirtyDaysFromNow = new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000);
-
-    let totalPaid = 0;
-    let totalOutstanding = 0;
-    const overdueInvoices = [];
-    const dueSoonInvoices = [];
-    const next30Invoices = [];
-
-    invoices
-      .filter((inv) => inv.archived !== 1 && inv.archived !== true)
-      .forEach((inv) => {
-        const amount = Number(inv.amount) || 0;
-        const paid = isPaidStatus(inv);
-        const dueDate = getInvoiceDueDate(inv);
-
-        if (paid) {
-          totalPaid += amount;
-          return;
-        }
+    const { rows, total } = await queryInvoices(req.user.organisation_id, filters, today);
+    res.json({
+      invoices: rows.map((inv) => withDerivedStatus(inv, today)),
+      total,
+      page: filters.page,
+      pageSize: filters.pageSize,
+    });
+  } catch (err) {
+    console.error("Failed to fetch invoices", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/cashflow-summary", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const today = new Date();
+    const invoices = await getInvoices(req.user.organisation_id);
+    const expectedBills = await getExpectedBills(req.user.organisation_id, { today });
+    const disputes = await getDisputes(req.user.organisation_id, { status: DISPUTE_STATUS.OPEN });
+    return res.json(await buildCashflowSummary(invoices, { today, expectedBills, disputes }));
+  } catch (err) {
+    console.error("Failed to generate cashflow summary", err);
+    return res.status(500).json({ error: "Failed to generate cashflow summary" });
+  }
+});
+
+// Answers a question from the ledger through read-only lookups; see "Asking questions".
+app.post("/api/ask", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { question, errors } = validateAskInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    if (!llm.isConfigured()) return res.status(503).json({ error: "Set OPENAI_API_KEY or LLM_PROVIDER to ask questions" });
+    res.json(await answerQuestion(req.user.organisation_id, question));
+  } catch (err) {
+    console.error("Failed to answer question", err);
+    if (err instanceof AskProviderError) {
+      return res.status(502).json({ error: "The AI provider could not answer the question" });
+    }
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-        totalOutstanding += amount;
+// `openingBalance` stays undefined when the query leaves it out, so resolveOpeningBalance can fill it in.
+const parseForecastParams = (query, { defaultWeeks = 12 } = {}) => {
+  const weeks = query.weeks === undefined ? defaultWeeks : Number(query.weeks);
+  const openingBalance = query.openingBalance === undefined ? undefined : Number(query.openingBalance);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+    return { error: "weeks must be an integer between 1 and 52" };
+  }
+  if (openingBalance !== undefined && !Number.isFinite(openingBalance)) return { error: "openingBalance must be a number" };
+  return { weeks, openingBalance };
+};
 
-        if (!dueDate) return; // exclude from date-based buckets if no valid due date
+// An explicit opening balance wins; otherwise the latest bank statement's closing balance, otherwise 0.
+const resolveOpeningBalance = async (organisationId, openingBalance) => {
+  if (openingBalance !== undefined) return { openingBalance, openingBalanceSource: { type: "query" } };
+  const latest = await findLatestBankBalance(organisationId);
+  if (!latest) return { openingBalance: 0, openingBalanceSource: { type: "default" } };
+  return {
+    openingBalance: latest.closing_balance,
+    openingBalanceSource: {
+      type: "bank_statement",
+      statementId: latest.statement_id,
+      balanceDate: latest.balance_date,
+      currency: latest.currency,
+    },
+  };
+};
 
-        if (dueDate < today) {
-          overdueInvoices.push(inv);
-        } else if (dueDate >= today && dueDate <= sevenDaysFromNow) {
-          dueSoonInvoices.push(inv);
-          next30Invoices.push(inv);
-        } else if (dueDate > sevenDaysFromNow && dueDate <= thirtyDaysFromNow) {
-          next30Invoices.push(inv);
-        }
-      });
+app.get("/api/cashflow-forecast", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { weeks, openingBalance: requestedBalance, error } = parseForecastParams(req.query);
+    if (error) return res.status(400).json({ error });
+    const today = new Date();
+    const invoices = await getInvoices(req.user.organisation_id);
+    const expectedBills = await getExpectedBills(req.user.organisation_id, { today, days: weeks * 7 });
+    const { openingBalance, openingBalanceSource } = await resolveOpeningBalance(req.user.organisation_id, requestedBalance);
+    res.json({
+      ...buildWeeklyForecast(invoices, { weeks, openingBalance, today, expectedBills }),
+      openingBalanceSource,
+    });
+  } catch (err) {
+    console.error("Failed to build cashflow forecast", err);
+    res.status(500).json({ error: "Failed to build cashflow forecast" });
+  }
+});
 
-    const metrics = {
-      totalOutstanding,
-      totalPaid,
-      countOverdue: overdueInvoices.length,
-      countDueSoon: dueSoonInvoices.length,
-    };
+const EXPORT_FORMATS = ["csv", "xlsx"];
 
-    let summary = "AI summary is temporarily unavailable. Metrics are still accurate.";
+const INVOICE_EXPORT_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "supplier", header: "Supplier" },
+  { key: "invoice_number", header: "Invoice number" },
+  { key: "issue_date", header: "Issue date" },
+  { key: "due_date", header: "Due date" },
+  { key: "status", header: "Status" },
+  { key: "currency", header: "Currency" },
+  { key: "net_amount", header: "Net", type: "money" },
+  { key: "vat_amount", header: "VAT", type: "money" },
+  { key: "amount", header: "Total", type: "money" },
+  { key: "amount_paid", header: "Paid", type: "money" },
+  { key: "balance", header: "Balance", type: "money" },
+  { key: "category", header: "Category" },
+  { key: "source", header: "Source" },
+  { key: "needs_review", header: "Needs review" },
+];
 
-    if (aiClient) {
-      if (totalOutstanding === 0) {
-        return res.json({
-          metrics,
-          summary: "There are no outstanding invoices. Cashflow looks clear at the moment.",
-        });
-      }
+const parseExportFormat = (query, formats) => {
+  const format = String(query.format || formats[0]).trim().toLowerCase();
+  return formats.includes(format) ? { format } : { error: `format must be one of: ${formats.join(", ")}` };
+};
 
-      const largestOverdue = [...overdueInvoices]
-        .sort((a, b) => (Number(b.amount) || 0) - (Number(a.amount) || 0))
-        .slice(0, 3)
-        .map((inv) => `${inv.supplier} — ${inv.amount} due ${inv.due_date || inv.dueDate || "unknown"}`);
-
-      const dueSoonList = [...dueSoonInvoices]
-        .sort((a, b) => (Number(b.amount) || 0) - (Number(a.amount) || 0))
-        .slice(0, 3)
-        .map((inv) => `${inv.supplier} — ${inv.amount} due ${inv.due_date || inv.dueDate || "unknown"}`);
-
-      const next30Total = next30Invoices.reduce((sum, inv) => sum + (Number(inv.amount) || 0), 0);
-
-      const context = `
-Metrics:
-- Total outstanding (unpaid): ${totalOutstanding}
-- Total paid: ${totalPaid}
-- Overdue invoices: ${overdueInvoices.length}
-- Due in next 7 days: ${dueSoonInvoices.length}
-- Total due in next 30 days: ${next30Total}
-
-Largest overdue (up to 3):
-${largestOverdue.map((t, i) => `${i + 1}. ${t}`).join("\n") || "None"}
-
-Due in next 7 days (up to 3):
-${dueSoonList.map((t, i) => `${i + 1}. ${t}`).join("\n") || "None"}
-
-Write 2-4 concise bullet points (or 2-3 short sentences) about upcoming cash out, overdue risk, and any spikes in the next 30 days. Use ONLY the data provided; do not invent invoices or amounts. Always express currency in GBP (£).`;
-
-      try {
-        const aiRes = await aiClient.chat.completions.create({
-          model: "gpt-4.1-mini",
-          messages: [
-            {
-              role: "system",
-              content:
-                "You are a financial analyst helping a business owner understand upcoming supplier payments and cashflow risks. Be concise and practical. Always express currency in GBP (£), never in $.",
-            },
-            { role: "user", content: context },
-          ],
-          temperature: 0.2,
-        });
-        const content = aiRes?.choices?.[0]?.message?.content;
-        if (content && typeof content === "string") {
-          summary = content.trim();
-        }
-      } catch (err) {
-        console.error("AI cashflow summary failed:", err);
-      }
+// Same filters, sort and paging as GET /api/invoices.
+app.get("/api/export/invoices", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { format, error } = parseExportFormat(req.query, EXPORT_FORMATS);
+    if (error) return res.status(400).json({ error });
+    const { filters, errors } = parseInvoiceQuery(req.query);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const today = new Date();
+    const { rows } = await queryInvoices(req.user.organisation_id, filters, today);
+    const invoices = rows.map((inv) => ({ ...withDerivedStatus(inv, today), needs_review: inv.needs_review ? "yes" : "no" }));
+    const baseName = `invoices-${toISODate(today)}`;
+    const body =
+      format === "csv"
+        ? toCsv(INVOICE_EXPORT_COLUMNS, invoices)
+        : await toXlsx([{ name: "Invoices", columns: INVOICE_EXPORT_COLUMNS, rows: invoices }]);
+    sendReport(res, { format, baseName, body });
+  } catch (err) {
+    console.error("Failed to export invoices", err);
+    res.status(500).json({ error: "Failed to export invoices" });
+  }
+});
+
+const AGED_PAYABLES_COLUMNS = [
+  { key: "supplier", header: "Supplier" },
+  { key: "currency", header: "Currency" },
+  ...AGEING_BUCKETS.map((bucket) => ({ key: bucket.key, header: bucket.label, type: "money" })),
+  { key: "total", header: "Total", type: "money" },
+  { key: "invoiceCount", header: "Invoices" },
+];
+
+app.get("/api/reports/aged-payables", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { format, error } = parseExportFormat(req.query, ["json", ...EXPORT_FORMATS]);
+    if (error) return res.status(400).json({ error });
+    if (req.query.asOf !== undefined && !isIsoDate(req.query.asOf)) {
+      return res.status(400).json({ error: "asOf must be a date in YYYY-MM-DD format" });
     }
+    const asOf = req.query.asOf ? new Date(`${req.query.asOf}T00:00:00Z`) : new Date();
+    const report = buildAgedPayables(await getInvoices(req.user.organisation_id), { asOf });
+    if (format === "json") return res.json(report);
 
-    return res.json({ metrics, summary });
+    const columns = AGED_PAYABLES_COLUMNS;
+    const rows = [
+      ...report.suppliers,
+      ...Object.entries(report.totals).map(([currency, totals]) => ({ supplier: "Total", currency, ...totals })),
+    ];
+    const baseName = `aged-payables-${report.asOf}`;
+    const body = format === "csv" ? toCsv(columns, rows) : await toXlsx([{ name: "Aged payables", columns, rows }]);
+    sendReport(res, { format, baseName, body });
   } catch (err) {
-    console.error("Failed to generate cashflow summary", err);
-    return res.status(500).json({ error: "Failed to generate cashflow summary" });
+    console.error("Failed to build aged payables report", err);
+    res.status(500).json({ error: "Failed to build aged payables report" });
+  }
+});
+
+app.get("/api/reports/cashflow-summary.pdf", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { weeks, openingBalance: requestedBalance, error } = parseForecastParams(req.query, { defaultWeeks: 8 });
+    if (error) return res.status(400).json({ error });
+    const invoices = await getInvoices(req.user.organisation_id);
+    const today = new Date();
+    const expectedBills = await getExpectedBills(req.user.organisation_id, { today, days: Math.max(weeks * 7, 30) });
+    const { openingBalance, openingBalanceSource } = await resolveOpeningBalance(req.user.organisation_id, requestedBalance);
+    const disputes = await getDisputes(req.user.organisation_id, { status: DISPUTE_STATUS.OPEN });
+    const { metrics, summary, disputedInvoices } = await buildCashflowSummary(invoices, { today, expectedBills, disputes });
+    const forecast = {
+      ...buildWeeklyForecast(invoices, { weeks, openingBalance, today, expectedBills }),
+      openingBalanceSource,
+    };
+    const body = await buildCashflowPdf({ metrics, summary, disputedInvoices, forecast, generatedAt: today });
+    sendReport(res, { format: "pdf", baseName: `cashflow-summary-${toISODate(today)}`, body });
+  } catch (err) {
+    console.error("Failed to build cashflow summary PDF", err);
+    res.status(500).json({ error: "Failed to build cashflow summary PDF" });
   }
 });
 
-app.post("/api/invoices/:id/mark-paid", async (req, res) => {
+app.post("/api/invoices/:id/mark-paid", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const updated = await markInvoicePaid(id);
+    const updated = await markInvoicePaid(req.user.organisation_id, id, actorFor(req));
     if (!updated) return res.status(404).json({ error: "Invoice not found" });
-    res.json(updated);
+    res.json(withDerivedStatus(updated));
   } catch (err) {
+    if (
+      err instanceof InvalidStatusTransitionError ||
+      err instanceof CreditNoteError ||
+      err instanceof InvoiceBalanceError
+    ) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err instanceof ApprovalRequiredError) {
+      return res.status(409).json({ error: err.message, approval_status: err.approvalStatus });
+    }
     console.error("Failed to mark invoice as paid", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.post("/api/invoices/:id/archive", async (req, res) => {
+app.get("/api/invoices/:id/payments", requirePermission(PERMISSION.READ), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const updated = await archiveInvoice(id);
-    if (!updated) return res.status(404).json({ error: "Invoice not found" });
-    res.json({ success: true, invoice: updated });
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const payments = await getPaymentsForInvoice(req.user.organisation_id, id);
+    res.json({ invoice: withDerivedStatus(invoice), payments });
   } catch (err) {
-    console.error("Failed to archive invoice", err);
+    console.error("Failed to fetch payments", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.post("/api/upload-invoice", upload.single("file"), async (req, res) => {
+app.post("/api/invoices/:id/payments", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
   try {
-    if (!req.file) {
-      console.warn("Upload attempted with no file");
-      return res.status(400).json({ error: "No file uploaded" });
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const { payment, errors } = validatePayment(req.body, invoice);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const result = await recordPayment(req.user.organisation_id, id, payment, actorFor(req));
+    res.status(201).json({ invoice: withDerivedStatus(result.invoice), payment: result.payment });
+  } catch (err) {
+    if (
+      err instanceof InvalidStatusTransitionError ||
+      err instanceof CreditNoteError ||
+      err instanceof InvoiceBalanceError
+    ) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err instanceof ApprovalRequiredError) {
+      return res.status(409).json({ error: err.message, approval_status: err.approvalStatus });
     }
+    console.error("Failed to record payment", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    console.log("Upload received:", {
-      originalname: req.file.originalname,
-      mimetype: req.file.mimetype,
-      path: req.file.path,
-      size: req.file.size,
-    });
+app.get("/api/invoices/:id/lines", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const lines = await getInvoiceLines(req.user.organisation_id, id);
+    res.json({ invoice: withDerivedStatus(invoice), lines });
+  } catch (err) {
+    console.error("Failed to fetch invoice lines", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const today = new Date();
-    const due = new Date(today.getTime() + 14 * 24 * 60 * 60 * 1000);
-    const toISO = (d) => d.toISOString().slice(0, 10);
-    const weekLabelFromDate = (date) => `Week of ${date}`;
-
-    const fallbackInvoice = {
-      supplier: "Uploaded invoice",
-      invoice_number: req.file.originalname,
-      issue_date: toISO(today),
-      due_date: toISO(due),
-      amount: 0,
-      status: "Upcoming",
-      category: "Uncategorised",
-      source: "Upload",
-      week_label: weekLabelFromDate(toISO(due)),
-      archived: 0,
-    };
+const isMissingObjectError = (err) => err && (err.code === "ENOENT" || err.name === "NoSuchKey");
 
-    let rawText = "";
-    const mimetype = (req.file.mimetype || "").toLowerCase();
-    const ext = path.extname(req.file.originalname || "").toLowerCase();
-    const shouldTreatAsText =
-      mimetype.startsWith("text/") ||
-      mimetype === "application/octet-stream" ||
-      ext === ".txt" ||
-      ext === ".csv" ||
-      ext === ".json";
-
-    if (shouldTreatAsText) {
-      try {
-        rawText = await fs.promises.readFile(req.file.path, "utf8");
-        console.log("Raw text source: plain text or extension-based text");
-      } catch (readErr) {
-        console.error("Text read failed, using fallback:", readErr);
-        rawText = `Uploaded invoice file: ${req.file.originalname}. Extract key invoice details.`;
-      }
-    } else if (mimetype.includes("pdf")) {
-      try {
-        if (typeof pdfParse !== "function") {
-          throw new Error("pdf-parse not available as a function");
-        }
-        const fileBuffer = await fs.promises.readFile(req.file.path);
-        const pdfData = await pdfParse(fileBuffer);
-        rawText = pdfData.text || "";
-        console.log("Raw text source: PDF via pdf-parse");
-      } catch (pdfErr) {
-        console.error("PDF parse failed:", pdfErr);
-        rawText = `Uploaded invoice file: ${req.file.originalname}. Extract key invoice details.`;
-        console.log("Falling back to generic prompt text for PDF.");
-      }
-    } else {
-      rawText = `Uploaded invoice file: ${req.file.originalname}. Extract key invoice details.`;
-      console.log("Raw text source: generic fallback for non-text/non-PDF");
-    }
-
-    console.log("Raw text snippet:", rawText.slice(0, 400));
-
-    const simpleExtract = (text) => {
-      if (!text) return {};
-      const lines = text.split(/\r?\n/);
-      const findValue = (label) => {
-        const line = lines.find((l) => l.toLowerCase().includes(label));
-        if (!line) return undefined;
-        const parts = line.split(/[:\-]/);
-        return parts.length > 1 ? parts.slice(1).join(":").trim() : undefined;
-      };
-      const parseDate = (value) => {
-        if (!value) return undefined;
-        const parsed = new Date(value);
-        return isNaN(parsed.getTime()) ? undefined : parsed.toISOString().slice(0, 10);
-      };
-      const parseAmount = (value) => {
-        if (!value) return undefined;
-        const cleaned = value.replace(/[^0-9.\-]+/g, "");
-        const num = parseFloat(cleaned);
-        return Number.isNaN(num) ? undefined : num;
-      };
-
-      return {
-        supplier: findValue("supplier"),
-        invoice_number: findValue("invoice number") || findValue("invoice no") || findValue("inv"),
-        issue_date: parseDate(findValue("issue date")),
-        due_date: parseDate(findValue("due date")),
-        amount: parseAmount(findValue("amount") || findValue("total") || findValue("balance")),
-      };
-    };
+// Falls back to the file extension when the upload arrived as application/octet-stream.
+const documentContentType = (document) =>
+  document.content_type && document.content_type !== "application/octet-stream"
+    ? document.content_type
+    : path.extname(document.original_name) || "application/octet-stream";
 
-    const simpleResult = simpleExtract(rawText);
+const sendDocument = async (res, document) => {
+  let stream;
+  try {
+    stream = await openDocument(document);
+  } catch (err) {
+    if (isMissingObjectError(err)) return res.status(404).json({ error: "Document file is missing from storage" });
+    throw err;
+  }
+  const asciiName = document.original_name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  res.type(documentContentType(document));
+  if (document.size) res.setHeader("Content-Length", document.size);
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.original_name)}`,
+  );
+  try {
+    await pipeline(stream, res);
+  } catch (err) {
+    console.error("Failed to stream document", { documentId: document.id, err });
+    res.destroy(err);
+  }
+};
 
-    let aiResult = null;
-    try {
-      aiResult = await extractInvoiceFromText(rawText);
-      console.log("AI extraction result:", aiResult);
-    } catch (err) {
-      console.error("AI extraction failed:", err);
-    }
+app.get("/api/invoices/:id/document", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const document = await findPrimaryDocument(req.user.organisation_id, id);
+    if (!document) return res.status(404).json({ error: "No document stored for this invoice" });
+    await sendDocument(res, document);
+  } catch (err) {
+    console.error("Failed to fetch invoice document", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const mergedInvoice = { ...fallbackInvoice };
+app.get("/api/invoices/:id/documents", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    res.json({ documents: await getDocumentsForInvoice(req.user.organisation_id, id) });
+  } catch (err) {
+    console.error("Failed to fetch invoice documents", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    if (simpleResult && typeof simpleResult === "object") {
-      mergedInvoice.supplier = simpleResult.supplier?.trim() || mergedInvoice.supplier;
-      mergedInvoice.invoice_number = simpleResult.invoice_number?.toString().trim() || mergedInvoice.invoice_number;
-      mergedInvoice.issue_date = simpleResult.issue_date || mergedInvoice.issue_date;
-      mergedInvoice.due_date = simpleResult.due_date || mergedInvoice.due_date;
-      if (typeof simpleResult.amount === "number" && !Number.isNaN(simpleResult.amount)) {
-        mergedInvoice.amount = simpleResult.amount;
-      }
+app.post("/api/invoices/:id/documents", requirePermission(PERMISSION.WRITE), upload.single("file"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const kind = String(req.body?.kind || DOCUMENT_KIND.OTHER).trim().toLowerCase();
+    if (!DOCUMENT_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${DOCUMENT_KINDS.join(", ")}` });
     }
+    const fileHash = await hashFile(req.file.path);
+    const document = await storeUpload(req.file, { kind, fileHash }, (stored) =>
+      insertDocument(req.user.organisation_id, id, stored),
+    );
+    res.status(201).json({ document });
+  } catch (err) {
+    console.error("Failed to attach document", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
 
-    if (aiResult && typeof aiResult === "object") {
-      mergedInvoice.supplier =
-        (typeof aiResult.supplier === "string" && aiResult.supplier.trim()) || mergedInvoice.supplier;
-      mergedInvoice.invoice_number =
-        (aiResult.invoice_number && aiResult.invoice_number.toString().trim()) || mergedInvoice.invoice_number;
-      mergedInvoice.issue_date = aiResult.issue_date || mergedInvoice.issue_date;
-      mergedInvoice.due_date = aiResult.due_date || mergedInvoice.due_date;
-      mergedInvoice.amount =
-        typeof aiResult.amount === "number" && !Number.isNaN(aiResult.amount) ? aiResult.amount : mergedInvoice.amount;
-      mergedInvoice.status =
-        (typeof aiResult.status === "string" && aiResult.status.trim()) || mergedInvoice.status;
-      mergedInvoice.category =
-        (typeof aiResult.category === "string" && aiResult.category.trim()) || mergedInvoice.category;
-      mergedInvoice.week_label = aiResult.due_date ? weekLabelFromDate(aiResult.due_date) : mergedInvoice.week_label;
-    } else {
-      console.error("AI extraction failed or returned null:", aiResult);
+app.get("/api/invoices/:id/documents/:documentId", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const document = await findDocument(req.user.organisation_id, Number(req.params.id), Number(req.params.documentId));
+    if (!document) return res.status(404).json({ error: "Document not found" });
+    await sendDocument(res, document);
+  } catch (err) {
+    console.error("Failed to fetch document", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/invoices/:id/documents/:documentId", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const document = await findDocument(req.user.organisation_id, Number(req.params.id), Number(req.params.documentId));
+    if (!document) return res.status(404).json({ error: "Document not found" });
+    await deleteDocument(req.user.organisation_id, document.id);
+    await removeStoredDocument(document);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to delete document", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/review-queue", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const invoices = await getReviewQueue(req.user.organisation_id);
+    const today = new Date();
+    res.json({ invoices: invoices.map((inv) => withDerivedStatus(inv, today)) });
+  } catch (err) {
+    console.error("Failed to fetch review queue", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/approvals/pending", requirePermission(PERMISSION.APPROVE), async (req, res) => {
+  try {
+    const invoices = await getPendingApprovals(req.user.organisation_id);
+    const today = new Date();
+    res.json({ invoices: invoices.map((inv) => withDerivedStatus(inv, today)) });
+  } catch (err) {
+    console.error("Failed to fetch pending approvals", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/invoices/:id/approvals", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const approvals = await getApprovalsForInvoice(req.user.organisation_id, id);
+    res.json({ invoice: withDerivedStatus(invoice), approvals });
+  } catch (err) {
+    console.error("Failed to fetch approvals", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// A rejection must say why; an approval comment is optional. Either decision can be revisited until
+// the invoice is paid.
+const decideApprovalRoute = (decision) => async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const comment = req.body?.comment;
+    if (comment !== undefined && comment !== null && typeof comment !== "string") {
+      return res.status(400).json({ error: "comment must be a string" });
+    }
+    if (decision === APPROVAL.REJECTED && !comment?.trim()) {
+      return res.status(400).json({ error: "comment is required when rejecting" });
     }
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    if (!invoice.approval_status) return res.status(409).json({ error: "Invoice does not need approval" });
+    if ([STATUS.PAID, STATUS.VOID].includes(invoice.status)) {
+      return res.status(409).json({ error: `Invoice is already ${invoice.status}` });
+    }
+    const result = await decideApproval(req.user.organisation_id, id, {
+      decision,
+      comment: comment?.trim() || null,
+      actor: actorFor(req),
+    });
+    res.json({ invoice: withDerivedStatus(result.invoice), approval: result.approval });
+  } catch (err) {
+    console.error(`Failed to record ${decision} decision`, err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-    try {
-      const inserted = await insertInvoice(mergedInvoice);
-      return res.json({
-        status: "ok",
-        message: "File uploaded",
-        file: {
-          originalName: req.file.originalname,
-          storedName: req.file.filename,
-          storedPath: req.file.path,
-          source: "Upload",
-        },
-        invoice: inserted,
-      });
-    } catch (err) {
-      console.error("Upload insert error:", err);
-      return res.status(500).json({ error: "Upload failed to save invoice" });
+app.post("/api/invoices/:id/approve", requirePermission(PERMISSION.APPROVE), decideApprovalRoute(APPROVAL.APPROVED));
+app.post("/api/invoices/:id/reject", requirePermission(PERMISSION.APPROVE), decideApprovalRoute(APPROVAL.REJECTED));
+
+app.post("/api/invoices/:id/confirm", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { updates, errors } = validateInvoiceUpdate(req.body ?? {}, { allowEmpty: true });
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    if (updates.supplier_id && !(await findSupplierById(req.user.organisation_id, updates.supplier_id))) {
+      return res.status(400).json({ error: "supplier_id does not match a known supplier" });
     }
+    const confirmed = await confirmInvoice(req.user.organisation_id, id, updates, actorFor(req));
+    if (!confirmed) return res.status(404).json({ error: "Invoice not found" });
+    res.json(withDerivedStatus(confirmed));
   } catch (err) {
-    console.error("Error in /api/upload-invoice:", err);
-    return res.status(500).json({ error: "Upload failed" });
+    if (
+      err instanceof InvalidStatusTransitionError ||
+      err instanceof CreditNoteError ||
+      err instanceof InvoiceBalanceError
+    ) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Failed to confirm invoice", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Cashflow backend listening on http://127.0.0.1:${PORT}`);
+app.patch("/api/invoices/:id", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { updates, errors } = validateInvoiceUpdate(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    if (updates.supplier_id && !(await findSupplierById(req.user.organisation_id, updates.supplier_id))) {
+      return res.status(400).json({ error: "supplier_id does not match a known supplier" });
+    }
+    const updated = await updateInvoice(req.user.organisation_id, id, updates, actorFor(req));
+    if (!updated) return res.status(404).json({ error: "Invoice not found" });
+    res.json(withDerivedStatus(updated));
+  } catch (err) {
+    if (
+      err instanceof InvalidStatusTransitionError ||
+      err instanceof CreditNoteError ||
+      err instanceof InvoiceBalanceError
+    ) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Failed to update invoice", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/invoices/:id/archive", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const updated = await archiveInvoice(req.user.organisation_id, id, actorFor(req));
+    if (!updated) return res.status(404).json({ error: "Invoice not found" });
+    res.json({ success: true, invoice: withDerivedStatus(updated) });
+  } catch (err) {
+    console.error("Failed to archive invoice", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/invoices/:id/history", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const events = await getInvoiceEvents(req.user.organisation_id, id);
+    res.json({ invoice: withDerivedStatus(invoice), events });
+  } catch (err) {
+    console.error("Failed to fetch invoice history", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Undoes one "updated" or "archived" event from the history; without `eventId` it unarchives.
+app.post("/api/invoices/:id/restore", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const eventId = req.body?.eventId;
+    if (eventId !== undefined && (!Number.isInteger(eventId) || eventId < 1)) {
+      return res.status(400).json({ error: "eventId must be a positive integer" });
+    }
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    if (eventId === undefined && !invoice.archived) return res.status(409).json({ error: "Invoice is not archived" });
+    const event = eventId
+      ? await findInvoiceEvent(req.user.organisation_id, id, eventId)
+      : await findLatestInvoiceEvent(req.user.organisation_id, id, EVENT_ACTION.ARCHIVED);
+    if (!event) return res.status(404).json({ error: "Event not found" });
+    if (!REVERSIBLE_ACTIONS.includes(event.action)) {
+      return res.status(400).json({ error: `Only ${REVERSIBLE_ACTIONS.join(" and ")} events can be restored` });
+    }
+    const restored = await restoreInvoiceEvent(req.user.organisation_id, id, event, actorFor(req));
+    res.json(withDerivedStatus(restored));
+  } catch (err) {
+    if (
+      err instanceof InvoiceRestoreConflictError ||
+      err instanceof InvalidStatusTransitionError ||
+      err instanceof InvoiceBalanceError
+    ) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Failed to restore invoice", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/invoices/:id/allocations", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const allocations = await getCreditAllocations(req.user.organisation_id, id);
+    res.json({ invoice: withDerivedStatus(invoice), allocations });
+  } catch (err) {
+    console.error("Failed to fetch credit allocations", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Applies credit from a credit note to an invoice from the same supplier; without `amount`, as much as both allow.
+app.post("/api/credit-notes/:id/allocations", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
+  try {
+    const { allocation, errors } = validateAllocationInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const result = await allocateCredit(req.user.organisation_id, Number(req.params.id), allocation, actorFor(req));
+    if (!result) return res.status(404).json({ error: "Credit note or invoice not found" });
+    res.status(201).json({
+      allocation: result.allocation,
+      creditNote: withDerivedStatus(result.creditNote),
+      invoice: withDerivedStatus(result.invoice),
+    });
+  } catch (err) {
+    if (err instanceof CreditNoteError || err instanceof InvalidStatusTransitionError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Failed to allocate credit", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/disputes", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !DISPUTE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DISPUTE_STATUSES.join(", ")}` });
+    }
+    res.json({ disputes: await getDisputes(req.user.organisation_id, { status }) });
+  } catch (err) {
+    console.error("Failed to fetch disputes", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/invoices/:id/disputes", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const invoice = await findInvoiceById(req.user.organisation_id, id);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    const disputes = await getDisputes(req.user.organisation_id, { invoiceId: id });
+    res.json({ invoice: withDerivedStatus(invoice), disputes });
+  } catch (err) {
+    console.error("Failed to fetch invoice disputes", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Opens a dispute with the supplier; the invoice is held as disputed until the dispute is closed.
+app.post("/api/invoices/:id/disputes", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const { dispute, errors } = validateDisputeInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const opened = await openDispute(req.user.organisation_id, Number(req.params.id), dispute, actorFor(req));
+    if (!opened) return res.status(404).json({ error: "Invoice not found" });
+    res.status(201).json(opened);
+  } catch (err) {
+    if (err instanceof DisputeError || err instanceof InvalidStatusTransitionError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Failed to open dispute", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Edits a dispute's reason or notes, or closes it with status "resolved" or "withdrawn".
+app.patch("/api/disputes/:id", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const { dispute, errors } = validateDisputeInput(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const updated = await updateDispute(req.user.organisation_id, Number(req.params.id), dispute, actorFor(req));
+    if (!updated) return res.status(404).json({ error: "Dispute not found" });
+    res.json(updated);
+  } catch (err) {
+    if (err instanceof DisputeError || err instanceof InvalidStatusTransitionError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Failed to update dispute", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/suppliers", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const suppliers = await getSuppliers(req.user.organisation_id);
+    res.json({ suppliers });
+  } catch (err) {
+    console.error("Failed to fetch suppliers", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/suppliers/:id", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const supplier = await findSupplierById(req.user.organisation_id, Number(req.params.id));
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+    res.json(supplier);
+  } catch (err) {
+    console.error("Failed to fetch supplier", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/suppliers", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const { supplier, errors } = validateSupplierInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const inserted = await insertSupplier(req.user.organisation_id, supplier, actorFor(req));
+    res.status(201).json(inserted);
+  } catch (err) {
+    if (isUniqueConstraintError(err)) {
+      return res.status(409).json({ error: "A supplier with this name already exists" });
+    }
+    console.error("Failed to create supplier", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.patch("/api/suppliers/:id", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const { supplier, errors } = validateSupplierInput(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const updated = await updateSupplier(req.user.organisation_id, Number(req.params.id), supplier, actorFor(req));
+    if (!updated) return res.status(404).json({ error: "Supplier not found" });
+    res.json(updated);
+  } catch (err) {
+    if (isUniqueConstraintError(err)) {
+      return res.status(409).json({ error: "A supplier with this name already exists" });
+    }
+    console.error("Failed to update supplier", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/suppliers/:id", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const result = await deleteSupplier(req.user.organisation_id, Number(req.params.id));
+    if (!result) return res.status(404).json({ error: "Supplier not found" });
+    if (!result.deleted) {
+      return res.status(409).json({ error: `Supplier is linked to ${result.invoiceCount} invoice(s)` });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to delete supplier", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Links a recurring bill to a known supplier: supplier_id must exist, and a bare supplier name is
+// matched against the supplier list. Returns an error message or null.
+const resolveBillSupplier = async (organisationId, bill) => {
+  if (bill.supplier_id) {
+    const supplier = await findSupplierById(organisationId, bill.supplier_id);
+    if (!supplier) return "supplier_id does not match a known supplier";
+    bill.supplier = bill.supplier || supplier.name;
+  } else if (bill.supplier && bill.supplier_id === undefined) {
+    const known = matchSupplier(bill.supplier, await getSuppliers(organisationId));
+    bill.supplier_id = known ? known.id : null;
+    if (known) bill.supplier = known.name;
+  }
+  return null;
+};
+
+app.get("/api/recurring-bills", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    res.json({ recurringBills: await getRecurringBills(req.user.organisation_id) });
+  } catch (err) {
+    console.error("Failed to fetch recurring bills", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Expected bills between `from` and `to` (default: the last 90 and next 30 days), optionally one `status`.
+app.get("/api/recurring-bills/expected", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const today = toISODate(new Date());
+    const from = req.query.from ?? addDays(today, -90);
+    const to = req.query.to ?? addDays(today, 30);
+    const errors = [];
+    if (!isIsoDate(from)) errors.push("from must be a date in YYYY-MM-DD format");
+    if (!isIsoDate(to)) errors.push("to must be a date in YYYY-MM-DD format");
+    const status = req.query.status;
+    const statuses = Object.values(OCCURRENCE_STATUS);
+    if (status !== undefined && !statuses.includes(status)) errors.push(`status must be one of: ${statuses.join(", ")}`);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+
+    const [bills, matches] = await Promise.all([
+      getRecurringBills(req.user.organisation_id),
+      getRecurringMatches(req.user.organisation_id),
+    ]);
+    const expected = buildExpectedBills(bills, matches, { from, until: to });
+    res.json({ expectedBills: status ? expected.filter((bill) => bill.status === status) : expected });
+  } catch (err) {
+    console.error("Failed to fetch expected bills", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/recurring-bills/:id", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const bill = await findRecurringBillById(req.user.organisation_id, Number(req.params.id));
+    if (!bill) return res.status(404).json({ error: "Recurring bill not found" });
+    res.json(bill);
+  } catch (err) {
+    console.error("Failed to fetch recurring bill", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/recurring-bills", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const { bill, errors } = validateRecurringBillInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const supplierError = await resolveBillSupplier(req.user.organisation_id, bill);
+    if (supplierError) return res.status(400).json({ error: supplierError });
+    res.status(201).json(await insertRecurringBill(req.user.organisation_id, bill));
+  } catch (err) {
+    console.error("Failed to create recurring bill", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.patch("/api/recurring-bills/:id", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { bill, errors } = validateRecurringBillInput(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const existing = await findRecurringBillById(req.user.organisation_id, id);
+    if (!existing) return res.status(404).json({ error: "Recurring bill not found" });
+    const endDate = bill.end_date === undefined ? existing.end_date : bill.end_date;
+    if (endDate && endDate < (bill.start_date || existing.start_date)) {
+      return res.status(400).json({ error: "end_date must not be before start_date" });
+    }
+    const supplierError = await resolveBillSupplier(req.user.organisation_id, bill);
+    if (supplierError) return res.status(400).json({ error: supplierError });
+    res.json(await updateRecurringBill(req.user.organisation_id, id, bill));
+  } catch (err) {
+    console.error("Failed to update recurring bill", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/recurring-bills/:id", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    const result = await deleteRecurringBill(req.user.organisation_id, Number(req.params.id));
+    if (!result) return res.status(404).json({ error: "Recurring bill not found" });
+    if (!result.deleted) {
+      return res.status(409).json({
+        error: `Recurring bill is matched to ${result.invoiceCount} invoice(s); set active to false instead`,
+      });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to delete recurring bill", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Ingestion files everything under one organisation; the others see it as switched off.
+const emailIngestionFor = (req) => {
+  const status = getEmailIngestionStatus();
+  return status.organisationId === req.user.organisation_id ? status : { enabled: false, sources: [], lastPoll: null };
+};
+
+app.get("/api/email-ingestion", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { organisationId, ...status } = emailIngestionFor(req);
+    res.json({ ...status, messages: await countEmailMessages(req.user.organisation_id) });
+  } catch (err) {
+    console.error("Failed to fetch email ingestion status", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/email-ingestion/messages", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !EMAIL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EMAIL_STATUSES.join(", ")}` });
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 500" });
+    }
+    res.json({ messages: await getEmailMessages(req.user.organisation_id, { status, limit }) });
+  } catch (err) {
+    console.error("Failed to fetch email messages", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Checks the mailbox now instead of waiting for the next scheduled poll.
+app.post("/api/email-ingestion/poll", requirePermission(PERMISSION.WRITE), async (req, res) => {
+  try {
+    if (!emailIngestionFor(req).enabled) {
+      return res.status(409).json({ error: "Email ingestion is not set up for this organisation" });
+    }
+    res.json(await pollEmailNow());
+  } catch (err) {
+    console.error("Email poll failed", err);
+    res.status(500).json({ error: "Email poll failed" });
+  }
+});
+
+app.get("/api/webhooks", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    res.json({ webhooks: await getWebhooks(req.user.organisation_id) });
+  } catch (err) {
+    console.error("Failed to fetch webhooks", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// The signing secret is generated here and only ever returned in this response.
+app.post("/api/webhooks", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    const { webhook, errors } = validateWebhookInput(req.body);
+    const targetProblem = webhook.url && (await webhookTargetProblem(webhook.url));
+    if (targetProblem) errors.push(targetProblem);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const secret = newWebhookSecret();
+    const inserted = await insertWebhook(req.user.organisation_id, { events: WEBHOOK_EVENTS, ...webhook, secret });
+    res.status(201).json({ ...inserted, secret });
+  } catch (err) {
+    console.error("Failed to create webhook", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.patch("/api/webhooks/:id", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    const { webhook, errors } = validateWebhookInput(req.body, { partial: true });
+    const targetProblem = webhook.url && (await webhookTargetProblem(webhook.url));
+    if (targetProblem) errors.push(targetProblem);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const updated = await updateWebhook(req.user.organisation_id, Number(req.params.id), webhook);
+    if (!updated) return res.status(404).json({ error: "Webhook not found" });
+    res.json(updated);
+  } catch (err) {
+    console.error("Failed to update webhook", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/webhooks/:id", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.user.organisation_id, Number(req.params.id)))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Failed to delete webhook", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/webhooks/:id/deliveries", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` });
+    }
+    const webhook = await findWebhookById(req.user.organisation_id, Number(req.params.id));
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ deliveries: await getWebhookDeliveries(req.user.organisation_id, webhook.id, { status }) });
+  } catch (err) {
+    console.error("Failed to fetch webhook deliveries", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Sends a failed delivery again on the next scheduler run.
+app.post("/api/webhook-deliveries/:id/retry", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    const delivery = await findWebhookDeliveryById(req.user.organisation_id, Number(req.params.id));
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    if (delivery.status === DELIVERY_STATUS.DELIVERED) return res.status(409).json({ error: "Delivery already succeeded" });
+    res.json(await retryWebhookDelivery(req.user.organisation_id, delivery.id));
+  } catch (err) {
+    console.error("Failed to retry webhook delivery", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// The digest goes to one organisation; the others see it as switched off.
+app.get("/api/notifications", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), (req, res) => {
+  const { intervalSeconds, digestEnabled, lastRun } = getSchedulerStatus();
+  const digest = digestConfig();
+  const enabled = digestEnabled && digest.organisationId === req.user.organisation_id;
+  res.json({
+    scheduler: { intervalSeconds, lastRun },
+    digest: enabled ? { enabled, to: digest.to, hourUtc: digest.hour } : { enabled: false },
+  });
+});
+
+// Sends today's digest now, e.g. to check the SMTP settings. Does not stop the scheduled one.
+app.post("/api/notifications/digest", requirePermission(PERMISSION.MANAGE_NOTIFICATIONS), async (req, res) => {
+  try {
+    const digest = digestConfig();
+    if (!isDigestEnabled(digest) || digest.organisationId !== req.user.organisation_id) {
+      return res.status(409).json({ error: "The email digest is not set up for this organisation" });
+    }
+    res.json(await sendDailyDigest(digest));
+  } catch (err) {
+    console.error("Failed to send digest", err);
+    res.status(502).json({ error: `Failed to send digest: ${err.message}` });
+  }
+});
+
+const parseStatementOptions = (req) => {
+  const option = (key) => req.body?.[key] ?? req.query[key];
+  const errors = [];
+  const format = option("format") ? String(option("format")).trim().toLowerCase() : undefined;
+  if (format && !STATEMENT_FORMATS.includes(format)) errors.push(`format must be one of: ${STATEMENT_FORMATS.join(", ")}`);
+  const dateFormat = option("dateFormat") ? String(option("dateFormat")).trim().toUpperCase() : undefined;
+  if (dateFormat && !DATE_FORMATS.includes(dateFormat)) errors.push(`dateFormat must be one of: ${DATE_FORMATS.join(", ")}`);
+  return { options: { format, dateFormat }, errors };
+};
+
+// Adds the best invoice match to each outgoing transaction, never suggesting an invoice twice.
+const withInvoiceSuggestions = (transactions, invoices, { suppliers, taken, today }) =>
+  transactions.map((transaction) => {
+    const best = rankInvoiceMatches(transaction, invoices, { suppliers, today }).find(
+      (candidate) => !taken.has(candidate.invoice.id),
+    );
+    if (!best) return { ...transaction, status: TRANSACTION_STATUS.UNMATCHED };
+    taken.add(best.invoice.id);
+    return {
+      ...transaction,
+      status: TRANSACTION_STATUS.SUGGESTED,
+      suggested_invoice_id: best.invoice.id,
+      match_score: best.score,
+      match_reasons: best.reasons,
+    };
+  });
+
+app.get("/api/bank-statements", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    res.json({ statements: await getBankStatements(req.user.organisation_id) });
+  } catch (err) {
+    console.error("Failed to fetch bank statements", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/bank-statements", requirePermission(PERMISSION.RECORD_PAYMENTS), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const { options, errors } = parseStatementOptions(req);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+
+    const text = await fs.promises.readFile(req.file.path, "utf8");
+    const parsed = readStatement(text, req.file, options);
+    const organisationId = req.user.organisation_id;
+    const [invoices, suppliers, suggestedIds] = await Promise.all([
+      getInvoices(organisationId),
+      getSuppliers(organisationId),
+      getSuggestedInvoiceIds(organisationId),
+    ]);
+    const transactions = withInvoiceSuggestions(parsed.transactions, invoices, {
+      suppliers,
+      taken: new Set(suggestedIds),
+      today: new Date(),
+    });
+    const { statement, transactions: stored } = await insertBankStatement(
+      organisationId,
+      { ...parsed, original_name: req.file.originalname },
+      transactions,
+      { uploadedBy: req.user.id },
+    );
+    res.status(201).json({
+      statement,
+      summary: {
+        transactions: parsed.transactions.length,
+        new: stored.length,
+        alreadyImported: parsed.transactions.length - stored.length,
+        suggested: stored.filter((transaction) => transaction.status === TRANSACTION_STATUS.SUGGESTED).length,
+      },
+      transactions: stored,
+    });
+  } catch (err) {
+    if (err instanceof BankStatementError) return res.status(400).json({ error: err.message });
+    console.error("Bank statement upload failed", err);
+    res.status(500).json({ error: "Bank statement upload failed; nothing was stored" });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
+
+app.get("/api/bank-transactions", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !TRANSACTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TRANSACTION_STATUSES.join(", ")}` });
+    }
+    const statementId = req.query.statementId === undefined ? undefined : Number(req.query.statementId);
+    if (statementId !== undefined && !Number.isInteger(statementId)) {
+      return res.status(400).json({ error: "statementId must be an integer" });
+    }
+    res.json({ transactions: await getBankTransactions(req.user.organisation_id, { status, statementId }) });
+  } catch (err) {
+    console.error("Failed to fetch bank transactions", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Every open invoice the transaction could be paying, for picking a different one than the suggestion.
+app.get("/api/bank-transactions/:id/candidates", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const organisationId = req.user.organisation_id;
+    const transaction = await findBankTransactionById(organisationId, Number(req.params.id));
+    if (!transaction) return res.status(404).json({ error: "Bank transaction not found" });
+    const today = new Date();
+    const [invoices, suppliers] = await Promise.all([getInvoices(organisationId), getSuppliers(organisationId)]);
+    const candidates = rankInvoiceMatches(transaction, invoices, { suppliers, today }).map((candidate) => ({
+      ...candidate,
+      invoice: withDerivedStatus(candidate.invoice, today),
+    }));
+    res.json({ transaction, candidates });
+  } catch (err) {
+    console.error("Failed to rank bank transaction matches", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Confirms a match: records the payment against the suggested invoice, or `invoiceId` when given.
+app.post("/api/bank-transactions/:id/confirm", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
+  try {
+    const organisationId = req.user.organisation_id;
+    const id = Number(req.params.id);
+    const transaction = await findBankTransactionById(organisationId, id);
+    if (!transaction) return res.status(404).json({ error: "Bank transaction not found" });
+    if (transaction.status === TRANSACTION_STATUS.RECONCILED) {
+      return res.status(409).json({ error: `Bank transaction is already reconciled with invoice ${transaction.invoice_id}` });
+    }
+    if (!(transaction.amount < 0)) return res.status(409).json({ error: "Only money paid out can settle an invoice" });
+
+    const invoiceId = req.body?.invoiceId ?? transaction.suggested_invoice_id;
+    if (invoiceId === null || invoiceId === undefined) {
+      return res.status(400).json({ error: "invoiceId is required; this transaction has no suggested invoice" });
+    }
+    if (!Number.isInteger(invoiceId)) return res.status(400).json({ error: "invoiceId must be an integer" });
+    const invoice = await findInvoiceById(organisationId, invoiceId);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    if ((invoice.currency || DEFAULT_CURRENCY) !== transaction.currency) {
+      return res.status(409).json({ error: `Invoice is in ${invoice.currency}; the transaction is in ${transaction.currency}` });
+    }
+
+    const { payment, errors } = validatePayment(
+      {
+        amount: Math.abs(transaction.amount),
+        paid_on: transaction.booked_on,
+        method: "bank",
+        reference: transaction.reference || transaction.description || `Bank transaction ${transaction.id}`,
+      },
+      invoice,
+    );
+    if (errors.length) return res.status(409).json({ error: errors.join("; ") });
+    const result = await reconcileBankTransaction(organisationId, id, invoiceId, payment, actorFor(req));
+    res.status(201).json({
+      transaction: result.transaction,
+      invoice: withDerivedStatus(result.invoice),
+      payment: result.payment,
+    });
+  } catch (err) {
+    if (
+      err instanceof InvalidStatusTransitionError ||
+      err instanceof CreditNoteError ||
+      err instanceof BankReconciliationError ||
+      err instanceof InvoiceBalanceError
+    ) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err instanceof ApprovalRequiredError) {
+      return res.status(409).json({ error: err.message, approval_status: err.approvalStatus });
+    }
+    console.error("Failed to confirm bank transaction", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/bank-transactions/:id/ignore", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
+  try {
+    const organisationId = req.user.organisation_id;
+    const id = Number(req.params.id);
+    const transaction = await findBankTransactionById(organisationId, id);
+    if (!transaction) return res.status(404).json({ error: "Bank transaction not found" });
+    if (transaction.status === TRANSACTION_STATUS.RECONCILED) {
+      return res.status(409).json({ error: "A reconciled transaction cannot be ignored" });
+    }
+    res.json(await ignoreBankTransaction(organisationId, id));
+  } catch (err) {
+    console.error("Failed to ignore bank transaction", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Compact view of an invoice the planner skipped or excluded, with the planner's notes on it.
+const runCandidate = ({ invoice, ...notes }) => ({
+  invoice_id: invoice.id,
+  supplier: invoice.supplier,
+  invoice_number: invoice.invoice_number,
+  due_date: invoice.due_date,
+  balance: invoice.balance,
+  ...notes,
+});
+
+app.get("/api/payment-runs", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !PAYMENT_RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${PAYMENT_RUN_STATUSES.join(", ")}` });
+    }
+    res.json({ paymentRuns: await getPaymentRuns(req.user.organisation_id, { status }) });
+  } catch (err) {
+    console.error("Failed to fetch payment runs", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Ranks open invoices and saves the batch that fits `availableCash` as a proposed run; see "Payment runs".
+app.post("/api/payment-runs/propose", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
+  try {
+    const organisationId = req.user.organisation_id;
+    const { proposal, errors } = validateProposalInput(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const [invoices, suppliers] = await Promise.all([getInvoices(organisationId), getSuppliers(organisationId)]);
+    const plan = planPaymentRun(invoices, suppliers, proposal);
+    const paymentRun = await insertPaymentRun(
+      organisationId,
+      {
+        pay_date: proposal.payDate,
+        currency: proposal.currency,
+        available_cash: proposal.availableCash,
+        total: plan.total,
+        items: plan.items,
+      },
+      actorFor(req),
+    );
+    res.status(201).json({
+      paymentRun,
+      remaining: plan.remaining,
+      skipped: plan.skipped.map(runCandidate),
+      excluded: plan.excluded.map(runCandidate),
+    });
+  } catch (err) {
+    console.error("Failed to propose payment run", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/payment-runs/:id", requirePermission(PERMISSION.READ), async (req, res) => {
+  try {
+    const paymentRun = await findPaymentRunById(req.user.organisation_id, Number(req.params.id));
+    if (!paymentRun) return res.status(404).json({ error: "Payment run not found" });
+    res.json(paymentRun);
+  } catch (err) {
+    console.error("Failed to fetch payment run", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Records the run's payments; afterwards its BACS file can be downloaded.
+app.post("/api/payment-runs/:id/approve", requirePermission(PERMISSION.APPROVE), async (req, res) => {
+  try {
+    const paymentRun = await approvePaymentRun(req.user.organisation_id, Number(req.params.id), actorFor(req));
+    if (!paymentRun) return res.status(404).json({ error: "Payment run not found" });
+    res.json(paymentRun);
+  } catch (err) {
+    if (err instanceof PaymentRunError || err instanceof InvalidStatusTransitionError || err instanceof CreditNoteError) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err instanceof ApprovalRequiredError) {
+      return res.status(409).json({ error: err.message, approval_status: err.approvalStatus });
+    }
+    console.error("Failed to approve payment run", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/payment-runs/:id/cancel", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
+  try {
+    const paymentRun = await cancelPaymentRun(req.user.organisation_id, Number(req.params.id));
+    if (!paymentRun) return res.status(404).json({ error: "Payment run not found" });
+    res.json(paymentRun);
+  } catch (err) {
+    if (err instanceof PaymentRunError) return res.status(409).json({ error: err.message });
+    console.error("Failed to cancel payment run", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/payment-runs/:id/bacs.csv", requirePermission(PERMISSION.RECORD_PAYMENTS), async (req, res) => {
+  try {
+    const paymentRun = await findPaymentRunById(req.user.organisation_id, Number(req.params.id));
+    if (!paymentRun) return res.status(404).json({ error: "Payment run not found" });
+    if (paymentRun.status !== PAYMENT_RUN_STATUS.APPROVED) {
+      return res.status(409).json({ error: "Only approved payment runs have a payment file" });
+    }
+    if (paymentRun.currency !== BACS_CURRENCY) {
+      return res.status(409).json({ error: `BACS only pays ${BACS_CURRENCY}; this run is in ${paymentRun.currency}` });
+    }
+    const missing = paymentRun.items.filter((item) => !item.sort_code || !item.account_number);
+    if (missing.length) {
+      return res.status(409).json({
+        error: `No approved sort code and account number for: ${missing.map((item) => item.supplier).join(", ")}`,
+      });
+    }
+    sendReport(res, { format: "csv", baseName: `payment-run-${paymentRun.id}-bacs`, body: buildBacsCsv(paymentRun.items) });
+  } catch (err) {
+    console.error("Failed to build BACS file", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Import options arrive as multipart form fields or query parameters; `mapping` is a JSON object of
+// field -> column header.
+const parseImportOptions = (req) => {
+  const option = (key) => req.body?.[key] ?? req.query[key];
+  const errors = [];
+  const layout = String(option("format") || "auto").trim().toLowerCase();
+  if (layout !== "auto" && !LAYOUTS[layout]) {
+    errors.push(`format must be one of: auto, ${Object.keys(LAYOUTS).join(", ")}`);
+  }
+  const dateFormat = option("dateFormat") ? String(option("dateFormat")).trim().toUpperCase() : undefined;
+  if (dateFormat && !DATE_FORMATS.includes(dateFormat)) errors.push(`dateFormat must be one of: ${DATE_FORMATS.join(", ")}`);
+  const onDuplicate = String(option("onDuplicate") || "error").trim().toLowerCase();
+  if (!DUPLICATE_MODES.includes(onDuplicate)) errors.push(`onDuplicate must be one of: ${DUPLICATE_MODES.join(", ")}`);
+
+  let mapping = option("mapping") || {};
+  if (typeof mapping === "string") {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (_err) {
+      errors.push("mapping must be a JSON object of field to column header");
+      mapping = {};
+    }
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    errors.push("mapping must be a JSON object of field to column header");
+    mapping = {};
+  }
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!MAPPABLE_FIELDS.includes(field)) errors.push(`mapping.${field} is not an importable field`);
+    else if (typeof header !== "string" || !header.trim()) errors.push(`mapping.${field} must be a column header`);
+  });
+
+  const dryRun = String(option("dryRun") || "").toLowerCase() === "true";
+  return { options: { layout, dateFormat, onDuplicate, mapping }, dryRun, errors };
+};
+
+const summarizeImport = (preview, importable) => ({
+  invoices: preview.items.length,
+  valid: preview.items.filter((item) => !item.errors.length).length,
+  invalid: preview.items.filter((item) => item.errors.length).length,
+  duplicates: preview.items.filter((item) => item.duplicate).length,
+  skipped: preview.skipped,
+  toImport: importable.length,
+});
+
+app.post("/api/import", requirePermission(PERMISSION.WRITE), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const { options, dryRun, errors } = parseImportOptions(req);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+
+    const text = await fs.promises.readFile(req.file.path, "utf8");
+    const parsed = readImportFile(text, req.file);
+    const preview = buildImportPreview(parsed, {
+      ...options,
+      existingInvoices: await getDuplicateCandidates(req.user.organisation_id),
+      suppliers: await getSuppliers(req.user.organisation_id),
+    });
+    const importable = preview.items.filter(
+      (item) => !item.errors.length && !(item.duplicate && options.onDuplicate === "skip"),
+    );
+    const report = {
+      dryRun,
+      fileType: parsed.format,
+      format: preview.layout,
+      dateFormat: preview.dateFormat,
+      columns: preview.columns,
+      errors: preview.errors,
+      summary: summarizeImport(preview, importable),
+      invoices: preview.items,
+    };
+
+    if (dryRun) return res.json(report);
+    if (preview.errors.length || report.summary.invalid) {
+      return res.status(422).json({ error: "Import has errors; nothing was imported", ...report });
+    }
+    if (!importable.length) return res.status(422).json({ error: "No invoices to import", ...report });
+
+    const [bills, matches] = await Promise.all([
+      getRecurringBills(req.user.organisation_id),
+      getRecurringMatches(req.user.organisation_id),
+    ]);
+    const inserted = await importInvoices(
+      req.user.organisation_id,
+      importable.map((item) => {
+        const invoice = { ...item.invoice, ...recurringBillLink(item.invoice, bills, matches) };
+        if (invoice.recurring_bill_id) matches.push(invoice);
+        return { ...invoice, lines: item.lines, source: "Import", week_label: weekLabelFromDate(invoice.due_date) };
+      }),
+      { reference: `Imported from ${req.file.originalname}`, actor: actorFor(req, EVENT_SOURCE.IMPORT) },
+    );
+    const today = new Date();
+    res.status(201).json({
+      imported: inserted.length,
+      summary: report.summary,
+      invoices: inserted.map((invoice) => withDerivedStatus(invoice, today)),
+    });
+  } catch (err) {
+    if (err instanceof ImportFileError) return res.status(400).json({ error: err.message });
+    console.error("Import failed", err);
+    res.status(500).json({ error: "Import failed; nothing was imported" });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
+
+const respondWithDuplicate = async (req, res, duplicate) => {
+  console.warn("Duplicate upload rejected:", { file: req.file.originalname, invoiceId: duplicate.invoice.id, reason: duplicate.reason });
+  return res.status(409).json({
+    error: "Possible duplicate invoice",
+    reason: duplicate.reason,
+    invoice: withDerivedStatus(duplicate.invoice),
+  });
+};
+
+app.post("/api/upload-invoice", requirePermission(PERMISSION.WRITE), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      console.warn("Upload attempted with no file");
+      return res.status(400).json({ error: "No file uploaded" });
+    }
+    if (/\.(csv|json)$/i.test(req.file.originalname)) {
+      return res.status(400).json({ error: "CSV and JSON exports hold many invoices; use POST /api/import instead" });
+    }
+
+    console.log("Upload received:", {
+      originalname: req.file.originalname,
+      mimetype: req.file.mimetype,
+      path: req.file.path,
+      size: req.file.size,
+    });
+
+    const force = String(req.query.force ?? req.body?.force ?? "").toLowerCase() === "true";
+    const result = await ingestInvoiceFile(req.user.organisation_id, req.file, {
+      force,
+      actor: actorFor(req, EVENT_SOURCE.UPLOAD),
+    });
+    if (result.duplicate) return respondWithDuplicate(req, res, result.duplicate);
+
+    const inserted = result.invoice;
+    const [document] = await getDocumentsForInvoice(req.user.organisation_id, inserted.id);
+    return res.json({
+      status: "ok",
+      message: "File uploaded",
+      file: {
+        originalName: req.file.originalname,
+        source: "Upload",
+      },
+      document,
+      invoice: withDerivedStatus(inserted),
+      lines: await getInvoiceLines(req.user.organisation_id, inserted.id),
+    });
+  } catch (err) {
+    console.error("Error in /api/upload-invoice:", err);
+    return res.status(500).json({ error: "Upload failed" });
+  } finally {
+    await removeTempUpload(req.file);
+  }
+});
+
+const start = async () => {
+  const { pending } = await getMigrationStatus();
+  if (pending.length) {
+    console.error(
+      `Database schema is behind (${pending.map((migration) => migration.name).join(", ")} pending). Run "npm run migrate" first.`,
+    );
+    process.exit(1);
+  }
+  getStorage();
+  await deleteExpiredSessions();
+  await sweepStaleUploads();
+  await seedIfEmpty();
+  app.listen(PORT, () => {
+    console.log(`Cashflow backend listening on http://127.0.0.1:${PORT}`);
+  });
+  await startEmailIngestion();
+  startScheduler();
+};
+
+start().catch((err) => {
+  console.error("Failed to start server", err);
+  process.exit(1);
 });
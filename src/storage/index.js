@@ -0,0 +1,48 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const path = require("path");
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+const defaultLocalDir = path.join(__dirname, "..", "..", "uploads");
+
+/**
+ * STORAGE_BACKEND picks where original documents live: "local" (default, STORAGE_LOCAL_DIR) or "s3"
+ * (S3_BUCKET plus optional S3_ENDPOINT for S3-compatible servers). Every backend exposes
+ * put(key, sourcePath, { contentType }), get(key) -> readable stream, and remove(key).
+ */
+const createStorage = () => {
+  const name = (process.env.STORAGE_BACKEND || "local").trim().toLowerCase();
+  switch (name) {
+    case "local":
+      return createLocalStorage({ rootDir: process.env.STORAGE_LOCAL_DIR || defaultLocalDir });
+    case "s3":
+      if (!process.env.S3_BUCKET) throw new Error("STORAGE_BACKEND=s3 requires S3_BUCKET");
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || "",
+        forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || "").toLowerCase() === "true",
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${name}"; use "local" or "s3"`);
+  }
+};
+
+let storage;
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+// Keys do not depend on the invoice id, so a file can be stored before its invoice row exists.
+const documentKey = (originalName) =>
+  `documents/${crypto.randomUUID()}-${path.basename(originalName || "document").replace(/[^\w.\-]+/g, "_")}`;
+
+module.exports = {
+  getStorage,
+  documentKey,
+};
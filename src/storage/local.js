@@ -0,0 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stores objects as files under `rootDir`, using the key as a relative path.
+const createLocalStorage = ({ rootDir }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Storage key escapes the storage directory: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    put: async (key, sourcePath) => {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(sourcePath, target);
+    },
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+};
@@ -0,0 +1,40 @@
+const fs = require("fs");
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+// Works for AWS S3 and S3-compatible servers (MinIO, R2, Backblaze B2) via `endpoint`.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = "", forcePathStyle }) => {
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: "s3",
+    put: async (key, sourcePath, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(sourcePath),
+          ContentLength: size,
+          ContentType: contentType || undefined,
+        }),
+      );
+    },
+    get: async (key) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return response.Body;
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+  };
+};
+
+module.exports = {
+  createS3Storage,
+};
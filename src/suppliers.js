@@ -0,0 +1,131 @@
+const { normalizeSupplier } = require("./duplicates");
+
+const BANK_DETAIL_KEYS = ["account_name", "sort_code", "account_number", "iban", "bic"];
+
+// How urgently a supplier's bills should be paid when a payment run cannot cover everything.
+const SUPPLIER_PRIORITY = {
+  HIGH: "high",
+  NORMAL: "normal",
+  LOW: "low",
+};
+
+const SUPPLIER_PRIORITIES = Object.values(SUPPLIER_PRIORITY);
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "aliases",
+  "default_category",
+  "vat_number",
+  "payment_terms_days",
+  "bank_details",
+  "payment_priority",
+  "early_payment_discount_percent",
+  "early_payment_discount_days",
+];
+
+// Finds the supplier whose canonical name or one of its aliases matches `name` once normalised.
+const matchSupplier = (name, suppliers) => {
+  const target = normalizeSupplier(name);
+  if (!target) return null;
+  return (
+    suppliers.find((supplier) =>
+      [supplier.name, ...(supplier.aliases || [])].some((candidate) => normalizeSupplier(candidate) === target),
+    ) || null
+  );
+};
+
+// Validates a supplier create/update body. With `partial` only the provided fields are checked.
+const validateSupplierInput = (body, { partial = false } = {}) => {
+  const supplier = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { supplier, errors: ["Request body must be a JSON object"] };
+  }
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+
+  if (has("name") || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      errors.push("name must be a non-empty string");
+    } else {
+      supplier.name = body.name.trim();
+    }
+  }
+  if (has("aliases")) {
+    if (!Array.isArray(body.aliases) || body.aliases.some((alias) => typeof alias !== "string")) {
+      errors.push("aliases must be an array of strings");
+    } else {
+      supplier.aliases = [...new Set(body.aliases.map((alias) => alias.trim()).filter(Boolean))];
+    }
+  }
+  ["default_category", "vat_number"].forEach((key) => {
+    if (!has(key)) return;
+    if (body[key] !== null && typeof body[key] !== "string") {
+      errors.push(`${key} must be a string or null`);
+    } else {
+      supplier[key] = body[key] === null ? null : body[key].trim() || null;
+    }
+  });
+  if (has("payment_terms_days")) {
+    const terms = body.payment_terms_days;
+    if (terms !== null && (!Number.isInteger(terms) || terms < 0 || terms > 365)) {
+      errors.push("payment_terms_days must be an integer between 0 and 365, or null");
+    } else {
+      supplier.payment_terms_days = terms;
+    }
+  }
+  if (has("payment_priority")) {
+    if (!SUPPLIER_PRIORITIES.includes(body.payment_priority)) {
+      errors.push(`payment_priority must be one of: ${SUPPLIER_PRIORITIES.join(", ")}`);
+    } else {
+      supplier.payment_priority = body.payment_priority;
+    }
+  }
+  // Terms like "2/10 net 30": early_payment_discount_percent off when paid within
+  // early_payment_discount_days of the issue date. Payment runs only use them when both are set.
+  if (has("early_payment_discount_percent")) {
+    const percent = body.early_payment_discount_percent;
+    if (percent !== null && (typeof percent !== "number" || !(percent > 0) || percent >= 100)) {
+      errors.push("early_payment_discount_percent must be a number above 0 and below 100, or null");
+    } else {
+      supplier.early_payment_discount_percent = percent;
+    }
+  }
+  if (has("early_payment_discount_days")) {
+    const days = body.early_payment_discount_days;
+    if (days !== null && (!Number.isInteger(days) || days < 0 || days > 365)) {
+      errors.push("early_payment_discount_days must be an integer between 0 and 365, or null");
+    } else {
+      supplier.early_payment_discount_days = days;
+    }
+  }
+  if (has("bank_details")) {
+    const details = body.bank_details;
+    if (details !== null && (typeof details !== "object" || Array.isArray(details))) {
+      errors.push("bank_details must be an object or null");
+    } else if (details) {
+      const unknown = Object.keys(details).filter((key) => !BANK_DETAIL_KEYS.includes(key));
+      if (unknown.length) {
+        errors.push(`bank_details only accepts: ${BANK_DETAIL_KEYS.join(", ")}`);
+      } else {
+        supplier.bank_details = details;
+      }
+    } else {
+      supplier.bank_details = null;
+    }
+  }
+  Object.keys(body)
+    .filter((key) => !SUPPLIER_FIELDS.includes(key))
+    .forEach((key) => errors.push(`${key} is not a supplier field`));
+
+  if (partial && !errors.length && Object.keys(supplier).length === 0) {
+    errors.push("No supplier fields provided");
+  }
+  return { supplier, errors };
+};
+
+module.exports = {
+  SUPPLIER_PRIORITY,
+  SUPPLIER_PRIORITIES,
+  matchSupplier,
+  validateSupplierInput,
+};
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const { PDFParse } = require("pdf-parse");
+const { isHeic, heicToJpeg, ocrImage, ocrPdf } = require("./ocr");
+
+const TEXT_SOURCE = {
+  TEXT: "text",
+  PDF_TEXT: "pdf_text",
+  PDF_OCR: "pdf_ocr",
+  IMAGE_OCR: "image_ocr",
+  FALLBACK: "fallback",
+};
+
+// A text layer shorter than this is treated as a scan (page numbers or a stray header only).
+const MIN_PDF_TEXT_CHARS = 50;
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".heic", ".heif", ".tif", ".tiff", ".webp", ".bmp"];
+
+const fallbackText = (originalname) => `Uploaded invoice file: ${originalname}. Extract key invoice details.`;
+
+const isTextFile = (mimetype, ext) =>
+  mimetype.startsWith("text/") ||
+  mimetype === "application/octet-stream" ||
+  ext === ".txt" ||
+  ext === ".csv" ||
+  ext === ".json";
+
+const isImageFile = (mimetype, ext) => mimetype.startsWith("image/") || IMAGE_EXTENSIONS.includes(ext);
+
+/**
+ * Gets the text an uploaded file carries. Returns { text, source, ocrConfidence } where source is one
+ * of TEXT_SOURCE and ocrConfidence (0-100) is set only when OCR produced the text.
+ */
+const extractRawText = async ({ path: filePath, originalname = "", mimetype = "" }) => {
+  const type = mimetype.toLowerCase();
+  const ext = path.extname(originalname).toLowerCase();
+
+  // Images are checked first: phones often send HEIC as application/octet-stream.
+  if (isImageFile(type, ext)) {
+    try {
+      let buffer = await fs.promises.readFile(filePath);
+      if (isHeic(type, ext)) buffer = await heicToJpeg(buffer);
+      const { text, confidence } = await ocrImage(buffer);
+      console.log("Raw text source: image OCR", { confidence });
+      if (text.trim()) return { text, source: TEXT_SOURCE.IMAGE_OCR, ocrConfidence: confidence };
+    } catch (err) {
+      console.error("Image OCR failed:", err);
+    }
+    return { text: fallbackText(originalname), source: TEXT_SOURCE.FALLBACK, ocrConfidence: null };
+  }
+
+  if (isTextFile(type, ext)) {
+    try {
+      const text = await fs.promises.readFile(filePath, "utf8");
+      console.log("Raw text source: plain text or extension-based text");
+      return { text, source: TEXT_SOURCE.TEXT, ocrConfidence: null };
+    } catch (err) {
+      console.error("Text read failed, using fallback:", err);
+      return { text: fallbackText(originalname), source: TEXT_SOURCE.FALLBACK, ocrConfidence: null };
+    }
+  }
+
+  if (type.includes("pdf") || ext === ".pdf") {
+    let parser;
+    try {
+      parser = new PDFParse({ data: new Uint8Array(await fs.promises.readFile(filePath)) });
+      const { text = "" } = await parser.getText();
+      if (text.replace(/--\s*\d+\s*of\s*\d+\s*--/g, "").trim().length >= MIN_PDF_TEXT_CHARS) {
+        console.log("Raw text source: PDF via pdf-parse");
+        return { text, source: TEXT_SOURCE.PDF_TEXT, ocrConfidence: null };
+      }
+      console.log("PDF has little or no text layer; running OCR");
+      const ocr = await ocrPdf(parser);
+      if (ocr.text.trim()) {
+        console.log("Raw text source: PDF OCR", { confidence: ocr.confidence });
+        return { text: ocr.text, source: TEXT_SOURCE.PDF_OCR, ocrConfidence: ocr.confidence };
+      }
+      if (text.trim()) return { text, source: TEXT_SOURCE.PDF_TEXT, ocrConfidence: null };
+    } catch (err) {
+      console.error("PDF text extraction failed:", err);
+    } finally {
+      if (parser) await parser.destroy().catch(() => {});
+    }
+    console.log("Falling back to generic prompt text for PDF.");
+    return { text: fallbackText(originalname), source: TEXT_SOURCE.FALLBACK, ocrConfidence: null };
+  }
+
+  console.log("Raw text source: generic fallback for unsupported file type");
+  return { text: fallbackText(originalname), source: TEXT_SOURCE.FALLBACK, ocrConfidence: null };
+};
+
+module.exports = {
+  TEXT_SOURCE,
+  extractRawText,
+};
@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+let server;
+let fixturesDir;
+
+before(async () => {
+  fixturesDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cashflow-ask-"));
+  server = await startServer({ LLM_MOCK_FIXTURES_DIR: fixturesDir });
+});
+
+after(async () => {
+  await server?.stop();
+  if (fixturesDir) await fs.promises.rm(fixturesDir, { recursive: true, force: true });
+});
+
+const LOOK_UP_CLEARLINE = { tool_calls: [{ name: "search_invoices", arguments: { supplier: "ClearLine" } }] };
+
+// Scripts the mock provider's rounds for `question`, then asks it.
+const ask = async (question, steps) => {
+  const hash = crypto.createHash("sha256").update(question).digest("hex").slice(0, 12);
+  await fs.promises.writeFile(path.join(fixturesDir, `ask-${hash}.json`), JSON.stringify(steps));
+  const res = await server.request("/api/ask", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ question }),
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+};
+
+test("an answer quoting amounts and counts the tools returned is given with its citations", async () => {
+  const body = await ask("What do we owe ClearLine?", [
+    LOOK_UP_CLEARLINE,
+    { answer: "ClearLine Telecom has 1 open invoice, CT-2025-008, for £480.00.", invoice_ids: [8], answerable: true },
+  ]);
+  assert.equal(body.refused, false);
+  assert.deepEqual(body.invoiceIds, [8]);
+});
+
+test("an invoice id is not accepted as an amount", async () => {
+  const body = await ask("How much is left on the ClearLine bill?", [
+    LOOK_UP_CLEARLINE,
+    { answer: "£8 is left to pay.", invoice_ids: [8], answerable: true },
+  ]);
+  assert.equal(body.refused, true);
+  assert.deepEqual(body.unverifiedFigures, [8]);
+});
+
+test("a count is not accepted as an amount", async () => {
+  const body = await ask("How much do we owe ClearLine in total?", [
+    LOOK_UP_CLEARLINE,
+    { answer: "We owe ClearLine GBP 1.", invoice_ids: [8], answerable: true },
+  ]);
+  assert.equal(body.refused, true);
+  assert.deepEqual(body.unverifiedFigures, [1]);
+});
+
+test("a refusal with figures no tool returned is replaced by a fixed message", async () => {
+  const body = await ask("What will ClearLine charge next year?", [
+    LOOK_UP_CLEARLINE,
+    { answer: "Probably about £5,200, but I cannot be sure.", invoice_ids: [], answerable: false },
+  ]);
+  assert.equal(body.refused, true);
+  assert.doesNotMatch(body.answer, /5,200/);
+});
+
+test("a refusal without figures is passed through", async () => {
+  const body = await ask("Which supplier is friendliest?", [
+    { answer: "The ledger does not record how friendly suppliers are.", invoice_ids: [], answerable: false },
+  ]);
+  assert.equal(body.refused, true);
+  assert.equal(body.answer, "The ledger does not record how friendly suppliers are.");
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const MOCK_SUMMARY = JSON.parse(require("fs").readFileSync(require.resolve("../src/ai/fixtures/summary.json"), "utf8"));
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const summary = async () => {
+  const res = await server.request("/api/cashflow-summary");
+  assert.equal(res.status, 200);
+  return res.json();
+};
+
+test("cashflow summary totals the demo invoices and adds the mock narrative", async () => {
+  const { metrics, summary: text, disputedInvoices } = await summary();
+  assert.equal(metrics.totalPaid, 4810);
+  assert.equal(metrics.totalOutstanding, 12363);
+  assert.deepEqual(metrics.outstandingByCurrency, { GBP: 12363 });
+  assert.equal(metrics.countDisputed, 0);
+  assert.equal(metrics.countNeedsReview, 0);
+  assert.equal(text, MOCK_SUMMARY.trim());
+  assert.deepEqual(disputedInvoices, []);
+});
+
+test("a payment moves money from outstanding to paid", async () => {
+  const { invoices } = await (await server.request("/api/invoices?q=CT-2025-008")).json();
+  const [invoice] = invoices;
+  const res = await server.request(`/api/invoices/${invoice.id}/payments`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ amount: 300 }),
+  });
+  assert.equal(res.status, 201);
+
+  const { metrics } = await summary();
+  assert.equal(metrics.totalPaid, 5110);
+  assert.equal(metrics.totalOutstanding, 12063);
+});
+
+test("cashflow summary needs a signed-in user", async () => {
+  const res = await fetch(`${server.baseUrl}/api/cashflow-summary`);
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTestDatabase, runScript } = require("./helpers/server");
+
+let dir;
+let dropDir;
+
+before(async () => {
+  dir = await createTestDatabase();
+  dropDir = path.join(dir, "inbox");
+  await fs.promises.mkdir(dropDir);
+});
+
+after(async () => {
+  if (dir) await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+const MESSAGE = [
+  "From: Accounts <accounts@mock-supplier.example>",
+  "To: invoices@example.com",
+  "Subject: Invoice MOCK-0001",
+  "Message-ID: <mock-0001@mock-supplier.example>",
+  "Content-Type: text/plain; charset=utf-8",
+  "",
+  "Invoice MOCK-0001 from Mock Supplier Ltd for 120.00 GBP, due 01/12/2025.",
+  "",
+].join("\r\n");
+
+// The script logs as it goes and prints the poll result last, as indented JSON.
+const ingest = async () => {
+  const { stdout } = await runScript(dir, "src/email/index.js", { EMAIL_DROP_DIR: dropDir });
+  return JSON.parse(stdout.slice(stdout.search(/^\{$/m)));
+};
+
+test("ingest-email files a dropped message as an invoice and moves it to processed/", async () => {
+  await fs.promises.writeFile(path.join(dropDir, "mock-0001.eml"), MESSAGE);
+  const poll = await ingest();
+  assert.deepEqual(poll.sources, [{ name: "folder", messages: 1, error: null }]);
+  assert.deepEqual(poll.counts, { processed: 1 });
+  assert.deepEqual(await fs.promises.readdir(path.join(dropDir, "processed")), ["mock-0001.eml"]);
+});
+
+test("the same message dropped again is not ingested twice", async () => {
+  await fs.promises.writeFile(path.join(dropDir, "again.eml"), MESSAGE);
+  const poll = await ingest();
+  assert.deepEqual(poll.counts, { already_seen: 1 });
+});
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { execFile, spawn } = require("child_process");
+const { promisify } = require("util");
+
+const ROOT = path.join(__dirname, "..", "..");
+const BOOTSTRAP_TOKEN = "test-bootstrap-token";
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Environment for a server or script that works on its own throwaway database and document store,
+ * with the offline mock LLM.
+ */
+const testEnv = (dir, extra = {}) => ({
+  ...process.env,
+  DATABASE_PATH: path.join(dir, "cashflow.sqlite"),
+  STORAGE_BACKEND: "local",
+  STORAGE_LOCAL_DIR: path.join(dir, "documents"),
+  LLM_PROVIDER: "mock",
+  OPENAI_API_KEY: "",
+  BOOTSTRAP_TOKEN,
+  EMAIL_DROP_DIR: "",
+  IMAP_HOST: "",
+  ...extra,
+});
+
+// A fresh, fully migrated database in its own temporary folder.
+const createTestDatabase = async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cashflow-test-"));
+  await promisify(execFile)(process.execPath, ["src/migrate.js"], { cwd: ROOT, env: testEnv(dir) });
+  return dir;
+};
+
+const runScript = (dir, script, env = {}) =>
+  promisify(execFile)(process.execPath, [script], { cwd: ROOT, env: testEnv(dir, env) });
+
+/**
+ * Starts src/server.js on a free port against a new database, with `env` on top of testEnv, and
+ * registers the first account. Resolves { baseUrl, request, stop }; `request` sends the account's token
+ * with every call.
+ */
+const startServer = async (env = {}) => {
+  const dir = await createTestDatabase();
+  const port = await freePort();
+  const child = spawn(process.execPath, ["src/server.js"], {
+    cwd: ROOT,
+    env: testEnv(dir, { ...env, PORT: String(port) }),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("listening on")) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.once("exit", (code) => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const registered = await fetch(`${baseUrl}/api/auth/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      email: "owner@example.com",
+      password: "correct-horse",
+      organisation: "Test Ltd",
+      bootstrapToken: BOOTSTRAP_TOKEN,
+    }),
+  });
+  if (registered.status !== 201) throw new Error(`Registration failed: ${await registered.text()}`);
+  const { token } = await registered.json();
+
+  const request = (url, options = {}) =>
+    fetch(`${baseUrl}${url}`, { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } });
+
+  const stop = async () => {
+    child.removeAllListeners("exit");
+    if (child.exitCode === null) {
+      await new Promise((resolve) => {
+        child.once("exit", resolve);
+        child.kill();
+      });
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  };
+  return { baseUrl, request, stop };
+};
+
+module.exports = {
+  createTestDatabase,
+  runScript,
+  startServer,
+};
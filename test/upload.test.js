@@ -0,0 +1,59 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const uploadInvoice = async (name = "invoice.txt") => {
+  const form = new FormData();
+  const text = await fs.promises.readFile(path.join(__dirname, "fixtures", "invoice.txt"));
+  form.append("file", new Blob([text], { type: "text/plain" }), name);
+  return server.request("/api/upload-invoice", { method: "POST", body: form });
+};
+
+test("upload stores the invoice the mock provider extracts", async () => {
+  const res = await uploadInvoice();
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.invoice.supplier, "Mock Supplier Ltd");
+  assert.equal(body.invoice.invoice_number, "MOCK-0001");
+  assert.equal(body.invoice.amount, 120);
+  assert.equal(body.invoice.due_date, "2025-12-01");
+  assert.equal(body.invoice.source, "Upload");
+  assert.equal(body.lines.length, 1);
+  assert.equal(body.document.original_name, "invoice.txt");
+
+  const { invoices } = await (await server.request("/api/invoices?q=MOCK-0001")).json();
+  assert.deepEqual(
+    invoices.map((invoice) => invoice.id),
+    [body.invoice.id],
+  );
+});
+
+test("uploading the same invoice again is reported as a duplicate", async () => {
+  const res = await uploadInvoice("copy.txt");
+  assert.equal(res.status, 409);
+  const body = await res.json();
+  assert.equal(body.error, "Possible duplicate invoice");
+  assert.equal(body.invoice.invoice_number, "MOCK-0001");
+});
+
+test("upload without a file is refused", async () => {
+  const res = await server.request("/api/upload-invoice", { method: "POST", body: new FormData() });
+  assert.equal(res.status, 400);
+});
+
+test("upload needs a signed-in user", async () => {
+  const res = await fetch(`${server.baseUrl}/api/upload-invoice`, { method: "POST", body: new FormData() });
+  assert.equal(res.status, 401);
+});